@@ -0,0 +1,355 @@
+/**
+ * DEFENDER_AGENT.JS - Autonomous Defenders
+ * A defender agent looks at a match and names its next move, one of the
+ * player's own actions:
+ *   { type: 'place', node, tower } | { type: 'sell', node } | { type: 'upgrade', node }
+ * The caller carries it out (PlayingState through its recorded inputs, batch
+ * runs straight on the Simulation), so agents never touch the match themselves.
+ * Agents don't draw from the match's random stream: a replay of an autopilot
+ * game holds only the moves, not the agent.
+ */
+
+import Config from '../utils/Config.js';
+import Graphics from '../utils/Graphics.js';
+import { Tower } from '../entities/Tower.js';
+import { LearningDefender, rankChokepoints } from './DefenderBot.js';
+import pretrained from './models/defender.js';
+
+/**
+ * Stand-in for a tower that isn't built (or upgraded) yet, for coverage estimates
+ */
+function probeTower(node, type, tier = 0) {
+    const config = Config.TOWERS[type];
+    const stats = tier === 0 ? config : config.tiers[tier - 1];
+    const dps = config.behavior === 'attract' ? stats.damage : stats.damage * (1000 / stats.cooldown);
+
+    return {
+        x: node.x,
+        y: node.y,
+        range: stats.range,
+        config,
+        getDamagePerSecond: () => dps
+    };
+}
+
+const total = coverage => coverage.reduce((sum, value) => sum + value, 0);
+
+/**
+ * Value of a move to a minimax defender: the attacker answers any defense with
+ * its least covered attack, so that counts first (total coverage breaks ties)
+ */
+function minimaxGain(after, before) {
+    return (Math.min(...after) - Math.min(...before)) + 0.01 * (total(after) - total(before));
+}
+
+/**
+ * Carry out an agent's move on a simulation
+ * @returns {boolean} Whether the simulation accepted it
+ */
+export function applyAgentAction(sim, action) {
+    switch (action.type) {
+        case 'place':
+            return sim.placeTower(action.node, action.tower) !== null;
+        case 'sell':
+            return sim.sellTower(action.node) !== null;
+        case 'upgrade':
+            return sim.upgradeTower(action.node) !== null;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Let an agent move until it passes or a move is refused
+ * @param {Function} perform - Carries out one move, returns whether it was accepted
+ * @returns {number} Moves made
+ */
+export function runAgent(agent, sim, perform = action => applyAgentAction(sim, action), maxActions = Config.DEFENDER_AGENTS.MAX_ACTIONS) {
+    let moves = 0;
+    while (moves < maxActions) {
+        const action = agent.decide(sim);
+        if (!action || !perform(action)) break;
+        moves++;
+    }
+    return moves;
+}
+
+export class DefenderAgent {
+    static label = 'Defender';
+
+    /**
+     * Start watching a match (agents that learn from it override this)
+     */
+    attach(sim) { }
+
+    /**
+     * Stop watching the attached match (agents that subscribed override this)
+     */
+    detach() { }
+
+    /**
+     * Next move, or null to pass
+     */
+    decide(sim) {
+        return null;
+    }
+
+    /**
+     * Tower types this level offers
+     */
+    getTowerTypes(sim) {
+        return sim.levelManager.getTowersAvailable();
+    }
+
+    /**
+     * Threat types the level sends (legitimate traffic isn't the attacker's)
+     */
+    getThreats(sim) {
+        const threats = (sim.levelManager.level.enemyTypes || []).filter(type => !Config.ENEMIES[type]?.legitimate);
+        return threats.length > 0 ? threats : ['BASIC'];
+    }
+
+    /**
+     * How hard the towers hit each attack the attacker could send: one entry per
+     * path and threat type, the damage per second felt along the path (summed over
+     * its nodes, after damageVs rules and encryption) as a share of the threat's health
+     * @param {Array<Object>} towers - Towers or probes
+     * @returns {Array<number>}
+     */
+    getCoverage(sim, towers) {
+        const lm = sim.levelManager;
+        const threats = this.getThreats(sim);
+
+        return lm.paths.flatMap(path => {
+            const covering = [];
+            path.forEach(nodeIndex => {
+                const node = lm.nodes[nodeIndex];
+                towers.forEach(tower => {
+                    if (Graphics.distance(tower.x, tower.y, node.x, node.y) <= tower.range) {
+                        covering.push(tower);
+                    }
+                });
+            });
+            const decrypted = covering.some(tower => tower.config.decrypts);
+
+            return threats.map(type => {
+                const enemy = Config.ENEMIES[type];
+                const damage = covering.reduce((sum, tower) => {
+                    let multiplier = Tower.getDamageMultiplier(tower.config, type);
+                    if (enemy.encrypted && !decrypted && !tower.config.decrypts) {
+                        multiplier *= enemy.encryptedDamageMultiplier;
+                    }
+                    return sum + tower.getDamagePerSecond() * multiplier;
+                }, 0);
+                return damage / enemy.health;
+            });
+        });
+    }
+
+    /**
+     * Does any current path pass within the tower's range?
+     * @param {Object} tower - Tower or probe
+     */
+    reachesPath(sim, tower) {
+        const lm = sim.levelManager;
+        return lm.paths.some(path => path.some(nodeIndex =>
+            Graphics.distance(tower.x, tower.y, lm.nodes[nodeIndex].x, lm.nodes[nodeIndex].y) <= tower.range
+        ));
+    }
+
+    /**
+     * A tower no current path passes (the network changed or links were cut)
+     */
+    findIdleTower(sim) {
+        if (sim.levelManager.paths.length === 0) return null;
+        return sim.towers.find(tower => tower.node !== null && !this.reachesPath(sim, tower)) || null;
+    }
+
+    /**
+     * Every placement and upgrade the simulation would accept now,
+     * with the towers as they'd stand afterwards
+     * @returns {Array<Object>} { action, cost, towers }
+     */
+    getCandidates(sim) {
+        const lm = sim.levelManager;
+        const candidates = [];
+
+        lm.chokepoints.forEach(nodeIndex => {
+            this.getTowerTypes(sim).forEach(type => {
+                if (!sim.canPlaceTower(nodeIndex, type)) return;
+                candidates.push({
+                    action: { type: 'place', node: nodeIndex, tower: type },
+                    cost: Config.TOWERS[type].cost,
+                    towers: [...sim.towers, probeTower(lm.nodes[nodeIndex], type)]
+                });
+            });
+        });
+
+        sim.towers.forEach(tower => {
+            if (tower.node === null || !sim.canUpgradeTower(tower.node)) return;
+            candidates.push({
+                action: { type: 'upgrade', node: tower.node },
+                cost: tower.getUpgradeCost(),
+                towers: sim.towers.map(t => t === tower ? probeTower(lm.nodes[t.node], t.type, t.tier + 1) : t)
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Best candidate by gain per credit (ties go to the first found)
+     * @param {Function} gain - (coverageAfter, coverageBefore) → value gained
+     */
+    pickByGain(sim, candidates, gain) {
+        const before = this.getCoverage(sim, sim.towers);
+        let best = null;
+        let bestValue = 0;
+
+        candidates.forEach(candidate => {
+            const value = gain(this.getCoverage(sim, candidate.towers), before) / candidate.cost;
+            if (value > bestValue) {
+                best = candidate;
+                bestValue = value;
+            }
+        });
+
+        return best ? best.action : null;
+    }
+}
+
+/**
+ * Greedy coverage: the move adding the most coverage over every path and threat per credit
+ */
+export class GreedyCoverageAgent extends DefenderAgent {
+    static label = 'Greedy Coverage';
+
+    decide(sim) {
+        const idle = this.findIdleTower(sim);
+        if (idle) return { type: 'sell', node: idle.node };
+
+        return this.pickByGain(sim, this.getCandidates(sim), (after, before) => total(after) - total(before));
+    }
+}
+
+/**
+ * Minimax: the move raising the least covered path and threat most per credit
+ */
+export class MinimaxAgent extends DefenderAgent {
+    static label = 'Minimax';
+
+    decide(sim) {
+        const idle = this.findIdleTower(sim);
+        if (idle) return { type: 'sell', node: idle.node };
+
+        return this.pickByGain(sim, this.getCandidates(sim), minimaxGain);
+    }
+}
+
+/**
+ * Learned: the self-play defender's tower choice on the busiest free chokepoint,
+ * then minimax upgrades once every chokepoint is held
+ */
+export class LearnedAgent extends DefenderAgent {
+    static label = 'Learned';
+
+    constructor(model = pretrained) {
+        super();
+        this.learner = new LearningDefender({ epsilon: 0 });
+        this.learner.importWeights(model);
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Track the threat mix and leak rate the model reads
+     */
+    attach(sim) {
+        this.detach();
+
+        const lm = sim.levelManager;
+        let totals = { blocked: lm.packetsBlocked, leaked: lm.packetsLeaked };
+
+        this.learner.attach(sim);
+        this.unsubscribe = sim.events.on('waveStarted', () => {
+            this.learner.onWaveEnd(sim, {
+                blocked: lm.packetsBlocked - totals.blocked,
+                leaked: lm.packetsLeaked - totals.leaked
+            });
+            totals = { blocked: lm.packetsBlocked, leaked: lm.packetsLeaked };
+            this.learner.spawned = {};
+        });
+    }
+
+    detach() {
+        this.learner.detach();
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    decide(sim) {
+        const idle = this.findIdleTower(sim);
+        if (idle) return { type: 'sell', node: idle.node };
+
+        const lm = sim.levelManager;
+        const types = this.getTowerTypes(sim);
+        for (const nodeIndex of rankChokepoints(lm)) {
+            const affordable = types.filter(type => sim.canPlaceTower(nodeIndex, type));
+            if (affordable.length === 0) continue;
+
+            const phi = this.learner.getFeatures(sim);
+            const tower = affordable.reduce((best, type) =>
+                this.learner.q.predict(phi, type) > this.learner.q.predict(phi, best) ? type : best
+            );
+            if (!this.reachesPath(sim, probeTower(lm.nodes[nodeIndex], tower))) continue;
+
+            return { type: 'place', node: nodeIndex, tower };
+        }
+
+        const upgrades = this.getCandidates(sim).filter(candidate => candidate.action.type === 'upgrade');
+        return this.pickByGain(sim, upgrades, minimaxGain);
+    }
+}
+
+/**
+ * An agent as a defender bot (see DefenderBot.js), for self-play and batch runs:
+ * it builds at the start of every wave until it passes
+ */
+export class AgentBot {
+    constructor(agent) {
+        this.agent = agent;
+    }
+
+    attach(sim) {
+        this.agent.attach(sim);
+    }
+
+    detach() {
+        this.agent.detach();
+    }
+
+    onWaveStart(sim) {
+        runAgent(this.agent, sim, undefined, Infinity);
+    }
+
+    onWaveEnd() { }
+}
+
+// Agents offered by the autopilot and batch runs
+export const DEFENDER_AGENTS = {
+    greedy: GreedyCoverageAgent,
+    minimax: MinimaxAgent,
+    learned: LearnedAgent
+};
+
+/**
+ * @param {string} name - Key of DEFENDER_AGENTS
+ * @returns {DefenderAgent|null}
+ */
+export function createDefenderAgent(name) {
+    const Agent = DEFENDER_AGENTS[name];
+    return Agent ? new Agent() : null;
+}
+
+export default DefenderAgent;
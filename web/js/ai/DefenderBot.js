@@ -0,0 +1,185 @@
+/**
+ * DEFENDER_BOT.JS - Headless Defender Bots
+ * Stand-ins for the player in batch matches and self-play training. A bot is
+ * told when each wave starts and how the last one went, and builds through the
+ * simulation's own player actions.
+ */
+
+import Config from '../utils/Config.js';
+import LinearQ from './LinearQ.js';
+
+// Threat types whose share of the last wave the learning defender sees
+const THREATS = ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED', 'ADAPTIVE'];
+
+// Saved weights from another format are ignored
+export const DEFENDER_MODEL_VERSION = 1;
+
+/**
+ * Defender's reward for a wave: 1 with nothing leaked, -1 with everything leaked
+ * @param {Object} wave - { blocked, leaked } during the wave
+ */
+export function getDefenderReward(wave) {
+    const resolved = wave.blocked + wave.leaked;
+    return resolved > 0 ? 1 - 2 * wave.leaked / resolved : 1;
+}
+
+/**
+ * Chokepoints ordered by how many paths cross them
+ */
+export function rankChokepoints(levelManager) {
+    const pathCount = node => levelManager.paths.filter(path => path.includes(node)).length;
+    return [...levelManager.chokepoints].sort((a, b) => pathCount(b) - pathCount(a));
+}
+
+/**
+ * Scripted defender: fill free chokepoints, alternating Firewall and IDS
+ */
+export class ScriptedDefender {
+    attach() { }
+
+    detach() { }
+
+    onWaveStart(sim) {
+        const rotation = ['Firewall', 'IDS'];
+        let next = sim.towers.length;
+
+        for (const nodeIndex of sim.levelManager.chokepoints) {
+            const type = rotation[next % rotation.length];
+            if (sim.placeTower(nodeIndex, type)) {
+                next++;
+            }
+        }
+    }
+
+    onWaveEnd() { }
+}
+
+/**
+ * Learning defender: picks the tower type for each free chokepoint with a linear
+ * Q-function over the last wave's threat mix, and learns from each wave's leak rate
+ */
+export class LearningDefender {
+    /**
+     * @param {Object} options - { epsilon, alpha }
+     */
+    constructor(options = {}) {
+        this.actions = Object.keys(Config.TOWERS);
+        this.features = [
+            'bias',
+            'money',
+            'leakRate',
+            ...THREATS.map(type => `enemies:${type}`), // Share of the last wave
+            ...this.actions.map(type => `towers:${type}`)
+        ];
+        this.q = new LinearQ(this.features, this.actions);
+
+        this.epsilon = options.epsilon ?? Config.RL_PARAMS.epsilon;
+        this.alpha = options.alpha ?? Config.RL_PARAMS.alpha;
+
+        this.placements = []; // { phi, type } made this wave
+        this.spawned = {};    // Threat type → packets seen this wave
+        this.leakRate = 0;    // Last wave
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Watch a match's packets (one match at a time)
+     */
+    attach(sim) {
+        this.detach();
+
+        // Placements left over from the last episode never saw this one's waves
+        this.placements = [];
+        this.spawned = {};
+        this.leakRate = 0;
+        this.unsubscribe = sim.events.on('enemySpawned', enemy => {
+            this.spawned[enemy.type] = (this.spawned[enemy.type] || 0) + 1;
+        });
+    }
+
+    /**
+     * Stop watching the attached match
+     */
+    detach() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * What the defender knows: the last wave and its own towers
+     */
+    getFeatures(sim) {
+        const seen = THREATS.reduce((sum, type) => sum + (this.spawned[type] || 0), 0);
+        const built = type => sim.towers.filter(tower => tower.type === type).length;
+
+        return [
+            1,
+            Math.min(2, sim.levelManager.getMoney() / 2000),
+            this.leakRate,
+            ...THREATS.map(type => seen > 0 ? (this.spawned[type] || 0) / seen : 0),
+            ...this.actions.map(type => built(type) / 5)
+        ];
+    }
+
+    /**
+     * Build on free chokepoints (busiest first) while the money lasts
+     */
+    onWaveStart(sim) {
+        const lm = sim.levelManager;
+        const available = lm.getTowersAvailable().filter(type => this.actions.includes(type));
+
+        for (const nodeIndex of rankChokepoints(lm)) {
+            if (sim.getTowerAt(nodeIndex)) continue;
+
+            const phi = this.getFeatures(sim);
+            const type = sim.rng.next() < this.epsilon ? sim.rng.pick(available) : this.bestOf(phi, available, sim.rng);
+            if (!sim.placeTower(nodeIndex, type)) break;
+
+            this.placements.push({ phi, type });
+        }
+
+        this.spawned = {};
+    }
+
+    /**
+     * Highest-valued tower type among those the level offers
+     * @param {Random} rng - Match RNG (breaks ties)
+     */
+    bestOf(phi, types, rng) {
+        const values = types.map(type => this.q.predict(phi, type));
+        const top = Math.max(...values);
+        return rng.pick(types.filter((type, i) => values[i] === top));
+    }
+
+    /**
+     * Credit the wave's towers with its result (a contextual bandit: no bootstrapping)
+     * @param {Object} wave - { blocked, leaked } during the wave
+     * @returns {number} Reward
+     */
+    onWaveEnd(sim, wave) {
+        const resolved = wave.blocked + wave.leaked;
+        this.leakRate = resolved > 0 ? wave.leaked / resolved : 0;
+
+        const reward = getDefenderReward(wave);
+        this.placements.forEach(({ phi, type }) => {
+            this.q.update(phi, type, reward, this.alpha);
+        });
+        this.placements = [];
+        return reward;
+    }
+
+    exportWeights() {
+        return { version: DEFENDER_MODEL_VERSION, ...this.q.toJSON(), epsilon: this.epsilon };
+    }
+
+    importWeights(data) {
+        if (data?.version !== DEFENDER_MODEL_VERSION) {
+            throw new Error(`Unsupported defender model version: ${data?.version}`);
+        }
+        this.q.load(data);
+    }
+}
+
+export default LearningDefender;
@@ -1,20 +1,45 @@
 /**
  * ECONOMIC_RL.JS - Q-Learning AI for Level 4
- * Reinforcement Learning agent that learns optimal attack strategies
+ * Reinforcement learning attacker: a linear Q-function over continuous features
+ * of the defense, whose actions pick an enemy mix and a route together
  */
 
 import eventBus from '../core/EventBus.js';
 import Config from '../utils/Config.js';
 import Graphics from '../utils/Graphics.js';
+import Pathfinding from '../utils/Pathfinding.js';
+import LinearQ from './LinearQ.js';
+import pretrained from './models/economicRL.js';
 import { TopologyGenerator } from '../utils/TopologyGenerator.js';
 
+// Enemy mixes the attacker can send
+const MIXES = {
+    AGGRESSIVE: { TANK: 0.4, ENCRYPTED: 0.3, ADAPTIVE: 0.2, FAST: 0.1 },     // High risk, high reward
+    BALANCED: { BASIC: 0.25, FAST: 0.25, TANK: 0.25, STEALTH: 0.15, ENCRYPTED: 0.1 },
+    DEFENSIVE: { BASIC: 0.5, FAST: 0.4, STEALTH: 0.1 }                      // Cheap, wear down
+};
+
+// Where a wave's threats go: the least covered path, the shortest one, or spread at random
+const ROUTES = ['WEAKEST', 'SHORTEST', 'SPREAD'];
+
+// Feature scaling (1 ≈ "a lot")
+const SCALE = {
+    credits: 2000,
+    coverage: 200, // Tower DPS summed over a path's nodes
+    towers: 5
+};
+
+// Saved weights from another format are ignored
+export const MODEL_VERSION = 1;
+
 export class EconomicRL {
     constructor(levelManager) {
         this.levelManager = levelManager;
+        this.rng = levelManager.rng;
 
-        // State/Action space (MUST be defined before Q-table initialization)
-        this.states = ['LOW_CREDITS', 'MEDIUM_CREDITS', 'HIGH_CREDITS'];
-        this.actions = ['AGGRESSIVE', 'BALANCED', 'DEFENSIVE'];
+        // Actions are mix/route pairs, e.g. 'AGGRESSIVE/WEAKEST'
+        this.actions = Object.keys(MIXES).flatMap(mix => ROUTES.map(route => `${mix}/${route}`));
+        this.features = EconomicRL.getFeatureNames();
 
         // Q-Learning parameters from Config
         const params = Config.RL_PARAMS;
@@ -22,174 +47,176 @@ export class EconomicRL {
         this.alpha = params.alpha;
         this.gamma = params.gamma;
 
-        // Q-table: Q[state][action] = expected value
-        this.Q = this.loadQTable() || this.initializeQTable();
+        // Batch evaluations turn this off so they never overwrite the player's weights
+        this.persistent = true;
+
+        this.q = new LinearQ(this.features, this.actions, this.rng);
+        this.totalEpisodes = 0;
+        if (!this.loadWeights()) {
+            this.loadPretrained();
+        }
 
         // Episode tracking
-        this.currentState = null;
+        this.currentFeatures = null;
         this.currentAction = null;
         this.episodeReward = 0;
-        this.totalEpisodes = 0;
+        this.leakHistory = []; // Leak rate of each finished wave
+        this.lastTotals = { blocked: 0, leaked: 0 };
     }
 
     /**
-     * Initialize Q-table lazily (state keys are dynamic now)
+     * Names of the feature vector entries
      */
-    initializeQTable() {
-        return {};
+    static getFeatureNames() {
+        return [
+            'bias',
+            'credits',
+            'wave',
+            'leakRate',          // Last wave
+            'recentLeakRate',    // Last three waves
+            'coverageWeakest',   // Tower DPS on the least covered path
+            'coverageShortest',
+            'coverageMean',
+            ...Object.keys(Config.TOWERS).map(type => `towers:${type}`)
+        ];
     }
 
     /**
-     * Get 12-dimensional state representation
-     * (Discretized into categories: credits, chokepoint density, tower ratio, path success)
+     * Describe the game as a feature vector (see getFeatureNames)
      */
-    getState() {
+    getFeatures() {
         const lm = this.levelManager;
+        const towers = lm.currentTowers || [];
 
-        // 1. Credit state (3 levels)
-        const creditState = lm.credits < 500 ? 'LOW' : (lm.credits < 1500 ? 'MED' : 'HIGH');
-
-        // 2. Chokepoint density (2 levels: Sparse vs Dense)
-        const densityState = lm.chokepoints.length / lm.nodes.length > 0.2 ? 'DENSE' : 'SPARSE';
+        const coverage = lm.getPathCoverage(towers).map(dps => dps / SCALE.coverage);
+        const shortest = this.getShortestPathIndex();
+        const mean = values => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
 
-        // 3. Tower Ratio (Proxy for defender strategy)
-        const towers = this.levelManager.currentTowers || [];
-        const fCount = towers.filter(t => t.type === 'Firewall').length;
-        const iCount = towers.filter(t => t.type === 'IDS').length;
-        const towerRatio = fCount > iCount * 1.5 ? 'FW_HEAVY' : (iCount > fCount ? 'IDS_HEAVY' : 'BALANCED');
+        const counts = {};
+        towers.forEach(tower => {
+            counts[tower.type] = (counts[tower.type] || 0) + 1;
+        });
 
-        // 4. Path Success (How well is the attacker doing?)
-        const successRate = lm.calculateSuccessRate();
-        const performanceState = successRate > 70 ? 'DEFENDER_STRONG' : 'ATTACKER_STRONG';
+        return [
+            1,
+            Math.min(2, lm.credits / SCALE.credits),
+            Math.min(1, lm.wave / (lm.targetWaves || 50)),
+            this.leakHistory.length > 0 ? this.leakHistory[this.leakHistory.length - 1] : 0,
+            mean(this.leakHistory.slice(-3)),
+            coverage.length > 0 ? Math.min(...coverage) : 0,
+            shortest !== null ? coverage[shortest] : 0,
+            mean(coverage),
+            ...Object.keys(Config.TOWERS).map(type => (counts[type] || 0) / SCALE.towers)
+        ];
+    }
 
-        // Combined "12D" State Key
-        return `${creditState}_${densityState}_${towerRatio}_${performanceState}`;
+    /**
+     * Index of the shortest path to a goal (by distance), or null without paths
+     */
+    getShortestPathIndex() {
+        const { paths, nodes } = this.levelManager;
+        if (paths.length === 0) return null;
+
+        const lengths = paths.map(path => path.slice(1).reduce((sum, nodeIndex, i) => {
+            const from = nodes[path[i]];
+            const to = nodes[nodeIndex];
+            return sum + Graphics.distance(from.x, from.y, to.x, to.y);
+        }, 0));
+        return lengths.indexOf(Math.min(...lengths));
     }
 
     /**
-     * Select action using ε-greedy policy
+     * Split an action id into its mix and route
+     * @returns {Object} { mix, route }
      */
-    selectAction(state) {
-        // Exploration vs Exploitation
-        if (Math.random() < this.epsilon) {
-            // Explore: random action
-            return this.actions[Math.floor(Math.random() * this.actions.length)];
-        } else {
-            // Exploit: best action from Q-table
-            return this.getBestAction(state);
-        }
+    getAction(action) {
+        const [mix, route] = action.split('/');
+        return { mix, route };
     }
 
     /**
-     * Get best action for a state
+     * Select action using ε-greedy policy
+     * @param {Array<number>} phi - Feature vector
      */
-    getBestAction(state) {
-        // Initialize state in Q-table if missing
-        if (!this.Q[state]) {
-            this.Q[state] = {};
-            this.actions.forEach(a => this.Q[state][a] = Math.random() * 2);
+    selectAction(phi) {
+        // Exploration vs Exploitation
+        if (this.rng.next() < this.epsilon) {
+            return this.rng.pick(this.actions);
         }
-
-        const qValues = this.Q[state];
-        let bestAction = this.actions[0];
-        let bestValue = qValues[bestAction];
-
-        this.actions.forEach(action => {
-            if (qValues[action] > bestValue) {
-                bestValue = qValues[action];
-                bestAction = action;
-            }
-        });
-
-        return bestAction;
+        return this.q.best(phi);
     }
 
     /**
      * Get enemy mix based on action
      */
     getEnemyMix(action) {
-        switch (action) {
-            case 'AGGRESSIVE':
-                // High risk, high reward
-                return {
-                    TANK: 0.4,
-                    ENCRYPTED: 0.3,
-                    ADAPTIVE: 0.2,
-                    FAST: 0.1
-                };
-
-            case 'BALANCED':
-                // Mixed approach
-                return {
-                    BASIC: 0.25,
-                    FAST: 0.25,
-                    TANK: 0.25,
-                    STEALTH: 0.15,
-                    ENCRYPTED: 0.1
-                };
-
-            case 'DEFENSIVE':
-                // Cheap, wear down
-                return {
-                    BASIC: 0.5,
-                    FAST: 0.4,
-                    STEALTH: 0.1
-                };
+        return MIXES[this.getAction(action).mix] || { BASIC: 1.0 };
+    }
 
+    /**
+     * Wave group path hint for an action's route (see WaveSchedule)
+     * @returns {string|number|undefined}
+     */
+    getRouteHint(action) {
+        switch (this.getAction(action).route) {
+            case 'WEAKEST':
+                return 'weakest';
+            case 'SHORTEST':
+                return this.getShortestPathIndex() ?? undefined;
             default:
-                return { BASIC: 1.0 };
+                return undefined;
         }
     }
 
     /**
-     * Update Q-table based on wave result
+     * Learn from a finished wave
+     * @param {Object} waveResult - Running totals: { blocked, leaked }
      */
-    updateQTable(waveResult) {
-        if (!this.currentState || !this.currentAction) return;
-
-        // Calculate reward
-        const reward = this.calculateReward(waveResult);
-        this.episodeReward += reward;
+    learnFromWave(waveResult) {
+        if (!this.currentFeatures || !this.currentAction) return;
 
-        // Get next state
-        const nextState = this.getState();
+        // Results of this wave alone
+        const wave = {
+            blocked: waveResult.blocked - this.lastTotals.blocked,
+            leaked: waveResult.leaked - this.lastTotals.leaked
+        };
+        this.lastTotals = { blocked: waveResult.blocked, leaked: waveResult.leaked };
 
-        // Q-Learning update: Q(s,a) ← Q(s,a) + α[r + γ·max Q(s',a') - Q(s,a)]
-        const currentQ = this.Q[this.currentState][this.currentAction];
-        const maxNextQ = Math.max(...this.actions.map(a => this.Q[nextState][a]));
+        const resolved = wave.blocked + wave.leaked;
+        this.leakHistory.push(resolved > 0 ? wave.leaked / resolved : 0);
 
-        const newQ = currentQ + this.alpha * (
-            reward + this.gamma * maxNextQ - currentQ
-        );
+        const reward = this.calculateReward(wave);
+        this.episodeReward += reward;
 
-        this.Q[this.currentState][this.currentAction] = newQ;
+        // Q-Learning update: Q(s,a) ← Q(s,a) + α[r + γ·max Q(s',a') - Q(s,a)]
+        const next = this.getFeatures();
+        const target = reward / Config.RL_PARAMS.rewardScale + this.gamma * this.q.max(next);
+        const error = this.q.update(this.currentFeatures, this.currentAction, target, this.alpha);
 
-        // Save Q-table periodically
-        if (Math.random() < 0.1) {
-            this.saveQTable();
-        }
+        this.saveWeights();
 
         // Emit learning update
         eventBus.emit('rlLearningUpdate', {
-            state: this.currentState,
             action: this.currentAction,
             reward,
-            qValue: newQ,
+            error,
+            qValue: this.q.predict(this.currentFeatures, this.currentAction),
             episodeReward: this.episodeReward
         });
     }
 
     /**
      * Calculate reward for this wave
+     * @param {Object} wave - { blocked, leaked } during the wave
      */
-    calculateReward(waveResult) {
+    calculateReward(wave) {
         let reward = 0;
 
         // Reward for enemies reaching goal
-        reward += waveResult.leaked * 10;
+        reward += wave.leaked * 10;
 
         // Penalty for enemies destroyed
-        reward -= waveResult.blocked * 5;
+        reward -= wave.blocked * 5;
 
         // Bonus if player ran out of money
         if (this.levelManager.credits <= 0) {
@@ -206,13 +233,14 @@ export class EconomicRL {
 
     /**
      * Start new episode (wave)
+     * @returns {string} Action id
      */
     startEpisode() {
-        this.currentState = this.getState();
-        this.currentAction = this.selectAction(this.currentState);
+        this.currentFeatures = this.getFeatures();
+        this.currentAction = this.selectAction(this.currentFeatures);
         this.totalEpisodes++;
 
-        console.log(`RL Episode ${this.totalEpisodes}: State=${this.currentState}, Action=${this.currentAction}`);
+        this.levelManager.log(`RL Episode ${this.totalEpisodes}: Action=${this.currentAction}`);
 
         return this.currentAction;
     }
@@ -224,7 +252,7 @@ export class EconomicRL {
         if (!this.currentAction) return 'BASIC';
 
         const mix = this.getEnemyMix(this.currentAction);
-        const roll = Math.random();
+        const roll = this.rng.next();
         let cumulative = 0;
 
         for (const [type, probability] of Object.entries(mix)) {
@@ -238,60 +266,106 @@ export class EconomicRL {
     }
 
     /**
-     * Save Q-table to localStorage
+     * Weights with their training state, ready for JSON
+     */
+    exportWeights() {
+        return {
+            version: MODEL_VERSION,
+            ...this.q.toJSON(),
+            episodes: this.totalEpisodes,
+            epsilon: this.epsilon
+        };
+    }
+
+    /**
+     * Load weights from exportWeights (throws on another model version)
      */
-    saveQTable() {
+    importWeights(data) {
+        if (data?.version !== MODEL_VERSION) {
+            throw new Error(`Unsupported RL model version: ${data?.version}`);
+        }
+
+        this.q.load(data);
+        this.totalEpisodes = data.episodes || 0;
+        if (typeof data.epsilon === 'number') {
+            this.epsilon = data.epsilon;
+        }
+    }
+
+    /**
+     * Save weights to localStorage
+     */
+    saveWeights() {
+        if (!this.persistent) return;
+        if (typeof localStorage === 'undefined') return; // Headless (Node) runs
+
         try {
-            localStorage.setItem('networkdefender_qtable', JSON.stringify({
-                Q: this.Q,
-                episodes: this.totalEpisodes,
-                epsilon: this.epsilon
-            }));
+            localStorage.setItem(Config.STORAGE_KEYS.RL_WEIGHTS, JSON.stringify(this.exportWeights()));
         } catch (e) {
-            console.error('Failed to save Q-table:', e);
+            console.error('Failed to save RL weights:', e);
         }
     }
 
     /**
-     * Load Q-table from localStorage
+     * Load weights from localStorage
+     * @returns {boolean} Whether saved weights were found
      */
-    loadQTable() {
+    loadWeights() {
+        if (typeof localStorage === 'undefined') return false; // Headless (Node) runs
+
         try {
-            const saved = localStorage.getItem('networkdefender_qtable');
+            const saved = localStorage.getItem(Config.STORAGE_KEYS.RL_WEIGHTS);
             if (saved) {
-                const data = JSON.parse(saved);
-                this.totalEpisodes = data.episodes || 0;
-                this.epsilon = Math.max(0.1, data.epsilon * 0.995); // Decay epsilon
-                return data.Q;
+                const { epsilonDecay, minEpsilon } = Config.RL_PARAMS;
+                this.importWeights(JSON.parse(saved));
+                this.epsilon = Math.max(minEpsilon, this.epsilon * epsilonDecay); // Decay epsilon
+                return true;
             }
         } catch (e) {
-            console.error('Failed to load Q-table:', e);
+            console.error('Failed to load RL weights:', e);
         }
-        return null;
+        return false;
     }
 
     /**
-     * Reset Q-table (for new learning session)
+     * Start from the self-play model (scripts/train.js), exploring at the usual rate
+     * @returns {boolean} Whether the model was usable
+     */
+    loadPretrained() {
+        try {
+            this.importWeights(pretrained);
+            this.epsilon = Config.RL_PARAMS.epsilon;
+            return true;
+        } catch (e) {
+            console.error('Failed to load pretrained RL weights:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Reset weights (for new learning session)
      */
     reset() {
-        this.Q = this.initializeQTable();
+        this.q = new LinearQ(this.features, this.actions, this.rng);
         this.totalEpisodes = 0;
-        this.epsilon = 0.3;
+        this.epsilon = Config.RL_PARAMS.epsilon;
         this.episodeReward = 0;
-        localStorage.removeItem('networkdefender_qtable');
+        if (typeof localStorage !== 'undefined') {
+            localStorage.removeItem(Config.STORAGE_KEYS.RL_WEIGHTS);
+        }
     }
 
     /**
      * Generate dynamic topology based on RL Action and Player Strategy
      */
     generateDynamicTopology(towers) {
-        console.log('Generating dynamic topology...');
+        this.levelManager.log('Generating dynamic topology...');
 
         // 1. Analyze Player Strategy
         let strategy = 'BALANCED';
         if (towers && towers.length > 0) {
             const counts = { Firewall: 0, IDS: 0, Honeypot: 0 };
-            towers.forEach(t => { if (counts[t.type] !== undefined) counts[t.type]++; });
+            towers.forEach(t => { counts[t.config.family]++; });
 
             const total = towers.length;
             if (counts.Firewall / total > 0.5) strategy = 'FIREWALL_HEAVY';
@@ -299,14 +373,15 @@ export class EconomicRL {
             else if (counts.Honeypot / total > 0.3) strategy = 'HONEYPOT_TRAP';
         }
 
-        console.log(`RL Action: ${this.currentAction}, Player Strategy: ${strategy}`);
+        const mix = this.currentAction ? this.getAction(this.currentAction).mix : null;
+        this.levelManager.log(`RL Action: ${this.currentAction}, Player Strategy: ${strategy}`);
 
         // 2. Determine Topology Type
         let topoType = 'BALANCED';
 
-        if (this.currentAction === 'AGGRESSIVE') {
+        if (mix === 'AGGRESSIVE') {
             topoType = 'DIRECT';
-        } else if (this.currentAction === 'DEFENSIVE') {
+        } else if (mix === 'DEFENSIVE') {
             if (strategy === 'FIREWALL_HEAVY') {
                 topoType = 'SPREAD';
             } else if (strategy === 'IDS_FOCUSED') {
@@ -317,7 +392,7 @@ export class EconomicRL {
         }
 
         // Use new TopologyGenerator
-        return TopologyGenerator.generateRLTopology(topoType, this.currentAction, strategy);
+        return TopologyGenerator.generateRLTopology(topoType, mix, strategy, this.rng);
     }
 
     /**
@@ -354,11 +429,7 @@ export class EconomicRL {
             queue.splice(index, 1);
 
             // Find neighbors
-            const neighbors = [];
-            edges.forEach(edge => {
-                if (edge[0] === u) neighbors.push(edge[1]);
-                if (edge[1] === u) neighbors.push(edge[0]);
-            });
+            const neighbors = Pathfinding.getNeighbors(edges, u);
 
             neighbors.forEach(v => {
                 if (queue.includes(v)) {
@@ -384,18 +455,18 @@ export class EconomicRL {
     }
 
     /**
-     * Get Q-table for visualization
+     * Weights for inspection: one row per action with its value in the current state
+     * @returns {Array<Object>} { action, q, [feature]: weight }
      */
-    getQTableForDisplay() {
-        const display = [];
-        this.states.forEach(state => {
-            const row = { state };
-            this.actions.forEach(action => {
-                row[action] = this.Q[state][action].toFixed(2);
+    getWeightsForDisplay() {
+        const phi = this.getFeatures();
+        return this.actions.map(action => {
+            const row = { action, q: this.q.predict(phi, action).toFixed(2) };
+            this.features.forEach((feature, i) => {
+                row[feature] = this.q.weights[action][i].toFixed(2);
             });
-            display.push(row);
+            return row;
         });
-        return display;
     }
 }
 
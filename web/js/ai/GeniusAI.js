@@ -5,10 +5,12 @@
 
 import Config from '../utils/Config.js';
 import Graphics from '../utils/Graphics.js';
+import Tower from '../entities/Tower.js';
 
 export class GeniusAI {
     constructor(levelManager) {
         this.levelManager = levelManager;
+        this.rng = levelManager.rng;
         this.currentWave = 0;
         this.towerAnalysis = null;
         this.weakPaths = [];
@@ -26,24 +28,28 @@ export class GeniusAI {
                 coverage: {},
                 weaknesses: 'No towers placed',
                 towerTypes: {},
+                targetingFocus: {},
                 totalValue: 0
             };
         }
 
         const analysis = {
             coverage: {},
-            towerTypes: { Firewall: 0, IDS: 0, Honeypot: 0 },
+            towerTypes: Tower.getFamilyWeights(towers), // Composition by family, upgraded towers weigh more
             totalValue: 0,
             positions: []
         };
 
-        // Analyze tower composition
         towers.forEach(tower => {
-            analysis.towerTypes[tower.type]++;
-            analysis.totalValue += tower.getCost();
-            analysis.positions.push({ x: tower.x, y: tower.y, type: tower.type, range: tower.range });
+            analysis.totalValue += tower.invested;
+            analysis.positions.push({
+                x: tower.x, y: tower.y, type: tower.type, range: tower.range, tier: tower.tier, targeting: tower.targeting
+            });
         });
 
+        // Enemy types the towers' targeting modes hunt first
+        analysis.targetingFocus = Tower.getTargetingFocus(towers);
+
         // Find weak paths (least covered)
         this.weakPaths = this.findWeakPaths(towers);
 
@@ -81,6 +87,8 @@ export class GeniusAI {
     findWeakPaths(towers) {
         const paths = this.levelManager.paths;
         const pathScores = [];
+        const links = Tower.findSynergies(towers);
+        const threats = Object.keys(Config.ENEMIES).filter(type => !Config.ENEMIES[type].legitimate);
 
         paths.forEach((path, index) => {
             let coverage = 0;
@@ -93,9 +101,17 @@ export class GeniusAI {
                 towers.forEach(tower => {
                     const dist = Graphics.distance(tower.x, tower.y, node.x, node.y);
                     if (dist <= tower.range) {
-                        coverage += tower.damage;
+                        coverage += tower.getDamagePerSecond();
                     }
                 });
+
+                // Linked towers hit harder (averaged over threat types)
+                links.forEach(({ synergy, tower }) => {
+                    if (Graphics.distance(tower.x, tower.y, node.x, node.y) > tower.range) return;
+
+                    const gain = threats.reduce((sum, type) => sum + Tower.getSynergyGain(synergy, type), 0);
+                    coverage += tower.getDamagePerSecond() * gain / threats.length;
+                });
             });
 
             pathScores.push({ pathIndex: index, coverage, path });
@@ -165,9 +181,32 @@ export class GeniusAI {
                 counterStrategy.reasoning = 'Balanced mix for adaptive pressure.';
         }
 
+        this.avoidTargetingFocus(counterStrategy);
+
         return counterStrategy;
     }
 
+    /**
+     * Shift the enemy mix away from types the player's towers target first
+     */
+    avoidTargetingFocus(counterStrategy) {
+        const focus = this.towerAnalysis.targetingFocus || {};
+        const mix = counterStrategy.enemyMix;
+        const focused = Object.keys(mix).filter(type => focus[type] > 0);
+        if (focused.length === 0) return;
+
+        focused.forEach(type => {
+            mix[type] *= 1 - Config.TARGETING.FOCUS_WEIGHT * focus[type];
+        });
+
+        const total = Object.values(mix).reduce((sum, p) => sum + p, 0);
+        Object.keys(mix).forEach(type => {
+            mix[type] /= total;
+        });
+
+        counterStrategy.reasoning += ` Towers target ${focused.join('/')} first, so fewer of those.`;
+    }
+
     /**
      * Get default strategy for early waves
      */
@@ -205,7 +244,7 @@ export class GeniusAI {
         // Randomly select next topology (ensuring it's different from current)
         let nextIndex;
         do {
-            nextIndex = Math.floor(Math.random() * this.topologyOptions.length);
+            nextIndex = this.rng.int(this.topologyOptions.length);
         } while (this.topologyOptions[nextIndex] === this.currentTopology);
 
         this.currentTopology = this.topologyOptions[nextIndex];
@@ -220,7 +259,7 @@ export class GeniusAI {
             return 'BASIC'; // Fallback if no strategy
         }
 
-        const roll = Math.random();
+        const roll = this.rng.next();
         let cumulative = 0;
 
         for (const [type, probability] of Object.entries(counterStrategy.enemyMix)) {
@@ -242,7 +281,7 @@ export class GeniusAI {
         }
 
         const pathIndex = counterStrategy.preferredPaths[
-            Math.floor(Math.random() * counterStrategy.preferredPaths.length)
+            this.rng.int(counterStrategy.preferredPaths.length)
         ];
         
         if (this.levelManager.paths && this.levelManager.paths[pathIndex]) {
@@ -0,0 +1,102 @@
+/**
+ * LINEAR_Q.JS - Linear Q-Function Approximation
+ * Q(s, a) = w_a · φ(s): one weight per feature for every action.
+ * Weights are kept by name so a saved model survives features or actions
+ * being added (unknown names start at zero).
+ */
+
+import Random from '../core/Random.js';
+
+export class LinearQ {
+    /**
+     * @param {Array<string>} features - Feature names, in the order feature vectors use
+     * @param {Array<string>} actions - Action ids
+     * @param {Random} rng - Breaks ties between equally valued actions
+     */
+    constructor(features, actions, rng = new Random()) {
+        this.features = features;
+        this.actions = actions;
+        this.rng = rng;
+        this.weights = {};
+        actions.forEach(action => {
+            this.weights[action] = new Array(features.length).fill(0);
+        });
+    }
+
+    /**
+     * Estimated value of an action in a state
+     * @param {Array<number>} phi - Feature vector
+     */
+    predict(phi, action) {
+        const w = this.weights[action];
+        let q = 0;
+        for (let i = 0; i < phi.length; i++) {
+            q += w[i] * phi[i];
+        }
+        return q;
+    }
+
+    /**
+     * Highest-valued action (ties broken at random)
+     */
+    best(phi) {
+        const values = this.actions.map(action => this.predict(phi, action));
+        const top = Math.max(...values);
+        return this.rng.pick(this.actions.filter((action, i) => values[i] === top));
+    }
+
+    /**
+     * Value of the best action
+     */
+    max(phi) {
+        return Math.max(...this.actions.map(action => this.predict(phi, action)));
+    }
+
+    /**
+     * Move Q(s, a) towards a target (normalized step, so one update shifts
+     * the estimate by alpha·error whatever the feature magnitudes)
+     * @returns {number} TD error before the update
+     */
+    update(phi, action, target, alpha) {
+        const error = target - this.predict(phi, action);
+        const norm = phi.reduce((sum, x) => sum + x * x, 0);
+        if (norm === 0) return error;
+
+        const w = this.weights[action];
+        const step = alpha * error / norm;
+        for (let i = 0; i < phi.length; i++) {
+            w[i] += step * phi[i];
+        }
+        return error;
+    }
+
+    /**
+     * Weights as { action: { feature: weight } }
+     */
+    toJSON() {
+        const weights = {};
+        this.actions.forEach(action => {
+            weights[action] = {};
+            this.features.forEach((feature, i) => {
+                weights[action][feature] = this.weights[action][i];
+            });
+        });
+        return { features: [...this.features], actions: [...this.actions], weights };
+    }
+
+    /**
+     * Load weights saved by toJSON (matched by name)
+     */
+    load(data) {
+        if (!data || typeof data.weights !== 'object') {
+            throw new Error('Q-function data has no weights');
+        }
+
+        this.actions.forEach(action => {
+            const saved = data.weights[action] || {};
+            this.weights[action] = this.features.map(feature => Number(saved[feature]) || 0);
+        });
+    }
+}
+
+export default LinearQ;
@@ -5,12 +5,16 @@
 
 import Config from '../utils/Config.js';
 import Graphics from '../utils/Graphics.js';
+import Tower from '../entities/Tower.js';
+import StackelbergSolver from './StackelbergSolver.js';
 
 export class PerfectAI {
     constructor(levelManager) {
         this.levelManager = levelManager;
+        this.rng = levelManager.rng;
         this.analysis = null;
         this.perfectStrategy = null;
+        this.solver = new StackelbergSolver(levelManager);
     }
 
     /**
@@ -19,23 +23,34 @@ export class PerfectAI {
     analyzeTowerCoverage(towers) {
         const coverage = {};
         const nodes = this.levelManager.nodes;
+        const links = Tower.findSynergies(towers);
 
         // Calculate damage potential at each node
         nodes.forEach((node, index) => {
             let totalDamage = 0;
-            let firepower = { Firewall: 0, IDS: 0, Honeypot: 0 };
+            const firepower = this.perTowerType();
+            const dpsByType = this.perTowerType();
 
             towers.forEach(tower => {
                 const dist = Graphics.distance(tower.x, tower.y, node.x, node.y);
+                // Range, damage and fire rate all reflect the tower's tier
                 if (dist <= tower.range) {
-                    totalDamage += tower.damage * (1 / (tower.cooldownMax / 1000)); // DPS
+                    totalDamage += tower.getDamagePerSecond();
                     firepower[tower.type] += tower.damage;
+                    dpsByType[tower.type] += tower.getDamagePerSecond();
                 }
             });
 
+            // Linked towers hit harder wherever they reach
+            const synergyDps = links
+                .filter(({ tower }) => Graphics.distance(tower.x, tower.y, node.x, node.y) <= tower.range)
+                .map(({ synergy, tower }) => ({ synergy, dps: tower.getDamagePerSecond() }));
+
             coverage[index] = {
                 damagePerSecond: totalDamage,
                 firepower,
+                dpsByType,
+                synergyDps,
                 isCovered: totalDamage > 0
             };
         });
@@ -43,6 +58,13 @@ export class PerfectAI {
         return coverage;
     }
 
+    /**
+     * Zeroed tally keyed by every tower type
+     */
+    perTowerType() {
+        return Object.fromEntries(Object.keys(Config.TOWERS).map(type => [type, 0]));
+    }
+
     /**
      * Find weakest paths through the network
      */
@@ -54,10 +76,16 @@ export class PerfectAI {
             let totalDamage = 0;
             let minDamage = Infinity;
             let weakestNode = null;
+            const dpsByType = this.perTowerType();
+            const synergyDps = [];
 
             path.forEach(nodeIndex => {
                 const nodeCoverage = coverage[nodeIndex];
                 totalDamage += nodeCoverage.damagePerSecond;
+                Object.keys(dpsByType).forEach(type => {
+                    dpsByType[type] += nodeCoverage.dpsByType[type];
+                });
+                synergyDps.push(...nodeCoverage.synergyDps);
 
                 if (nodeCoverage.damagePerSecond < minDamage) {
                     minDamage = nodeCoverage.damagePerSecond;
@@ -69,6 +97,8 @@ export class PerfectAI {
                 pathIndex: index,
                 path,
                 totalDamage,
+                dpsByType,
+                synergyDps,
                 weakestNode,
                 minDamage,
                 avgDamagePerNode: totalDamage / path.length
@@ -94,20 +124,22 @@ export class PerfectAI {
             'FAST': { 'FW_HEAVY': 0.1, 'IDS_HEAVY': 0.8, 'BALANCED': 0.5 },
             'TANK': { 'FW_HEAVY': 0.6, 'IDS_HEAVY': 0.3, 'BALANCED': 0.4 },
             'STEALTH': { 'FW_HEAVY': 0.9, 'IDS_HEAVY': 0.2, 'BALANCED': 0.4 },
-            'ENCRYPTED': { 'FW_HEAVY': 0.8, 'IDS_HEAVY': 0.4, 'BALANCED': 0.5 },
-            'ADAPTIVE': { 'FW_HEAVY': 0.7, 'IDS_HEAVY': 0.6, 'BALANCED': 0.8 },
+            'ENCRYPTED': { 'FW_HEAVY': 0.8, 'IDS_HEAVY': 0.3, 'BALANCED': 0.5 }, // IDS decrypts
+            'ADAPTIVE': { 'FW_HEAVY': 0.8, 'IDS_HEAVY': 0.7, 'BALANCED': 0.4 }, // Resists one-note defenses
             'LEGITIMATE': { 'FW_HEAVY': 1.0, 'IDS_HEAVY': 1.0, 'BALANCED': 1.0 } // Always passes
         };
 
         const strategy = {};
         const towers = this.levelManager.committedTowers || [];
 
-        // Determine Defender Posture (Column)
-        const fCount = towers.filter(t => t.type === 'Firewall').length;
-        const iCount = towers.filter(t => t.type === 'IDS').length;
+        // Determine Defender Posture (Column) from tower families, weighting upgraded towers
+        const { Firewall: fCount, IDS: iCount } = Tower.getFamilyWeights(towers);
         const posture = fCount > iCount * 1.5 ? 'FW_HEAVY' : (iCount > fCount ? 'IDS_HEAVY' : 'BALANCED');
 
-        console.log(`[Stackelberg] Defender Posture: ${posture}`);
+        this.levelManager.log(`[Stackelberg] Defender Posture: ${posture}`);
+
+        // Committed targeting modes tell us which enemy types the towers will hunt first
+        const focus = Tower.getTargetingFocus(towers);
 
         pathAnalysis.forEach(pathInfo => {
             const pathId = pathInfo.pathIndex;
@@ -122,9 +154,9 @@ export class PerfectAI {
             const weights = {};
 
             candidates.forEach(type => {
-                // Heuristic: Payoff * (1 / PathResistance)
-                const payoff = payoffMatrix[type][posture];
-                const pathWeakness = 100 / (pathInfo.totalDamage + 1);
+                // Heuristic: Payoff * (1 / PathResistance), resistance as this type feels it
+                const payoff = payoffMatrix[type][posture] * (1 - Config.TARGETING.FOCUS_WEIGHT * (focus[type] || 0));
+                const pathWeakness = 100 / (this.getEffectiveDamage(type, pathInfo.dpsByType, pathInfo.synergyDps) + 1);
                 weights[type] = payoff * pathWeakness;
                 totalWeight += weights[type];
             });
@@ -145,6 +177,52 @@ export class PerfectAI {
         return strategy;
     }
 
+    /**
+     * Damage multiplier each tower type deals to an enemy type along a path
+     * @param {string} enemyType - Key of Config.ENEMIES
+     * @param {Object} dpsByType - Path firepower per tower type
+     * @returns {Object} Multiplier per tower type
+     */
+    getEffectiveness(enemyType, dpsByType) {
+        const enemy = Config.ENEMIES[enemyType];
+        const effectiveness = {};
+
+        // Each tower's damageVs rules (stealth immunity, specialist bonuses)
+        Object.entries(Config.TOWERS).forEach(([type, tower]) => {
+            effectiveness[type] = Tower.getDamageMultiplier(tower, enemyType);
+        });
+
+        if (enemy.encrypted) {
+            // Packets stay encrypted until the first decrypting hit; assume that lands halfway along
+            const reduced = enemy.encryptedDamageMultiplier;
+            const decrypted = Object.keys(dpsByType).some(type => Config.TOWERS[type].decrypts && dpsByType[type] > 0);
+            const multiplier = decrypted ? (reduced + 1) / 2 : reduced;
+            Object.keys(effectiveness).forEach(type => {
+                if (!Config.TOWERS[type].decrypts) effectiveness[type] *= multiplier;
+            });
+        }
+
+        if (enemy.adaptive) {
+            // Packets learn to resist whichever tower type dominates the path
+            const dominant = Object.keys(dpsByType).reduce((a, b) => (dpsByType[b] > dpsByType[a] ? b : a));
+            if (dpsByType[dominant] > 0) {
+                effectiveness[dominant] = 1 - enemy.adaptMaxResistance;
+            }
+        }
+
+        return effectiveness;
+    }
+
+    /**
+     * Path firepower as felt by an enemy type, plus what linked towers add
+     * @param {Array<Object>} synergyDps - { synergy, dps } for each linked tower covering the path
+     */
+    getEffectiveDamage(enemyType, dpsByType, synergyDps = []) {
+        const effectiveness = this.getEffectiveness(enemyType, dpsByType);
+        const base = Object.keys(dpsByType).reduce((sum, type) => sum + dpsByType[type] * effectiveness[type], 0);
+        return synergyDps.reduce((sum, { synergy, dps }) => sum + dps * Tower.getSynergyGain(synergy, enemyType), base);
+    }
+
     /**
      * Analyze committed defense and generate perfect counter
      */
@@ -162,16 +240,17 @@ export class PerfectAI {
         const defenseValue = this.calculateDefenseValue(coverage);
         const attackValue = this.calculateAttackValue(optimalAttack);
 
+        // Step 4: Measure the commitment against the security game's equilibrium
+        const equilibrium = this.solver.getEquilibrium();
+        const commitment = this.solver.evaluateCommitment(towers);
+
         this.analysis = {
             coverage,
             pathAnalysis,
             defenseValue,
             attackValue,
-            equilibrium: {
-                defenderUtility: defenseValue,
-                attackerUtility: attackValue,
-                isOptimal: true
-            }
+            equilibrium,
+            commitment
         };
 
         this.perfectStrategy = optimalAttack;
@@ -231,7 +310,7 @@ export class PerfectAI {
         }
 
         const strategy = this.perfectStrategy[pathIndex];
-        const roll = Math.random();
+        const roll = this.rng.next();
         let cumulative = 0;
 
         for (const [type, probability] of Object.entries(strategy.enemyMix)) {
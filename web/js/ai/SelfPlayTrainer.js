@@ -0,0 +1,147 @@
+/**
+ * SELF_PLAY_TRAINER.JS - Headless Attacker vs Defender Training
+ * Plays Level 4 episodes between the EconomicRL attacker and a defender bot,
+ * carrying both sides' weights from one episode to the next.
+ * DOM-free: runs under Node (scripts/train.js) as well as in the browser.
+ */
+
+import { Simulation } from '../gameplay/Simulation.js';
+import { ScriptedDefender, LearningDefender, getDefenderReward } from './DefenderBot.js';
+import { AgentBot, createDefenderAgent } from './DefenderAgent.js';
+import Config from '../utils/Config.js';
+import { Random } from '../core/Random.js';
+
+export class SelfPlayTrainer {
+    /**
+     * @param {Object} options - { defender: 'scripted'|'learning'|DEFENDER_AGENTS key, waves, seed, epsilon, defenderEpsilon, attacker, defenderWeights, verbose }
+     * - epsilon: attacker exploration at the first episode, decayed per episode to RL_PARAMS.minEpsilon
+     * - attacker / defenderWeights: exported weights to resume from (otherwise both start at zero)
+     */
+    constructor(options = {}) {
+        this.level = Config.LEVELS.find(l => l.aiType === 'ECONOMIC_RL');
+        this.waves = options.waves || 10;
+        this.verbose = options.verbose || false;
+
+        this.seed = options.seed ?? Random.generateSeed();
+        this.matchSeeds = new Random(this.seed);
+
+        this.attackerWeights = options.attacker || null;
+        this.epsilon = options.epsilon ?? this.attackerWeights?.epsilon ?? 1.0;
+
+        this.defenderType = options.defender || 'scripted';
+        this.defender = this.createDefender(this.defenderType, options);
+        if (options.defenderWeights && this.defender.importWeights) {
+            this.defender.importWeights(options.defenderWeights);
+        }
+
+        this.episode = this.attackerWeights?.episodes || 0;
+        this.history = []; // One entry per episode played
+    }
+
+    /**
+     * Defender bot by name
+     */
+    createDefender(type, options) {
+        if (type === 'learning') return new LearningDefender({ epsilon: options.defenderEpsilon });
+        if (type === 'scripted') return new ScriptedDefender();
+
+        const agent = createDefenderAgent(type);
+        if (!agent) throw new Error(`Unknown defender: ${type}`);
+        return new AgentBot(agent);
+    }
+
+    /**
+     * Play one episode
+     * @returns {Object} { episode, attackerReward, defenderReward, leakRate, epsilon, outcome, waves }
+     */
+    playEpisode() {
+        const sim = new Simulation(this.level, { seed: this.matchSeeds.int(4294967296), quiet: !this.verbose });
+        const lm = sim.levelManager;
+        const rl = lm.economicRL;
+
+        // Never touch the player's saved weights; start from zero, not the shipped model
+        rl.persistent = false;
+        if (this.attackerWeights) {
+            rl.importWeights(this.attackerWeights);
+        } else {
+            rl.reset();
+        }
+        rl.epsilon = this.epsilon;
+
+        let defenderReward = 0;
+        let totals = { blocked: 0, leaked: 0 };
+        const defender = this.defender;
+
+        defender.attach(sim);
+        sim.events.on('waveStarted', () => {
+            const wave = {
+                blocked: lm.packetsBlocked - totals.blocked,
+                leaked: lm.packetsLeaked - totals.leaked
+            };
+            totals = { blocked: lm.packetsBlocked, leaked: lm.packetsLeaked };
+            defender.onWaveEnd(sim, wave);
+            defenderReward += getDefenderReward(wave);
+            defender.onWaveStart(sim);
+        });
+
+        sim.start();
+        defender.onWaveStart(sim);
+        const result = sim.run(Config.SIMULATION.MAX_TICKS, s => s.levelManager.wave > this.waves);
+        defender.detach();
+
+        this.episode++;
+        rl.totalEpisodes = this.episode;
+        this.attackerWeights = rl.exportWeights();
+
+        const { epsilonDecay, minEpsilon } = Config.RL_PARAMS;
+        this.epsilon = Math.max(minEpsilon, this.epsilon * epsilonDecay);
+
+        const resolved = result.packetsBlocked + result.packetsLeaked;
+        const entry = {
+            episode: this.episode,
+            attackerReward: rl.episodeReward,
+            defenderReward,
+            leakRate: resolved > 0 ? result.packetsLeaked / resolved : 0,
+            epsilon: rl.epsilon,
+            outcome: result.outcome,
+            waves: result.wave
+        };
+        this.history.push(entry);
+        return entry;
+    }
+
+    /**
+     * Play several episodes
+     * @param {Function} onEpisode - Called with each history entry
+     */
+    train(episodes, onEpisode = () => { }) {
+        for (let i = 0; i < episodes; i++) {
+            onEpisode(this.playEpisode());
+        }
+        return this.history;
+    }
+
+    /**
+     * Mean of a history field over the last n episodes
+     */
+    movingAverage(field, n = 50) {
+        const recent = this.history.slice(-n);
+        if (recent.length === 0) return 0;
+        return recent.reduce((sum, entry) => sum + entry[field], 0) / recent.length;
+    }
+
+    /**
+     * Both sides' weights, for checkpoints and the shipped models
+     */
+    exportCheckpoint() {
+        return {
+            seed: this.seed,
+            episode: this.episode,
+            defender: this.defenderType,
+            attacker: this.attackerWeights,
+            defenderWeights: this.defender.exportWeights ? this.defender.exportWeights() : null
+        };
+    }
+}
+
+export default SelfPlayTrainer;
@@ -0,0 +1,347 @@
+/**
+ * STACKELBERG_SOLVER.JS - Strong Stackelberg Equilibrium for Level 3
+ * A security game on the level's network. A pure defender strategy spends the
+ * starting budget on towers (of the securityGame types) at chokepoints; the
+ * defender commits to a mix of those. The attacker sees the mix (not the draw)
+ * and answers with its best route to the core and threat type.
+ *
+ * Solved exactly with one LP per attack (Conitzer & Sandholm's multiple-LPs
+ * method): fix the attack the attacker must end up preferring, find the mix
+ * best for the defender among those that make it so, keep the best over all
+ * attacks. The attacker breaks ties in the defender's favour, which is what
+ * makes the equilibrium a strong one.
+ *
+ * Pure strategies are enumerated outright, which grows exponentially with the
+ * chokepoints (up to (tower types + 1)^chokepoints budgets), so the solver gives
+ * up past MAX_PLANS; Level 3 has 31. Towers are modelled at base tier, which is
+ * why the level offers only the modelled types and no upgrades.
+ */
+
+import Config from '../utils/Config.js';
+import Graphics from '../utils/Graphics.js';
+import LinearProgram from '../utils/LinearProgram.js';
+import Tower from '../entities/Tower.js';
+
+// Mixes below this weight are solver noise (also the tolerance for utility ties)
+export const EPSILON = 1e-6;
+
+// Budget plans the enumeration may examine before the game counts as too big to solve
+export const MAX_PLANS = 5000;
+
+/**
+ * Do any of a route's links pass within range of a point?
+ */
+function reachesRoute(nodes, x, y, range, route) {
+    return route.some((nodeIndex, i) => {
+        const node = nodes[nodeIndex];
+        if (i === 0) return Graphics.distance(x, y, node.x, node.y) <= range;
+        const from = nodes[route[i - 1]];
+        return Graphics.distanceToSegment(x, y, from.x, from.y, node.x, node.y) <= range;
+    });
+}
+
+/**
+ * Share of a threat's health a base-tier tower of this type takes per second
+ */
+function getKillRate(type, threat) {
+    const config = Config.TOWERS[type];
+    const enemy = Config.ENEMIES[threat];
+    let multiplier = Tower.getDamageMultiplier(config, threat);
+    if (enemy.encrypted && !config.decrypts) {
+        multiplier *= enemy.encryptedDamageMultiplier;
+    }
+    return (config.damage * (1000 / config.cooldown) * multiplier) / enemy.health;
+}
+
+/**
+ * Strong Stackelberg Equilibrium of a bimatrix game, defender leading
+ * @param {Array<Array<number>>} defender - Defender utility [strategy][target]
+ * @param {Array<Array<number>>} attacker - Attacker utility [strategy][target]
+ * @returns {Object|null} { mix, target, defenderUtility, attackerUtility }, the mix one
+ *   probability per defender strategy; null if there are no strategies
+ */
+export function solveStrongStackelberg(defender, attacker) {
+    const strategies = defender.length;
+    if (strategies === 0) return null;
+    const targets = defender[0].length;
+
+    let best = null;
+    for (let t = 0; t < targets; t++) {
+        // The attacker must like t at least as much as any other target
+        const constraints = [{ coefficients: new Array(strategies).fill(1), type: '=', value: 1 }];
+        for (let other = 0; other < targets; other++) {
+            if (other === t) continue;
+            constraints.push({
+                coefficients: attacker.map(row => row[t] - row[other]),
+                type: '>=',
+                value: 0
+            });
+        }
+
+        const result = LinearProgram.maximize(defender.map(row => row[t]), constraints);
+        if (result.status !== 'optimal') continue;
+        if (best && result.value <= best.defenderUtility + EPSILON) continue;
+
+        const mix = result.solution.map(q => (q > EPSILON ? q : 0));
+        const sum = mix.reduce((s, q) => s + q, 0);
+        best = {
+            mix: mix.map(q => q / sum),
+            target: t,
+            defenderUtility: result.value,
+            attackerUtility: result.solution.reduce((s, q, i) => s + q * attacker[i][t], 0)
+        };
+    }
+    return best;
+}
+
+export class StackelbergSolver {
+    constructor(levelManager) {
+        this.levelManager = levelManager;
+        this.game = levelManager.level.securityGame;
+        this.equilibrium = undefined; // Not solved yet (null: no equilibrium)
+    }
+
+    /**
+     * Tower types the defender mixes over: the level's own
+     */
+    getTowerTypes() {
+        return this.levelManager.getTowersAvailable();
+    }
+
+    /**
+     * Threat types the attacker chooses from (legitimate traffic isn't the attacker's)
+     */
+    getThreats() {
+        const threats = (this.levelManager.level.enemyTypes || []).filter(type => !Config.ENEMIES[type]?.legitimate);
+        return threats.length > 0 ? threats : ['BASIC'];
+    }
+
+    /**
+     * Every simple route from the first source to the first goal, shortest first
+     */
+    getRoutes() {
+        const lm = this.levelManager;
+        return lm.findAllPaths(lm.sources[0], lm.goals[0]).sort((a, b) => a.length - b.length);
+    }
+
+    /**
+     * Pure strategies: ways to spend the starting budget on chokepoint towers
+     * (within the tower limit) that leave nothing else affordable
+     * @param {number} maxPlans - Budget plans to examine before giving up
+     * @returns {Array<Array<Object>>|null} Each a list of { node, tower }; null past maxPlans
+     */
+    getStrategies(maxPlans = MAX_PLANS) {
+        const lm = this.levelManager;
+        const types = this.getTowerTypes();
+        const limit = lm.level.towerLimit ?? Infinity;
+        const strategies = [];
+        let plans = 0;
+
+        const place = (index, money, placements) => {
+            if (plans > maxPlans) return;
+            if (index === lm.chokepoints.length) {
+                plans++;
+                const full = placements.length >= limit || placements.length === lm.chokepoints.length ||
+                    types.every(type => Config.TOWERS[type].cost > money);
+                if (full) strategies.push(placements);
+                return;
+            }
+
+            const node = lm.chokepoints[index];
+            place(index + 1, money, placements);
+            if (placements.length >= limit) return;
+            types.forEach(tower => {
+                const cost = Config.TOWERS[tower].cost;
+                if (cost <= money) place(index + 1, money - cost, [...placements, { node, tower }]);
+            });
+        };
+        place(0, lm.calculateStartingMoney(), []);
+
+        return plans > maxPlans ? null : strategies;
+    }
+
+    /**
+     * Chance a threat is stopped on a route, from the kill rate of the towers it
+     * passes in range of (summed over them)
+     */
+    getStopChance(killRate) {
+        return 1 - Math.exp(-this.game.exposure * killRate);
+    }
+
+    /**
+     * Both sides' utilities for an attack stopped with this chance
+     */
+    getUtilities(stopped) {
+        const { defender, attacker } = this.game;
+        return {
+            stopped,
+            defender: stopped * defender.caught + (1 - stopped) * defender.breached,
+            attacker: stopped * attacker.caught + (1 - stopped) * attacker.breached
+        };
+    }
+
+    /**
+     * The level's equilibrium, solved on first use
+     */
+    getEquilibrium() {
+        if (this.equilibrium === undefined) {
+            this.solve();
+        }
+        return this.equilibrium;
+    }
+
+    /**
+     * Solve the level's security game
+     * @returns {Object|null} { coverage, mix, route, threat, defenderUtility, attackerUtility },
+     *   or null if the game has too many pure strategies to enumerate
+     * - coverage: chance each chokepoint holds each tower type (node → type → probability)
+     * - mix: the pure strategies played, { placements: [{ node, tower }], probability }
+     * - route / threat: the attacker's best response to the mix
+     */
+    solve() {
+        const lm = this.levelManager;
+        const types = this.getTowerTypes();
+        const threats = this.getThreats();
+
+        // Routes each tower type reaches from the same chokepoints are the same route to the solver
+        const routes = new Map();
+        this.getRoutes().forEach(route => {
+            const reach = Object.fromEntries(types.map(type => [type, lm.chokepoints.filter(node =>
+                reachesRoute(lm.nodes, lm.nodes[node].x, lm.nodes[node].y, Config.TOWERS[type].range, route)
+            )]));
+            const key = types.map(type => reach[type].join(',')).join('|');
+            if (!routes.has(key)) routes.set(key, { route, reach });
+        });
+
+        const targets = [...routes.values()].flatMap(({ route, reach }) =>
+            threats.map(threat => ({ route, reach, threat }))
+        );
+
+        const strategies = this.getStrategies();
+        if (!strategies) {
+            this.equilibrium = null;
+            return null;
+        }
+
+        const payoffs = strategies.map(placements => targets.map(({ reach, threat }) => {
+            const killRate = placements
+                .filter(({ node, tower }) => reach[tower].includes(node))
+                .reduce((sum, { tower }) => sum + getKillRate(tower, threat), 0);
+            return this.getUtilities(this.getStopChance(killRate));
+        }));
+
+        const solution = solveStrongStackelberg(
+            payoffs.map(row => row.map(u => u.defender)),
+            payoffs.map(row => row.map(u => u.attacker))
+        );
+        this.equilibrium = null;
+        if (!solution) return null;
+
+        const coverage = Object.fromEntries(lm.chokepoints.map(node =>
+            [node, Object.fromEntries(types.map(type => [type, 0]))]
+        ));
+        const mix = [];
+        strategies.forEach((placements, i) => {
+            const probability = solution.mix[i];
+            if (probability === 0) return;
+            placements.forEach(({ node, tower }) => { coverage[node][tower] += probability; });
+            mix.push({ placements, probability });
+        });
+
+        const attack = targets[solution.target];
+        this.equilibrium = {
+            coverage,
+            mix,
+            route: attack.route,
+            threat: attack.threat,
+            defenderUtility: solution.defenderUtility,
+            attackerUtility: solution.attackerUtility
+        };
+        return this.equilibrium;
+    }
+
+    /**
+     * Where a committed tower may stand during the battle: both ends of its
+     * patrol, or where it was built
+     * @returns {Array<Object>} { x, y, probability }
+     */
+    getPositions(tower) {
+        if (!tower.patrol) return [{ x: tower.x, y: tower.y, probability: 1 }];
+
+        const { home, node, share } = tower.patrol;
+        const nodes = this.levelManager.nodes;
+        return [
+            { x: nodes[home].x, y: nodes[home].y, probability: 1 - share },
+            { x: nodes[node].x, y: nodes[node].y, probability: share }
+        ];
+    }
+
+    /**
+     * Score a commitment (the player's towers, patrols included) against the equilibrium,
+     * valuing each tower the way the game does (base tier of its type). Patrolling
+     * towers are drawn independently, so a threat's chance of getting through is the
+     * product over towers of its expected chance of slipping past each
+     * @param {Array<Tower>} towers
+     * @returns {Object|null} { coverage, route, threat, stopped, defenderUtility, attackerUtility, utilityGap, coverageDistance }
+     * - coverage: chance a tower of each type stands on each chokepoint (node → type → probability, capped at 1)
+     * - route / threat: the attacker's best response to the commitment
+     * - stopped / utilities: expected over the patrols' draws
+     * - utilityGap: equilibrium defender utility minus this commitment's
+     * - coverageDistance: Σ |equilibrium coverage − coverage| over chokepoints and types
+     */
+    evaluateCommitment(towers) {
+        const lm = this.levelManager;
+        const equilibrium = this.getEquilibrium();
+        if (!equilibrium) return null;
+
+        const positions = towers.map(tower => this.getPositions(tower));
+
+        // The attacker's best attack, ties to the one the defender likes best (then the shortest route)
+        let best = null;
+        this.getRoutes().forEach(route => {
+            // Chance each tower stands where it reaches the route
+            const reach = towers.map((tower, i) => positions[i].reduce((sum, { x, y, probability }) =>
+                reachesRoute(lm.nodes, x, y, Config.TOWERS[tower.type].range, route) ? sum + probability : sum, 0));
+
+            this.getThreats().forEach(threat => {
+                const survived = towers.reduce((chance, tower, i) => {
+                    const slip = Math.exp(-this.game.exposure * getKillRate(tower.type, threat));
+                    return chance * (1 - reach[i] + reach[i] * slip);
+                }, 1);
+                const utilities = this.getUtilities(1 - survived);
+
+                if (!best || utilities.attacker > best.attacker + EPSILON ||
+                    (Math.abs(utilities.attacker - best.attacker) <= EPSILON && utilities.defender > best.defender + EPSILON)) {
+                    best = { route, threat, ...utilities };
+                }
+            });
+        });
+        if (!best) return null;
+
+        const coverage = {};
+        let coverageDistance = 0;
+        lm.chokepoints.forEach(nodeIndex => {
+            const node = lm.nodes[nodeIndex];
+            coverage[nodeIndex] = {};
+            Object.entries(equilibrium.coverage[nodeIndex]).forEach(([type, probability]) => {
+                const held = towers.reduce((sum, tower, i) => tower.type !== type ? sum :
+                    positions[i].reduce((share, p) => (p.x === node.x && p.y === node.y ? share + p.probability : share), sum), 0);
+                coverage[nodeIndex][type] = Math.min(1, held);
+                coverageDistance += Math.abs(probability - coverage[nodeIndex][type]);
+            });
+        });
+
+        return {
+            coverage,
+            route: best.route,
+            threat: best.threat,
+            stopped: best.stopped,
+            defenderUtility: best.defender,
+            attackerUtility: best.attacker,
+            utilityGap: equilibrium.defenderUtility - best.defender,
+            coverageDistance
+        };
+    }
+}
+
+export default StackelbergSolver;
@@ -0,0 +1,160 @@
+// Generated by scripts/train.js - do not edit
+export default {
+    "version": 1,
+    "features": [
+        "bias",
+        "money",
+        "leakRate",
+        "enemies:BASIC",
+        "enemies:FAST",
+        "enemies:TANK",
+        "enemies:STEALTH",
+        "enemies:ENCRYPTED",
+        "enemies:ADAPTIVE",
+        "towers:Firewall",
+        "towers:IDS",
+        "towers:Honeypot",
+        "towers:Sandbox",
+        "towers:WAF",
+        "towers:Rate Limiter",
+        "towers:SIEM"
+    ],
+    "actions": [
+        "Firewall",
+        "IDS",
+        "Honeypot",
+        "Sandbox",
+        "WAF",
+        "Rate Limiter",
+        "SIEM"
+    ],
+    "weights": {
+        "Firewall": {
+            "bias": 0.7345917260830743,
+            "money": 0.003832569259286843,
+            "leakRate": 0.2737177483280071,
+            "enemies:BASIC": 0.09410574017944218,
+            "enemies:FAST": 0.14400042106284844,
+            "enemies:TANK": 0.21612908364426478,
+            "enemies:STEALTH": 0.17679862258426793,
+            "enemies:ENCRYPTED": 0.18731825078610037,
+            "enemies:ADAPTIVE": 0.0790107911109417,
+            "towers:Firewall": -0.06709631449552331,
+            "towers:IDS": 0.14944488560937902,
+            "towers:Honeypot": -0.046183420657792705,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "IDS": {
+            "bias": 0.6452082342031339,
+            "money": 0.09617980648017022,
+            "leakRate": 0.13520733813344132,
+            "enemies:BASIC": 0.2420285654899868,
+            "enemies:FAST": 0.2839801066364901,
+            "enemies:TANK": 0.29644443939409565,
+            "enemies:STEALTH": 0.15378932499143905,
+            "enemies:ENCRYPTED": 0.23683040849112294,
+            "enemies:ADAPTIVE": 0.1274820775671351,
+            "towers:Firewall": 0.142803876383811,
+            "towers:IDS": -0.00783482805688355,
+            "towers:Honeypot": 0.03698262929611006,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "Honeypot": {
+            "bias": 0.49990526589086093,
+            "money": 0.0640161804371864,
+            "leakRate": 0.16314543423840347,
+            "enemies:BASIC": 0.31007344624938477,
+            "enemies:FAST": 0.3275138201200137,
+            "enemies:TANK": 0.32417509316449344,
+            "enemies:STEALTH": 0.192403456229918,
+            "enemies:ENCRYPTED": 0.22643193281943588,
+            "enemies:ADAPTIVE": 0.10288522090962735,
+            "towers:Firewall": 0.15017908985805367,
+            "towers:IDS": 0.048933452608242646,
+            "towers:Honeypot": 0.007698986711222184,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "Sandbox": {
+            "bias": 0,
+            "money": 0,
+            "leakRate": 0,
+            "enemies:BASIC": 0,
+            "enemies:FAST": 0,
+            "enemies:TANK": 0,
+            "enemies:STEALTH": 0,
+            "enemies:ENCRYPTED": 0,
+            "enemies:ADAPTIVE": 0,
+            "towers:Firewall": 0,
+            "towers:IDS": 0,
+            "towers:Honeypot": 0,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "WAF": {
+            "bias": 0,
+            "money": 0,
+            "leakRate": 0,
+            "enemies:BASIC": 0,
+            "enemies:FAST": 0,
+            "enemies:TANK": 0,
+            "enemies:STEALTH": 0,
+            "enemies:ENCRYPTED": 0,
+            "enemies:ADAPTIVE": 0,
+            "towers:Firewall": 0,
+            "towers:IDS": 0,
+            "towers:Honeypot": 0,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "Rate Limiter": {
+            "bias": 0,
+            "money": 0,
+            "leakRate": 0,
+            "enemies:BASIC": 0,
+            "enemies:FAST": 0,
+            "enemies:TANK": 0,
+            "enemies:STEALTH": 0,
+            "enemies:ENCRYPTED": 0,
+            "enemies:ADAPTIVE": 0,
+            "towers:Firewall": 0,
+            "towers:IDS": 0,
+            "towers:Honeypot": 0,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "SIEM": {
+            "bias": 0,
+            "money": 0,
+            "leakRate": 0,
+            "enemies:BASIC": 0,
+            "enemies:FAST": 0,
+            "enemies:TANK": 0,
+            "enemies:STEALTH": 0,
+            "enemies:ENCRYPTED": 0,
+            "enemies:ADAPTIVE": 0,
+            "towers:Firewall": 0,
+            "towers:IDS": 0,
+            "towers:Honeypot": 0,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        }
+    },
+    "epsilon": 0.1
+};
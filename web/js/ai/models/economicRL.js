@@ -0,0 +1,189 @@
+// Generated by scripts/train.js - do not edit
+export default {
+    "version": 1,
+    "features": [
+        "bias",
+        "credits",
+        "wave",
+        "leakRate",
+        "recentLeakRate",
+        "coverageWeakest",
+        "coverageShortest",
+        "coverageMean",
+        "towers:Firewall",
+        "towers:IDS",
+        "towers:Honeypot",
+        "towers:Sandbox",
+        "towers:WAF",
+        "towers:Rate Limiter",
+        "towers:SIEM"
+    ],
+    "actions": [
+        "AGGRESSIVE/WEAKEST",
+        "AGGRESSIVE/SHORTEST",
+        "AGGRESSIVE/SPREAD",
+        "BALANCED/WEAKEST",
+        "BALANCED/SHORTEST",
+        "BALANCED/SPREAD",
+        "DEFENSIVE/WEAKEST",
+        "DEFENSIVE/SHORTEST",
+        "DEFENSIVE/SPREAD"
+    ],
+    "weights": {
+        "AGGRESSIVE/WEAKEST": {
+            "bias": -10.72013831746011,
+            "credits": -5.956476887474512,
+            "wave": -0.6599314129630189,
+            "leakRate": -0.41990350494257955,
+            "recentLeakRate": -0.46307019473047967,
+            "coverageWeakest": -1.2400366471789595,
+            "coverageShortest": -1.2400366471789595,
+            "coverageMean": -1.2400366471789595,
+            "towers:Firewall": -4.113509531270765,
+            "towers:IDS": -1.9891757678667688,
+            "towers:Honeypot": -0.7169038864972318,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "AGGRESSIVE/SHORTEST": {
+            "bias": -10.725507185992004,
+            "credits": -5.932048444733699,
+            "wave": -0.6495379458728391,
+            "leakRate": -0.390586815327183,
+            "recentLeakRate": -0.4773694983705635,
+            "coverageWeakest": -1.2329757910953425,
+            "coverageShortest": -1.2329757910953425,
+            "coverageMean": -1.2329757910953425,
+            "towers:Firewall": -4.139002591619311,
+            "towers:IDS": -1.952046179824701,
+            "towers:Honeypot": -0.718802611866661,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "AGGRESSIVE/SPREAD": {
+            "bias": -10.736908502593991,
+            "credits": -5.900597492614931,
+            "wave": -0.6440538867278099,
+            "leakRate": -0.43585417550422945,
+            "recentLeakRate": -0.4635640703019752,
+            "coverageWeakest": -1.268054399721351,
+            "coverageShortest": -1.268054399721351,
+            "coverageMean": -1.268054399721351,
+            "towers:Firewall": -4.162667108282712,
+            "towers:IDS": -1.981688334926301,
+            "towers:Honeypot": -0.700458780141445,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "BALANCED/WEAKEST": {
+            "bias": -10.714319917387764,
+            "credits": -5.922481273048512,
+            "wave": -0.652733782329364,
+            "leakRate": -0.4205230966794813,
+            "recentLeakRate": -0.4595317148849839,
+            "coverageWeakest": -1.2220849677186787,
+            "coverageShortest": -1.2220849677186787,
+            "coverageMean": -1.2220849677186787,
+            "towers:Firewall": -4.195170727336956,
+            "towers:IDS": -1.9466470959705169,
+            "towers:Honeypot": -0.7185374704178457,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "BALANCED/SHORTEST": {
+            "bias": -10.697307669307994,
+            "credits": -5.938895884057674,
+            "wave": -0.6505951138534721,
+            "leakRate": -0.39240972935641305,
+            "recentLeakRate": -0.46784507266248504,
+            "coverageWeakest": -1.21064828311471,
+            "coverageShortest": -1.21064828311471,
+            "coverageMean": -1.21064828311471,
+            "towers:Firewall": -4.054119494332484,
+            "towers:IDS": -2.048153219603839,
+            "towers:Honeypot": -0.7457432079396099,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "BALANCED/SPREAD": {
+            "bias": -10.69441154151421,
+            "credits": -5.966255600363081,
+            "wave": -0.6760223428276584,
+            "leakRate": -0.39668880941579393,
+            "recentLeakRate": -0.4489506810680403,
+            "coverageWeakest": -1.1714894902197306,
+            "coverageShortest": -1.1714894902197306,
+            "coverageMean": -1.1714894902197306,
+            "towers:Firewall": -4.106787378313927,
+            "towers:IDS": -2.0119118017757387,
+            "towers:Honeypot": -0.7349497625197039,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "DEFENSIVE/WEAKEST": {
+            "bias": -10.710418870381009,
+            "credits": -5.966993034921304,
+            "wave": -0.6580870265116023,
+            "leakRate": -0.3881690030955205,
+            "recentLeakRate": -0.4683646803700375,
+            "coverageWeakest": -1.117777234359776,
+            "coverageShortest": -1.117777234359776,
+            "coverageMean": -1.117777234359776,
+            "towers:Firewall": -4.119016433463305,
+            "towers:IDS": -2.027283039567128,
+            "towers:Honeypot": -0.7231484455396938,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "DEFENSIVE/SHORTEST": {
+            "bias": -11.103003692885167,
+            "credits": -5.644829780823975,
+            "wave": -0.8071108570860884,
+            "leakRate": -0.028935153298404646,
+            "recentLeakRate": -0.1776065447538351,
+            "coverageWeakest": -0.10955508562771223,
+            "coverageShortest": -0.10955508562771223,
+            "coverageMean": -0.10955508562771223,
+            "towers:Firewall": -4.422860592492273,
+            "towers:IDS": -2.023432077526764,
+            "towers:Honeypot": -1.3512816260547122,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        },
+        "DEFENSIVE/SPREAD": {
+            "bias": -10.696381602044413,
+            "credits": -5.938543813952939,
+            "wave": -0.6927602569098925,
+            "leakRate": -0.4262391681328521,
+            "recentLeakRate": -0.5054371835740498,
+            "coverageWeakest": -0.893770806645773,
+            "coverageShortest": -0.893770806645773,
+            "coverageMean": -0.893770806645773,
+            "towers:Firewall": -4.041408658547684,
+            "towers:IDS": -2.1685307006033145,
+            "towers:Honeypot": -0.8413674658624238,
+            "towers:Sandbox": 0,
+            "towers:WAF": 0,
+            "towers:Rate Limiter": 0,
+            "towers:SIEM": 0
+        }
+    },
+    "episodes": 2000,
+    "epsilon": 0.05
+};
@@ -97,6 +97,10 @@ export class GameEngine {
         // Canvas mouse move
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
 
+        // Canvas press/release (dragging in the topology editor)
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseButton('canvasMouseDown', e));
+        this.canvas.addEventListener('mouseup', (e) => this.handleMouseButton('canvasMouseUp', e));
+
         // Keyboard
         window.addEventListener('keydown', (e) => this.handleKeyDown(e));
         window.addEventListener('keyup', (e) => this.handleKeyUp(e));
@@ -140,17 +144,29 @@ export class GameEngine {
      * Handle mouse move
      */
     handleMouseMove(event) {
-        const rect = this.canvas.getBoundingClientRect();
-        let x = event.clientX - rect.left;
-        let y = event.clientY - rect.top;
+        eventBus.emit('canvasMouseMove', { ...this.toDesignCoords(event), event });
+    }
 
-        // Convert to design coordinates (1200x700 space)
+    /**
+     * Handle mouse press or release
+     * @param {string} name - Event to emit ('canvasMouseDown' or 'canvasMouseUp')
+     */
+    handleMouseButton(name, event) {
+        eventBus.emit(name, { ...this.toDesignCoords(event), event });
+    }
+
+    /**
+     * Convert a mouse event to design coordinates (1200x700 space)
+     */
+    toDesignCoords(event) {
+        const rect = this.canvas.getBoundingClientRect();
         const designWidth = 1200;
         const designHeight = 700;
-        x = (x / this.width) * designWidth;
-        y = (y / this.height) * designHeight;
 
-        eventBus.emit('canvasMouseMove', { x, y, event });
+        return {
+            x: ((event.clientX - rect.left) / this.width) * designWidth,
+            y: ((event.clientY - rect.top) / this.height) * designHeight
+        };
     }
 
     /**
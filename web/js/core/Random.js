@@ -0,0 +1,94 @@
+/**
+ * RANDOM.JS - Seeded Random Number Generator
+ * Each Simulation owns one instance and hands it to its level manager, AIs and
+ * entities, so a whole match can be reproduced from a single seed and parallel
+ * matches never share a stream (cosmetic effects may keep Math.random)
+ */
+
+export class Random {
+    /**
+     * @param {number} seed - 32-bit unsigned seed (random if omitted)
+     */
+    constructor(seed = Random.generateSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * True with probability p
+     */
+    chance(p) {
+        return this.next() < p;
+    }
+
+    /**
+     * Fresh unseeded value for when the player doesn't supply one
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Turn player input into a seed: numbers are used as-is, text is hashed
+     * @param {string} value - Raw input
+     * @returns {number|null} Seed, or null for empty input
+     */
+    static parseSeed(value) {
+        const text = String(value ?? '').trim();
+        if (text === '') return null;
+
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+export default Random;
@@ -6,9 +6,17 @@
 import Graphics from '../utils/Graphics.js';
 import Config from '../utils/Config.js';
 import Pathfinding from '../utils/Pathfinding.js';
+import Random from '../core/Random.js';
 
 export class Enemy {
-    constructor(type, path, nodes, edges = null) {
+    /**
+     * @param {string} type - Key of Config.ENEMIES
+     * @param {Array} path - Node indices to travel
+     * @param {Array} nodes - Node positions
+     * @param {Array|null} edges - Edge list, for rerouting
+     * @param {Random} rng - Match RNG (a fresh one outside a Simulation)
+     */
+    constructor(type, path, nodes, edges = null, rng = new Random()) {
         this.type = type;
         this.config = Config.ENEMIES[type];
 
@@ -33,6 +41,7 @@ export class Enemy {
         this.reachedGoal = false;
         this.slowFactor = 1.0;
         this.slowTimer = 0;
+        this.congestion = 1.0; // Share of link speed left on a saturated link (set by the simulation)
 
         // Attraction State
         this.attractionTimer = 0;
@@ -46,12 +55,41 @@ export class Enemy {
         this.distractionTimer = 0; // Legacy support
         this.revealed = !this.config.stealthy;
 
+        // ENCRYPTED: reduced damage until an IDS decrypts the packet
+        this.encrypted = !!this.config.encrypted;
+
+        // ADAPTIVE: damage taken per tower type, and towers seen so far (an APT sees them by scanning)
+        this.damageByTower = {};
+        this.seenTowers = new Map();
+        this.replanPending = false;
+
         // Visual Jitter for path diversity
-        this.offsetX = (Math.random() * 20) - 10;
-        this.offsetY = (Math.random() * 20) - 10;
+        this.offsetX = (rng.next() * 20) - 10;
+        this.offsetY = (rng.next() * 20) - 10;
 
         this.size = this.config.size * Config.GRAPHICS.ENEMY_SIZE_MULTIPLIER;
         this.color = this.config.color;
+
+        // Service tracking (SLA scoring of legitimate traffic)
+        this.travelTime = 0;
+        this.routeLength = this.getRemainingDistance();
+        this.wasSlowed = false;
+        this.wasDiverted = false;
+        this.dropped = false; // Legitimate packet blocked by a false positive
+
+        // Lateral movement: node to dwell on and take over (set by the simulation)
+        this.dwellNode = null;
+        this.dwellTimer = 0;
+        this.compromisedNode = null; // Set once the dwell completes
+
+        // Held in place while a Sandbox inspects it (set by the tower)
+        this.detained = false;
+
+        // Kill-chain campaign packets (set by the simulation): the stage that sent
+        // it, the asset an EXFIL packet carries data from, and towers RECON has mapped
+        this.campaignStage = null;
+        this.stolenFrom = null;
+        this.scanned = new Set();
     }
 
     /**
@@ -60,13 +98,12 @@ export class Enemy {
     update(deltaTime) {
         if (!this.alive || this.reachedGoal) return;
 
+        this.travelTime += deltaTime;
+
         // Update Status Effects
+        // User requested NO slow down when attracted
         if (this.attractionTimer > 0) {
             this.attractionTimer -= deltaTime;
-            // User requested NO slow down when attracted
-            // this.slowFactor = 0.5; 
-        } else {
-            this.slowFactor = 1.0;
         }
 
         if (this.slowTimer > 0) {
@@ -76,13 +113,25 @@ export class Enemy {
             }
         }
 
+        if (this.detained) return;
+
+        // Dwelling on a node to compromise it
+        if (this.dwellTimer > 0) {
+            this.dwellTimer -= deltaTime;
+            if (this.dwellTimer <= 0) {
+                this.compromisedNode = this.dwellNode;
+                this.dwellNode = null;
+            }
+            return;
+        }
+
         // Move towards target node
         const dx = this.targetX - this.x;
         const dy = this.targetY - this.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
 
-        // Apply speed (with slow effect)
-        const effectiveSpeed = this.speed * this.slowFactor * (deltaTime / 16);
+        // Apply speed (with slow effect, link bandwidth and congestion)
+        const effectiveSpeed = this.speed * this.slowFactor * this.getLinkSpeed() * this.congestion * (deltaTime / 16);
 
         if (distance < effectiveSpeed) {
             // Reached target node, move to next
@@ -98,17 +147,24 @@ export class Enemy {
             this.x = this.nodes[nextNodeIndex].x;
             this.y = this.nodes[nextNodeIndex].y;
 
+            if (nextNodeIndex === this.dwellNode) {
+                this.dwellTimer = this.config.dwellTime;
+            }
+
             // If we just reached the honeypot node:
             // User requested NO stopping/pausing at the honeypot node.
             if (nextNodeIndex === this.attractedToNode) {
                 // this.distractionPauseTimer = 1000; // Removed stopping
-                console.log(`[Honeypot] Enemy ${this.type} passed through honeypot node ${this.attractedToNode}`);
-
                 // Mark this honeypot as processed so we don't get attracted again
                 this.processedHoneypots.add(this.attractedToNode);
                 this.attractedToNode = null; // Resume normal behavior (clears the 'Drag Back' trap)
             }
 
+            // ADAPTIVE: re-plan at the node after spotting new towers (honeypot routes take precedence)
+            if (this.replanPending && this.attractedToNode === null && !this.originalPath) {
+                this.replanAroundTowers();
+            }
+
             if (this.currentPathIndex < this.path.length - 1) {
                 const targetNodeIndex = this.path[this.currentPathIndex + 1];
                 this.targetX = this.nodes[targetNodeIndex].x;
@@ -121,25 +177,184 @@ export class Enemy {
         }
     }
 
+    /**
+     * Speed multiplier of the link being travelled (high bandwidth is faster)
+     */
+    getLinkSpeed() {
+        const edge = this.getCurrentEdge();
+        if (!edge) return 1;
+
+        return Math.sqrt(Pathfinding.getCapacity(edge) / Config.LINKS.DEFAULT_CAPACITY);
+    }
+
+    /**
+     * Edge the packet is currently travelling along (null at the goal)
+     */
+    getCurrentEdge() {
+        if (!this.edges || this.currentPathIndex >= this.path.length - 1) return null;
+        return Pathfinding.findEdge(this.edges, this.path[this.currentPathIndex], this.path[this.currentPathIndex + 1]);
+    }
+
     /**
      * Take damage
+     * @param {number} amount - Raw damage
+     * @param {Tower} source - Tower dealing the damage (drives ADAPTIVE resistance)
      */
-    takeDamage(amount) {
+    takeDamage(amount, source = null) {
         if (this.config.legitimate) {
-            // Legitimate traffic should not be damaged
+            // Legitimate traffic is never worn down - a false positive drops it outright
+            if (amount > 0) {
+                this.alive = false;
+                this.dropped = true;
+            }
             return;
         }
 
+        if (this.encrypted) {
+            amount *= this.config.encryptedDamageMultiplier;
+        }
+
+        if (this.config.adaptive && source) {
+            const resistance = this.getResistance(source.type);
+            this.adaptTo(source, amount);
+            amount *= 1 - resistance;
+        }
+
         this.health -= amount;
         if (this.health <= 0) {
             this.alive = false;
         }
     }
 
+    /**
+     * Strip encryption (IDS deep packet inspection)
+     */
+    decrypt() {
+        this.encrypted = false;
+    }
+
+    /**
+     * ADAPTIVE resistance against a tower type (only the type that has hit hardest)
+     * @returns {number} Fraction of damage ignored (0 to adaptMaxResistance)
+     */
+    getResistance(towerType) {
+        if (!this.config.adaptive || towerType !== this.getDominantTowerType()) return 0;
+
+        const learned = this.config.adaptRate * this.damageByTower[towerType] / this.maxHealth;
+        return Math.min(this.config.adaptMaxResistance, learned);
+    }
+
+    /**
+     * Tower type that has dealt this enemy the most damage
+     */
+    getDominantTowerType() {
+        let dominant = null;
+        for (const [type, damage] of Object.entries(this.damageByTower)) {
+            if (dominant === null || damage > this.damageByTower[dominant]) {
+                dominant = type;
+            }
+        }
+        return dominant;
+    }
+
+    /**
+     * Learn from a hit: count damage by tower type and remember where the tower is
+     */
+    adaptTo(tower, amount) {
+        this.damageByTower[tower.type] = (this.damageByTower[tower.type] || 0) + amount;
+        this.noteTower(tower);
+    }
+
+    /**
+     * Remember a tower to route around, re-planning at the next node if it is new
+     */
+    noteTower(tower) {
+        const key = `${tower.x},${tower.y}`;
+        if (!this.seenTowers.has(key)) {
+            this.seenTowers.set(key, { x: tower.x, y: tower.y, range: tower.range });
+            this.replanPending = true;
+        }
+    }
+
+    /**
+     * Map the towers within scan range: RECON reports them if it gets through,
+     * an APT routes around them
+     */
+    scan(towers) {
+        towers.forEach(tower => {
+            if (Graphics.distance(this.x, this.y, tower.x, tower.y) > this.config.scanRange) return;
+
+            this.scanned.add(tower);
+            if (this.config.avoidsTowers) {
+                this.noteTower(tower);
+            }
+        });
+    }
+
+    /**
+     * Re-plan the rest of the route from the current node, avoiding seen tower coverage
+     */
+    replanAroundTowers() {
+        this.replanPending = false;
+        if (!this.edges || this.currentPathIndex >= this.path.length - 1) return;
+
+        const current = this.path[this.currentPathIndex];
+        const goal = this.path[this.path.length - 1];
+        const towers = [...this.seenTowers.values()];
+        const avoidCost = this.config.adaptAvoidCost;
+
+        const route = Pathfinding.findPath(this.nodes, this.edges, current, goal, null, nodeIndex => {
+            const node = this.nodes[nodeIndex];
+            const covering = towers.filter(t => Graphics.distance(t.x, t.y, node.x, node.y) <= t.range);
+            return covering.length * avoidCost;
+        });
+
+        if (route.length < 2) return;
+
+        this.path = route;
+        this.currentPathIndex = 0;
+    }
+
+    /**
+     * Re-plan the rest of the route after links changed (segmentation, isolation)
+     * A packet on a link that was cut turns back to the node it came from
+     * @param {Array} edges - Links now in service
+     * @param {Array} goals - Goals to fall back on when the packet's own goal is cut off
+     */
+    replan(edges, goals = []) {
+        this.edges = edges;
+        if (this.currentPathIndex >= this.path.length - 1) return;
+
+        const prev = this.path[this.currentPathIndex];
+        const next = this.path[this.currentPathIndex + 1];
+        const goal = this.path[this.path.length - 1];
+        const onLink = Pathfinding.findEdge(edges, prev, next) !== null;
+        const from = onLink ? next : prev;
+
+        let route = [];
+        for (const target of [goal, ...goals.filter(g => g !== goal)]) {
+            route = Pathfinding.findPath(this.nodes, edges, from, target);
+            if (route.length > 0) break;
+        }
+        if (route.length === 0) return; // Stranded: finish the old route
+
+        this.path = [onLink ? prev : next, ...route];
+
+        // Honeypot detours are re-evaluated from the new route
+        this.currentPathIndex = 0;
+        this.originalPath = null;
+        this.attractedToNode = null;
+
+        const target = this.nodes[this.path[1]];
+        this.targetX = target.x;
+        this.targetY = target.y;
+    }
+
     /**
      * Apply slow effect
      */
     applySlow(factor, duration = 1000) {
+        this.wasSlowed = true;
         this.slowFactor = Math.min(this.slowFactor, factor);
         this.slowTimer = Math.max(this.slowTimer, duration);
     }
@@ -177,12 +392,16 @@ export class Enemy {
             if (!this.path || this.path.length === 0) return;
             if (this.currentPathIndex >= this.path.length - 1) return; // Must have a next node
 
+            // Packets still crossing a network that has since rotated can't be drawn to the new one
+            if (!this.nodes[nodeId]) return;
+
             // Save original path if this is the first reroute
             if (!this.originalPath) {
                 this.originalPath = [...this.path];
             }
 
             this.attractedToNode = nodeId;
+            this.wasDiverted = true;
 
             // Current Edge: prevNode -> nextNode
             const prevNodeId = this.path[this.currentPathIndex];
@@ -192,20 +411,20 @@ export class Enemy {
             if (prevNodeId === undefined || nextNodeId === undefined) return;
 
             // 1. Calculate path from Prev Node (Reversing)
-            // We need a path: prev -> ... -> HP
-            const pathFromPrev = Pathfinding.findPath(this.nodes, this.edges, prevNodeId, nodeId, false);
+            // We need a path: prev -> ... -> HP (one-way links can't be reversed)
+            const currentEdge = Pathfinding.findEdge(this.edges, prevNodeId, nextNodeId);
+            const pathFromPrev = currentEdge && Pathfinding.isDirected(currentEdge)
+                ? []
+                : Pathfinding.findPath(this.nodes, this.edges, prevNodeId, nodeId);
 
             // 2. Calculate path from Next Node (Continuing)
             // We need a path: next -> ... -> HP
-            const pathFromNext = Pathfinding.findPath(this.nodes, this.edges, nextNodeId, nodeId, false);
+            const pathFromNext = Pathfinding.findPath(this.nodes, this.edges, nextNodeId, nodeId);
 
             // Path from HP to Goal (standard)
-            const pathHpToGoal = Pathfinding.findPath(this.nodes, this.edges, nodeId, goalNodeId, false);
+            const pathHpToGoal = Pathfinding.findPath(this.nodes, this.edges, nodeId, goalNodeId);
 
-            if (pathHpToGoal.length === 0) {
-                console.log('[Honeypot] No path from HP to Goal');
-                return;
-            }
+            if (pathHpToGoal.length === 0) return;
 
             // Determine best route:
             // Calculate physical distances
@@ -258,7 +477,6 @@ export class Enemy {
             const fullPath = [...pathToHp, ...pathHpToGoal.slice(1)];
 
             // Apply
-            console.log(`[Honeypot] Rerouting via ${useNext ? 'Next' : 'Prev'} node. Path: ${fullPath.join('->')}`);
             this.path = fullPath;
             this.currentPathIndex = 0;
 
@@ -320,7 +538,7 @@ export class Enemy {
         if (this.config.stealthy && !this.revealed) {
             // Draw faint outline
             Graphics.drawCircle(ctx, drawX, drawY, this.size,
-                'rgba(100, 100, 100, 0.2)', false);
+                'rgba(100, 100, 100, 0.2)');
             return;
         }
 
@@ -360,6 +578,50 @@ export class Enemy {
             ctx.restore();
         }
 
+        // Compromise progress while dwelling on a node
+        if (this.dwellTimer > 0) {
+            const progress = 1 - this.dwellTimer / this.config.dwellTime;
+            ctx.save();
+            ctx.strokeStyle = Config.COLORS.NODE_COMPROMISED;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(drawX, drawY, this.size + 6, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Encryption shell until decrypted
+        if (this.encrypted) {
+            ctx.save();
+            ctx.strokeStyle = '#9ad4ff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(drawX, drawY, this.size + 3, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Scan sweep (RECON, APT)
+        if (this.config.scanRange) {
+            ctx.save();
+            ctx.globalAlpha = 0.3;
+            Graphics.drawCircle(ctx, drawX, drawY, this.config.scanRange, this.color, false);
+            ctx.restore();
+        }
+
+        // Adaptive resistance ring, colored by the tower type it resists
+        const resisted = this.getDominantTowerType();
+        if (this.config.adaptive && resisted) {
+            ctx.save();
+            ctx.strokeStyle = Config.TOWERS[resisted].color;
+            ctx.lineWidth = 1 + this.getResistance(resisted) * 5;
+            ctx.beginPath();
+            ctx.arc(drawX, drawY, this.size + 3, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
         // Health bar
         if (this.health < this.maxHealth && !this.config.legitimate) {
             const healthPercent = (this.health / this.maxHealth) * 100;
@@ -373,6 +635,21 @@ export class Enemy {
         }
     }
 
+    /**
+     * Distance left along the current path to the goal
+     */
+    getRemainingDistance() {
+        let remaining = Graphics.distance(this.x, this.y, this.targetX, this.targetY);
+
+        for (let i = this.currentPathIndex + 1; i < this.path.length - 1; i++) {
+            const from = this.nodes[this.path[i]];
+            const to = this.nodes[this.path[i + 1]];
+            remaining += Graphics.distance(from.x, from.y, to.x, to.y);
+        }
+
+        return remaining;
+    }
+
     /**
      * Get reward for destroying this enemy
      */
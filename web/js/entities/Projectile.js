@@ -6,7 +6,7 @@
 import Graphics from '../utils/Graphics.js';
 
 export class Projectile {
-    constructor(x, y, target, damage, speed, color, effect = 'none', slowFactor = 1.0, duration = 0, originX = 0, originY = 0) {
+    constructor(x, y, target, damage, speed, color, effect = 'none', slowFactor = 1.0, duration = 0, originX = 0, originY = 0, source = null) {
         this.x = x;
         this.y = y;
         this.target = target;
@@ -21,6 +21,9 @@ export class Projectile {
         this.originX = originX;
         this.originY = originY;
 
+        // Tower that fired this projectile
+        this.source = source;
+
         this.active = true;
         this.size = 4;
     }
@@ -59,13 +62,17 @@ export class Projectile {
         if (!this.target || !this.target.isAlive()) return;
 
         // Apply damage
-        this.target.takeDamage(this.damage);
+        this.target.takeDamage(this.damage, this.source);
+
+        // Deep packet inspection decrypts ENCRYPTED packets for every later hit
+        if (this.source?.config.decrypts) {
+            this.target.decrypt();
+        }
 
         // Apply effect
         if (this.effect === 'slow') {
             this.target.applySlow(this.slowFactor, this.duration);
         } else if (this.effect === 'attract') {
-            console.log('Projectil Hit: applying attraction towards', this.originX, this.originY);
             // Pass origin coordinates for attraction
             this.target.applyAttraction(this.duration, this.originX, this.originY);
         }
@@ -6,13 +6,82 @@
 import Graphics from '../utils/Graphics.js';
 import Config from '../utils/Config.js';
 import Projectile from './Projectile.js';
+import Random from '../core/Random.js';
+
+// Targeting scores (highest wins) for each mode in Config.TARGETING.MODES
+const TARGET_SCORES = {
+    nearest: (tower, enemy) => -Graphics.distance(tower.x, tower.y, enemy.x, enemy.y),
+    first: (tower, enemy) => -enemy.getRemainingDistance(),
+    last: (tower, enemy) => enemy.getRemainingDistance(),
+    strongest: (tower, enemy) => enemy.health,
+    weakest: (tower, enemy) => -enemy.health,
+    fastest: (tower, enemy) => enemy.speed * enemy.slowFactor,
+    stealth: (tower, enemy) => (enemy.config.stealthy ? 1000 : 0) -
+        Graphics.distance(tower.x, tower.y, enemy.x, enemy.y) / 1000
+};
+
+// Per-frame logic and rendering for each Config.TOWERS behavior.
+// targets: picks one packet (targeting modes apply); detects: judges packets
+// with its detection rules (tuning slider applies)
+const BEHAVIORS = {
+    projectile: {
+        update: (tower, deltaTime, enemies) => tower.updateShooter(deltaTime, enemies),
+        render: (tower, ctx) => tower.renderTower(ctx),
+        targets: true,
+        detects: true
+    },
+    attract: {
+        update: (tower, deltaTime, enemies) => tower.updateHoneypot(deltaTime, enemies),
+        render: (tower, ctx) => tower.renderHoneypot(ctx),
+        targets: false,
+        detects: true
+    },
+    detain: {
+        update: (tower, deltaTime, enemies) => tower.updateDetention(deltaTime, enemies),
+        render: (tower, ctx) => tower.renderDetention(ctx),
+        targets: true,
+        detects: true
+    },
+    throttle: {
+        update: (tower, deltaTime, enemies) => tower.updateThrottle(deltaTime, enemies),
+        render: (tower, ctx) => tower.renderThrottle(ctx),
+        targets: false,
+        detects: true
+    },
+    // Boosts are applied to the towers in range by Tower.applyAuras
+    aura: {
+        update: () => {},
+        render: (tower, ctx) => tower.renderAura(ctx),
+        targets: false,
+        detects: false
+    }
+};
+
+// Does a synergy apply to a packet? Keyed by Config.SYNERGIES `when`
+const SYNERGY_CONDITIONS = {
+    revealed: (partner, enemy) => enemy.config.stealthy && enemy.revealed,
+    attracted: (partner, enemy) => partner.enemiesInRange.includes(enemy)
+};
 
 export class Tower {
-    constructor(x, y, type, nodes = null) {
+    /**
+     * @param {number} x - Position
+     * @param {number} y - Position
+     * @param {string} type - Key of Config.TOWERS
+     * @param {Array|null} nodes - Node positions (Honeypots lure to the nearest)
+     * @param {Random} rng - Match RNG for detection rolls (a fresh one outside a Simulation)
+     */
+    constructor(x, y, type, nodes = null, rng = new Random()) {
         this.x = x;
         this.y = y;
         this.type = type;
         this.config = Config.TOWERS[type];
+        this.behavior = BEHAVIORS[this.config.behavior];
+        this.rng = rng;
+
+        // Upgrades (0 = as built)
+        this.tier = 0;
+        this.invested = this.config.cost;
 
         // Combat
         this.damage = this.config.damage;
@@ -20,6 +89,36 @@ export class Tower {
         this.cooldown = 0;
         this.cooldownMax = this.config.cooldown;
         this.target = null;
+        this.targeting = Config.TARGETING.DEFAULT;
+
+        // Detection tuning (0 = permissive, 1 = strict)
+        this.tuning = Config.DETECTION.DEFAULT_TUNING;
+        this.classified = new WeakMap(); // enemy -> flagged? (decided once per packet)
+        this.confusion = null; // Shared { tp, fn, fp, tn } totals, set by the simulation
+
+        // Node the tower stands on (set by the simulation) and whether the
+        // node being compromised has knocked it offline
+        this.node = null;
+        this.disabled = false;
+
+        // Level 3 mixed commitments: { home, node, share } - the tower stands on
+        // `node` for `share` of the battle rounds and on `home` for the rest
+        this.patrol = null;
+
+        // Share of misses and false positives removed by a SIEM in range (set by Tower.applyAuras)
+        this.detectionBoost = 0;
+        this.covered = []; // SIEM: towers currently boosted, for rendering
+
+        // Active { synergy, tower, partner } links on either side (set by Tower.applySynergies)
+        this.synergies = [];
+
+        // Sandbox: packet held for inspection (the cooldown times the inspection),
+        // and packets already released so they are not held twice
+        this.detained = null;
+        this.inspected = new WeakSet();
+
+        // Rate Limiter: is traffic in range dense enough to throttle?
+        this.throttling = false;
 
         // Visual
         this.size = Config.GRAPHICS.TOWER_SIZE;
@@ -30,7 +129,7 @@ export class Tower {
 
         // For Honeypot: find the nearest node
         this.nearestNodeId = null;
-        if (this.type === 'Honeypot' && nodes) {
+        if (this.config.behavior === 'attract' && nodes) {
             this.nearestNodeId = this.findNearestNode(nodes);
         }
 
@@ -42,12 +141,49 @@ export class Tower {
      * Update tower (cooldown, targeting, shooting)
      */
     update(deltaTime, enemies) {
-        // Honeypot works differently - it passively attracts enemies
-        if (this.type === 'Honeypot') {
-            this.updateHoneypot(deltaTime, enemies);
+        if (this.disabled) {
+            this.standDown();
             return;
         }
 
+        this.behavior.update(this, deltaTime, enemies);
+    }
+
+    /**
+     * Drop everything in hand (tower offline or sold)
+     */
+    standDown() {
+        this.target = null;
+        this.enemiesInRange = [];
+        this.projectiles = [];
+        this.throttling = false;
+        this.release();
+    }
+
+    /**
+     * Node the tower was built on, wherever a patrol has it standing now
+     */
+    getHomeNode() {
+        return this.patrol?.home ?? this.node;
+    }
+
+    /**
+     * Stand on another node (Level 3 mixed commitments redeploy towers between rounds)
+     */
+    moveTo(nodeIndex, node) {
+        this.standDown();
+        this.x = node.x;
+        this.y = node.y;
+        this.node = nodeIndex;
+        if (this.config.behavior === 'attract') {
+            this.nearestNodeId = nodeIndex;
+        }
+    }
+
+    /**
+     * Shooting towers: cooldown, targeting and projectiles
+     */
+    updateShooter(deltaTime, enemies) {
         // Update cooldown
         if (this.cooldown > 0) {
             this.cooldown -= deltaTime;
@@ -83,10 +219,9 @@ export class Tower {
         const enemiesInRange = [];
         for (const enemy of enemies) {
             if (!enemy.isAlive()) continue;
-            if (enemy.config.legitimate) continue;
 
             const distance = Graphics.distance(this.x, this.y, enemy.x, enemy.y);
-            if (distance <= this.range) {
+            if (distance <= this.range && this.classify(enemy)) {
                 enemiesInRange.push(enemy);
 
                 // Reroute enemy to pass through honeypot node
@@ -104,8 +239,10 @@ export class Tower {
                     this.y
                 );
 
-                // Apply damage over time
-                enemy.takeDamage(this.damage * (deltaTime / 1000));
+                // Apply damage over time (a misflagged legitimate packet is only diverted)
+                if (!enemy.config.legitimate) {
+                    enemy.takeDamage(this.damage * (deltaTime / 1000), this);
+                }
             }
         }
 
@@ -122,33 +259,317 @@ export class Tower {
     }
 
     /**
-     * Find best target in range
+     * Sandbox: hold one flagged packet while it is inspected, then decrypt and
+     * block it (a detained legitimate packet is only delayed)
+     */
+    updateDetention(deltaTime, enemies) {
+        // Another tower finished the packet off
+        if (this.detained && !this.detained.isAlive()) {
+            this.release();
+        }
+
+        if (this.detained) {
+            this.cooldown -= deltaTime;
+            if (this.cooldown <= 0) {
+                this.inspect();
+            }
+            return;
+        }
+
+        this.target = this.findTarget(enemies);
+        if (this.target) {
+            this.detained = this.target;
+            this.detained.detained = true;
+            this.cooldown = this.cooldownMax;
+        }
+    }
+
+    /**
+     * Finish inspecting the detained packet
+     */
+    inspect() {
+        const enemy = this.detained;
+        this.release();
+        this.inspected.add(enemy);
+
+        if (!enemy.config.legitimate) {
+            enemy.decrypt();
+            enemy.takeDamage(this.getDamageForEnemy(enemy), this);
+        }
+    }
+
+    /**
+     * Let the detained packet go on its way
+     */
+    release() {
+        if (!this.detained) return;
+
+        this.detained.detained = false;
+        this.detained = null;
+        this.target = null;
+    }
+
+    /**
+     * Rate Limiter: once enough packets crowd its range, every pulse slows and
+     * wears down each flagged one (legitimate packets are only slowed)
+     */
+    updateThrottle(deltaTime, enemies) {
+        if (this.cooldown > 0) {
+            this.cooldown -= deltaTime;
+        }
+
+        // Density counts all traffic in range, whatever the rules make of it
+        this.enemiesInRange = enemies.filter(enemy => enemy.isAlive() &&
+            Graphics.distance(this.x, this.y, enemy.x, enemy.y) <= this.range);
+        this.throttling = this.enemiesInRange.length >= this.config.densityThreshold;
+        if (!this.throttling || this.cooldown > 0) return;
+
+        this.cooldown = this.cooldownMax;
+        this.enemiesInRange.forEach(enemy => {
+            if (!this.canEngage(enemy) || !this.classify(enemy)) return;
+
+            enemy.applySlow(this.config.slowFactor, this.config.slowDuration);
+            if (!enemy.config.legitimate) {
+                enemy.takeDamage(this.getDamageForEnemy(enemy), this);
+            }
+        });
+    }
+
+    /**
+     * SIEM: set each tower's detection boost from the SIEMs covering it
+     * @param {Array<Tower>} towers
+     */
+    static applyAuras(towers) {
+        const auras = towers.filter(tower => tower.config.behavior === 'aura' && !tower.disabled);
+        auras.forEach(aura => {
+            aura.covered = [];
+        });
+
+        towers.forEach(tower => {
+            tower.detectionBoost = 0;
+
+            auras.forEach(aura => {
+                if (aura === tower || Graphics.distance(aura.x, aura.y, tower.x, tower.y) > aura.range) return;
+
+                aura.covered.push(tower);
+                tower.detectionBoost = Math.max(tower.detectionBoost, aura.getDetectionBoost());
+            });
+        });
+    }
+
+    /**
+     * Link the towers whose Config.SYNERGIES are active (offline towers link nothing)
+     * @param {Array<Tower>} towers
+     */
+    static applySynergies(towers) {
+        towers.forEach(tower => {
+            tower.synergies = [];
+        });
+
+        Tower.findSynergies(towers).forEach(link => {
+            link.tower.synergies.push(link);
+            link.partner.synergies.push(link);
+        });
+    }
+
+    /**
+     * Every synergy link between the given towers (their ranges overlap)
+     * @param {Array<Tower>} towers
+     * @returns {Array<Object>} { synergy, tower, partner }
+     */
+    static findSynergies(towers) {
+        const links = [];
+        const online = towers.filter(tower => !tower.disabled);
+
+        Object.values(Config.SYNERGIES).forEach(synergy => {
+            online.forEach(tower => {
+                if (tower.type !== synergy.tower) return;
+
+                online.forEach(partner => {
+                    if (partner.type !== synergy.partner) return;
+                    if (Graphics.distance(tower.x, tower.y, partner.x, partner.y) > tower.range + partner.range) return;
+
+                    links.push({ synergy, tower, partner });
+                });
+            });
+        });
+
+        return links;
+    }
+
+    /**
+     * Config.SYNERGIES entries a tower type takes part in, on either side
+     */
+    static getSynergiesOf(type) {
+        return Object.values(Config.SYNERGIES).filter(synergy => synergy.tower === type || synergy.partner === type);
+    }
+
+    /**
+     * Synergies this tower gets against a packet (each counted once, however many partners)
+     */
+    getSynergiesFor(enemy) {
+        const active = [];
+        this.synergies.forEach(({ synergy, tower, partner }) => {
+            if (tower !== this || active.includes(synergy)) return;
+            if (SYNERGY_CONDITIONS[synergy.when](partner, enemy)) active.push(synergy);
+        });
+        return active;
+    }
+
+    /**
+     * Boost a SIEM gives the towers in its range
+     */
+    getDetectionBoost() {
+        return this.getTierStats().detectionBoost || 0;
+    }
+
+    /**
+     * Find best target in range according to the targeting mode
      */
     findTarget(enemies) {
+        const score = TARGET_SCORES[this.targeting];
         let bestTarget = null;
-        let bestDistance = Infinity;
+        let bestScore = -Infinity;
 
         for (const enemy of enemies) {
-            if (!enemy.isAlive()) continue;
-
-            // IDS can see STEALTH, others cannot
-            if (enemy.config.stealthy && !enemy.revealed) {
-                if (this.type !== 'IDS') {
-                    continue;
-                }
-            }
+            if (!enemy.isAlive() || !this.canEngage(enemy)) continue;
 
             const distance = Graphics.distance(this.x, this.y, enemy.x, enemy.y);
+            if (distance > this.range) continue;
 
-            if (distance <= this.range && distance < bestDistance) {
+            // Only packets the detection rules flag are engaged
+            if (!this.classify(enemy)) continue;
+
+            const enemyScore = score(this, enemy);
+            if (enemyScore > bestScore) {
                 bestTarget = enemy;
-                bestDistance = distance;
+                bestScore = enemyScore;
             }
         }
 
         return bestTarget;
     }
 
+    /**
+     * Can this tower act on the packet at all? Hidden STEALTH packets need a tower
+     * that sees them, and a Sandbox only takes encrypted traffic
+     */
+    canEngage(enemy) {
+        if (enemy.config.stealthy && !enemy.revealed && !this.config.seesStealth) return false;
+        if (this.config.encryptedOnly) {
+            return (enemy.encrypted || !!enemy.config.legitimate) && !this.inspected.has(enemy);
+        }
+        return true;
+    }
+
+    /**
+     * Decide whether this tower's rules flag a packet. Each packet is judged
+     * once per tower, and the verdict is counted in the confusion matrix.
+     * @returns {boolean} Whether the packet is treated as a threat
+     */
+    classify(enemy) {
+        if (this.classified.has(enemy)) return this.classified.get(enemy);
+
+        const legitimate = !!enemy.config.legitimate;
+        const rate = legitimate ? this.getFalsePositiveRate() : this.getDetectionRate();
+        const flagged = rate >= 1 || (rate > 0 && this.rng.next() < rate);
+        this.classified.set(enemy, flagged);
+
+        if (this.confusion) {
+            const outcome = legitimate ? (flagged ? 'fp' : 'tn') : (flagged ? 'tp' : 'fn');
+            this.confusion[outcome]++;
+        }
+
+        return flagged;
+    }
+
+    /**
+     * Chance that a threat in range is flagged at the current tuning
+     */
+    getDetectionRate() {
+        return 1 - Config.DETECTION.MISS_AT_PERMISSIVE * (1 - this.tuning) * (1 - this.detectionBoost);
+    }
+
+    /**
+     * Chance that a legitimate packet in range is flagged at the current tuning
+     */
+    getFalsePositiveRate() {
+        return (this.config.falsePositiveRate || 0) * this.tuning * (1 - this.detectionBoost);
+    }
+
+    /**
+     * Move the detection slider
+     * @param {number} tuning - 0 (permissive) to 1 (strict)
+     * @returns {boolean} Whether the value was valid
+     */
+    setTuning(tuning) {
+        if (!Number.isFinite(tuning) || !this.usesDetection()) return false;
+
+        this.tuning = Math.min(1, Math.max(0, tuning));
+        return true;
+    }
+
+    /**
+     * Does this tower pick targets? (Honeypots and Rate Limiters affect everything in range)
+     */
+    usesTargeting() {
+        return this.behavior.targets;
+    }
+
+    /**
+     * Does this tower judge packets with detection rules? (SIEMs only support others)
+     */
+    usesDetection() {
+        return this.behavior.detects;
+    }
+
+    /**
+     * Change the targeting mode
+     * @param {string} mode - Key of Config.TARGETING.MODES
+     * @returns {boolean} Whether the mode was valid
+     */
+    setTargeting(mode) {
+        if (!TARGET_SCORES[mode] || !this.usesTargeting()) return false;
+
+        this.targeting = mode;
+        return true;
+    }
+
+    /**
+     * Share of a defense's firepower that each enemy type is focused by
+     * (tier-weighted, from the towers' targeting modes and specialist counters)
+     * @param {Array<Tower>} towers
+     * @returns {Object} Enemy type -> share (0 to 1)
+     */
+    static getTargetingFocus(towers) {
+        const focus = {};
+        const hunters = towers.filter(tower => tower.usesTargeting() || tower.config.counters);
+        const total = hunters.reduce((sum, tower) => sum + tower.getTierWeight(), 0);
+        if (total === 0) return focus;
+
+        hunters.forEach(tower => {
+            const modeFocus = tower.usesTargeting() ? Config.TARGETING.MODES[tower.targeting].focus : [];
+            new Set([...modeFocus, ...(tower.config.counters || [])]).forEach(type => {
+                focus[type] = (focus[type] || 0) + tower.getTierWeight() / total;
+            });
+        });
+
+        return focus;
+    }
+
+    /**
+     * Tier-weighted tower count per family (how the AIs read the defender's posture)
+     * @param {Array<Tower>} towers
+     * @returns {Object} { Firewall, IDS, Honeypot }
+     */
+    static getFamilyWeights(towers) {
+        const weights = { Firewall: 0, IDS: 0, Honeypot: 0 };
+        towers.forEach(tower => {
+            weights[tower.config.family] += tower.getTierWeight();
+        });
+        return weights;
+    }
+
     /**
      * Shoot at target
      */
@@ -164,42 +585,120 @@ export class Tower {
             this.config.slowFactor,
             this.config.effect === 'slow' ? this.config.slowDuration :
                 this.config.effect === 'attract' ? this.config.distractDuration : 0,
-            this.x, this.y // Pass origin for attraction
+            this.x, this.y, // Pass origin for attraction
+            this
         );
 
         this.projectiles.push(projectile);
 
         // IDS reveals STEALTH enemies
-        if (this.type === 'IDS' && target.config.stealthy) {
+        if (this.config.reveals && target.config.stealthy) {
             target.reveal();
         }
     }
 
     /**
-     * Get damage for specific enemy type based on tower behavior
+     * Get damage for specific enemy type based on tower behavior and active synergies
      */
     getDamageForEnemy(enemy) {
-        if (this.type === 'Firewall') {
-            // Firewall blocks all except stealth
-            return enemy.config.stealthy ? 0 : this.damage;
-        } else if (this.type === 'IDS') {
-            // IDS blocks stealth effectively, less effective for others
-            return enemy.config.stealthy ? 10 : 2;
-        } else {
-            return this.damage;
-        }
+        return this.damage * Tower.getDamageMultiplier(this.config, enemy.type, this.getSynergiesFor(enemy));
+    }
+
+    /**
+     * Damage multiplier from a tower's damageVs rules: the enemy type, then
+     * a trait it has (e.g. stealthy), then the default. Each synergy's own
+     * rules win where they match, and its damageBonus adds on top
+     * @param {Object} config - Config.TOWERS entry
+     * @param {string} enemyType - Key of Config.ENEMIES
+     * @param {Array<Object>} synergies - Config.SYNERGIES entries that apply
+     */
+    static getDamageMultiplier(config, enemyType, synergies = []) {
+        let multiplier = Tower.findDamageRule(config.damageVs, enemyType) ?? 1;
+
+        synergies.forEach(synergy => {
+            multiplier = Tower.findDamageRule(synergy.damageVs, enemyType) ?? multiplier;
+            multiplier *= 1 + (synergy.damageBonus || 0);
+        });
+
+        return multiplier;
+    }
+
+    /**
+     * Matching damageVs rule for an enemy type (undefined when none matches)
+     */
+    static findDamageRule(rules = {}, enemyType) {
+        if (rules[enemyType] !== undefined) return rules[enemyType];
+
+        const enemy = Config.ENEMIES[enemyType];
+        const trait = Object.keys(rules).find(key => enemy[key] === true);
+        if (trait) return rules[trait];
+
+        return rules.default;
+    }
+
+    /**
+     * Extra damage share a synergy adds against an enemy type (for the AIs' coverage analysis)
+     */
+    static getSynergyGain(synergy, enemyType) {
+        const config = Config.TOWERS[synergy.tower];
+        return Tower.getDamageMultiplier(config, enemyType, [synergy]) - Tower.getDamageMultiplier(config, enemyType);
     }
 
     /**
      * Render tower and its projectiles
      */
     render(ctx) {
-        // Honeypot has special rendering - pulsing attraction field
-        if (this.type === 'Honeypot') {
-            this.renderHoneypot(ctx);
-            return;
+        // Offline towers are drawn faded
+        ctx.save();
+        if (this.disabled) {
+            ctx.globalAlpha = 0.35;
+        }
+
+        this.behavior.render(this, ctx);
+
+        ctx.restore();
+    }
+
+    /**
+     * Render links to this tower's synergy partners (drawn under all towers),
+     * brighter while the current target is taking the bonus
+     */
+    renderSynergies(ctx) {
+        const boosted = this.target && this.target.isAlive() ? this.getSynergiesFor(this.target) : [];
+
+        this.synergies.forEach(({ synergy, tower, partner }) => {
+            if (tower !== this) return;
+
+            ctx.save();
+            ctx.globalAlpha = boosted.includes(synergy) ? 0.9 : 0.35;
+            Graphics.drawLine(ctx, this.x, this.y, partner.x, partner.y, Config.COLORS.SYNERGY, 2);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Render a shooting tower with its range, projectiles and target line
+     */
+    renderTower(ctx) {
+        this.renderBody(ctx);
+
+        // Draw projectiles
+        this.projectiles.forEach(p => p.render(ctx));
+
+        // Draw targeting line
+        if (this.target && this.target.isAlive()) {
+            ctx.save();
+            ctx.globalAlpha = 0.2;
+            Graphics.drawLine(ctx, this.x, this.y, this.target.x, this.target.y,
+                this.color, 2);
+            ctx.restore();
         }
+    }
 
+    /**
+     * Render range, body, symbol and tier pips
+     */
+    renderBody(ctx) {
         // Draw range circle (more subtle)
         ctx.save();
         ctx.globalAlpha = 0.08;
@@ -232,17 +731,69 @@ export class Tower {
         ctx.fillText(symbol, this.x, this.y);
         ctx.restore();
 
-        // Draw projectiles
-        this.projectiles.forEach(p => p.render(ctx));
+        this.renderTier(ctx);
+    }
 
-        // Draw targeting line
-        if (this.target && this.target.isAlive()) {
+    /**
+     * Render Sandbox with a cage around the detained packet and inspection progress
+     */
+    renderDetention(ctx) {
+        this.renderBody(ctx);
+
+        const enemy = this.detained;
+        if (!enemy) return;
+
+        const progress = 1 - Math.max(0, this.cooldown) / this.cooldownMax;
+        const cage = enemy.size + 8;
+
+        ctx.save();
+        ctx.globalAlpha = 0.4;
+        Graphics.drawDashedLine(ctx, this.x, this.y, enemy.x, enemy.y, this.color, 2, [4, 4]);
+        ctx.restore();
+
+        ctx.save();
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(enemy.x - cage, enemy.y - cage, cage * 2, cage * 2);
+
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size / 1.5 + 6, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Render Rate Limiter with a pulsing edge while it throttles
+     */
+    renderThrottle(ctx) {
+        this.renderBody(ctx);
+
+        if (!this.throttling) return;
+
+        const pulsePhase = (Date.now() % 600) / 600;
+        ctx.save();
+        ctx.globalAlpha = 0.5 * (1 - pulsePhase);
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.range * (0.85 + pulsePhase * 0.15), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Render SIEM with dashed links to the towers it boosts
+     */
+    renderAura(ctx) {
+        this.covered.forEach(tower => {
             ctx.save();
-            ctx.globalAlpha = 0.2;
-            Graphics.drawLine(ctx, this.x, this.y, this.target.x, this.target.y,
-                this.color, 2);
+            ctx.globalAlpha = 0.35;
+            Graphics.drawDashedLine(ctx, this.x, this.y, tower.x, tower.y, this.color, 1, [2, 6]);
             ctx.restore();
-        }
+        });
+
+        this.renderBody(ctx);
     }
 
     /**
@@ -293,12 +844,14 @@ export class Tower {
         ctx.fillText('🍯', this.x, this.y);
         ctx.restore();
 
+        this.renderTier(ctx);
+
         // Draw attraction lines to enemies in range
         // Draw attraction lines to enemies in range
         this.projectiles = [];
         if (this.enemiesInRange) {
             for (const enemy of this.enemiesInRange) {
-                if (!enemy.isAlive() || enemy.config.legitimate) continue;
+                if (!enemy.isAlive()) continue;
                 // Double check distance to be safe, or just trust the cache
                 ctx.save();
                 ctx.globalAlpha = 0.3;
@@ -308,6 +861,21 @@ export class Tower {
         }
     }
 
+    /**
+     * Draw one pip per upgrade tier under the tower
+     */
+    renderTier(ctx) {
+        if (this.tier === 0) return;
+
+        const spacing = 7;
+        const startX = this.x - ((this.tier - 1) * spacing) / 2;
+        const y = this.y + this.size / 1.5 + 7;
+
+        for (let i = 0; i < this.tier; i++) {
+            Graphics.drawCircle(ctx, startX + i * spacing, y, 2.5, '#ffffff');
+        }
+    }
+
     /**
      * Find the nearest node to this tower (for Honeypot path rerouting)
      */
@@ -346,12 +914,7 @@ export class Tower {
      * Get visual symbol for tower type
      */
     getSymbol() {
-        switch (this.type) {
-            case 'Firewall': return '🛡';
-            case 'IDS': return '📡';
-            case 'Honeypot': return '🍯';
-            default: return 'T';
-        }
+        return this.config.symbol || 'T';
     }
 
     /**
@@ -361,18 +924,68 @@ export class Tower {
         return this.config.cost;
     }
 
+    /**
+     * Stats for a tier (defaults to the current one)
+     */
+    getTierStats(tier = this.tier) {
+        return tier === 0 ? this.config : this.config.tiers[tier - 1];
+    }
+
     /**
      * Get maintenance cost
      */
     getMaintenanceCost() {
-        return this.config.maintenance;
+        return this.getTierStats().maintenance;
+    }
+
+    /**
+     * Cost of the next upgrade, or null at max tier
+     */
+    getUpgradeCost() {
+        return this.canUpgrade() ? this.getTierStats(this.tier + 1).cost : null;
+    }
+
+    canUpgrade() {
+        return this.tier < (this.config.tiers?.length || 0);
+    }
+
+    /**
+     * Raise the tower one tier
+     */
+    upgrade() {
+        if (!this.canUpgrade()) return false;
+
+        this.tier++;
+        const stats = this.getTierStats();
+        this.invested += stats.cost;
+        this.damage = stats.damage;
+        this.range = stats.range;
+        this.cooldownMax = stats.cooldown;
+
+        return true;
+    }
+
+    /**
+     * Damage per second against a standard target
+     */
+    getDamagePerSecond() {
+        // Honeypot damage is applied continuously, not per shot
+        if (this.config.behavior === 'attract') return this.damage;
+        return this.damage * (1000 / this.cooldownMax);
+    }
+
+    /**
+     * How much this tower counts when the AI reads the defender's posture
+     */
+    getTierWeight() {
+        return 1 + this.tier * 0.5;
     }
 
     /**
-     * Get sell value (70% of cost)
+     * Get sell value (70% of everything spent, upgrades included)
      */
     getSellValue() {
-        return Math.floor(this.config.cost * 0.7);
+        return Math.floor(this.invested * 0.7);
     }
 }
 
@@ -16,11 +16,14 @@ export class AIAdvisor {
             economy: "Money is tight. Focus on cost-effective IDS towers ($200) early game.",
             enemyLeak: "⚠️ Enemies are leaking through! Reinforce your weak points.",
             lowHealth: "🚨 CRITICAL: Core health below 50%! Prioritize defense over saving money.",
+            slaMissed: "📉 Availability is below the SLA: false positives, honeypots and congestion are hurting real users. Security that blocks customers costs stars too.",
+            falsePositive: "🚫 A tower dropped a LEGITIMATE packet. Strict rules cause false positives - slide a tower toward Permissive to trade detection for availability.",
             goodDefense: "✓ Excellent! Your success rate is high. Keep up the pressure!",
             waveMidpoint: "Halfway through! Check your economy and upgrade weak spots.",
             fastEnemy: "FAST enemies detected! Firewall towers deal high burst damage.",
             tankEnemy: "TANK incoming! Focus multiple towers on this threat.",
             stealthEnemy: "STEALTH detected! Only IDS towers can reveal them.",
+            encryptedEnemy: "ENCRYPTED packets shrug off most damage. An IDS strips the encryption; a Sandbox detains and blocks them outright.",
             noTowers: "You haven't placed any towers yet. Start with chokepoints in the middle.",
             wrongPlacement: "❌ Can only place towers on yellow chokepoint nodes.",
             noMoney: "Insufficient funds. Destroy more enemies to earn money.",
@@ -50,6 +53,10 @@ export class AIAdvisor {
             this.queueTip('firstTower');
         } else if (lm.coreHealth < 50 && lm.coreHealth > 0) {
             this.queueTip('lowHealth');
+        } else if (lm.getSlaPenalty() > 0) {
+            this.queueTip('slaMissed');
+        } else if (lm.sla.dropped > 0) {
+            this.queueTip('falsePositive');
         } else if (lm.packetsLeaked > 0 && lm.packetsLeaked % 2 === 0) {
             this.queueTip('enemyLeak');
         } else if (lm.calculateSuccessRate() > 80 && lm.packetsSpawned > 10) {
@@ -64,6 +71,8 @@ export class AIAdvisor {
             this.queueTip('tankEnemy');
         } else if (enemies.some(e => e.type === 'STEALTH')) {
             this.queueTip('stealthEnemy');
+        } else if (enemies.some(e => e.type === 'ENCRYPTED')) {
+            this.queueTip('encryptedEnemy');
         }
 
         // Show queued tip
@@ -5,34 +5,51 @@
 
 import Config from '../utils/Config.js';
 import Pathfinding from '../utils/Pathfinding.js';
+import Graphics from '../utils/Graphics.js';
+import WaveSchedule from './WaveSchedule.js';
+import Random from '../core/Random.js';
 
 export class LevelManager {
-    constructor(levelConfig, difficulty = 'normal') {
+    /**
+     * @param {Object} levelConfig - Level definition
+     * @param {string} difficulty - Key of Config.DIFFICULTY (lowercase)
+     * @param {Random} rng - Match RNG shared with the AIs and entities
+     * @param {boolean} quiet - Mute gameplay logging (batch and training runs)
+     */
+    constructor(levelConfig, difficulty = 'normal', rng = new Random(), quiet = false) {
         this.level = levelConfig;
         this.difficulty = difficulty;
         this.difficultyMod = Config.DIFFICULTY[difficulty.toUpperCase()];
+        this.rng = rng;
+        this.quiet = quiet;
 
         // Load topology
         this.loadTopology();
 
-        // Game state
+        // Game state (coreHealth is kept up to date from the assets)
         this.money = this.calculateStartingMoney();
         this.credits = levelConfig.startingCredits || 0;
-        this.coreHealth = this.calculateStartingHealth();
         this.score = 0;
         this.wave = 0;
         this.packetsSpawned = 0;
         this.packetsBlocked = 0;
         this.packetsLeaked = 0;
 
+        // Legitimate traffic service (availability / SLA)
+        this.sla = { served: 0, late: 0, slowed: 0, diverted: 0, dropped: 0, quality: 0 };
+
         // Timing
         this.spawnTimer = 0;
         this.spawnInterval = levelConfig.spawnInterval || 3000;
+        this.wavePlan = null; // Endless modes: groups of the current wave (see WaveSchedule)
 
         // Status
         this.levelComplete = false;
         this.levelFailed = false;
         this.paused = false;
+
+        // Kill-chain campaign (levels with a Config.CAMPAIGNS key)
+        this.campaign = levelConfig.campaign ? this.createCampaign(Config.CAMPAIGNS[levelConfig.campaign]) : null;
     }
 
     /**
@@ -40,45 +57,549 @@ export class LevelManager {
      */
     loadTopology() {
         const topoName = this.level.topology || 'level1';
-        const topology = Config.TOPOLOGIES[topoName];
+        const topology = this.level.topologyData || Config.TOPOLOGIES[topoName];
 
         if (!topology) {
             console.error(`Topology "${topoName}" not found!`);
             return;
         }
 
+        this.applyTopology(topology);
+    }
+
+    /**
+     * Switch the graph, its ingress points and its protected assets
+     * @param {Object} topology - Config.TOPOLOGIES entry
+     */
+    applyTopology(topology) {
         this.nodes = topology.nodes;
         this.edges = topology.edges;
         this.sources = topology.sources;
         this.goals = topology.goals;
         this.chokepoints = topology.chokepoints || [];
+        this.ingress = topology.ingress || {};
+
+        this.loadAssets(topology.assets || {});
+
+        // Compromised and isolated nodes and cut links are per map
+        this.compromised = new Set();
+        this.isolated = new Set();
+        this.cutEdges = new Set();
+        this.updateActiveEdges();
 
         // Calculate paths from each source to each goal
         this.calculatePaths();
     }
 
+    /**
+     * Links still in service (not cut, and not touching an isolated node)
+     */
+    updateActiveEdges() {
+        this.activeEdges = this.edges.filter(edge =>
+            !this.cutEdges.has(edge) && !this.isolated.has(edge[0]) && !this.isolated.has(edge[1]));
+    }
+
+    /**
+     * Would every source still have a route to some goal over these links?
+     * (Legitimate traffic enters at the sources and must always get through)
+     */
+    keepsSourceRoutes(edges) {
+        return this.sources.every(source =>
+            this.goals.some(goal => Pathfinding.findPath(this.nodes, edges, source, goal).length > 0));
+    }
+
+    /**
+     * Can a link be taken out of service without cutting a source off?
+     */
+    canCutEdge(edge) {
+        if (this.cutEdges.has(edge)) return false;
+        return this.keepsSourceRoutes(this.activeEdges.filter(e => e !== edge));
+    }
+
+    /**
+     * Segment the network: take a link out of service until it is restored
+     */
+    cutEdge(edge) {
+        this.cutEdges.add(edge);
+        this.updateActiveEdges();
+        this.calculatePaths();
+    }
+
+    /**
+     * Put a cut link back into service
+     */
+    restoreEdge(edge) {
+        this.cutEdges.delete(edge);
+        this.updateActiveEdges();
+        this.calculatePaths();
+    }
+
+    /**
+     * Build one protected asset per goal node
+     * Assets keep their health across topology switches (matched by name)
+     * @param {Object} definitions - { [goalNode]: { name, health, weight } }
+     */
+    loadAssets(definitions) {
+        const previous = this.assets || [];
+
+        this.assets = this.goals.map((node, i) => {
+            const definition = definitions[node] || {};
+            const name = definition.name || (this.goals.length > 1 ? `Asset ${i + 1}` : 'Core');
+            const maxHealth = this.calculateStartingHealth(definition.health);
+            const carried = previous.find(asset => asset.name === name);
+
+            return {
+                node,
+                name,
+                weight: definition.weight || 1,
+                maxHealth,
+                health: carried ? Math.min(carried.health, maxHealth) : maxHealth
+            };
+        });
+
+        this.updateCoreHealth();
+    }
+
+    /**
+     * Core health is the weight-averaged health of all assets
+     */
+    updateCoreHealth() {
+        const totalWeight = this.assets.reduce((sum, asset) => sum + asset.weight, 0);
+        const weighted = this.assets.reduce((sum, asset) => sum + asset.health * asset.weight, 0);
+        this.coreHealth = totalWeight > 0 ? weighted / totalWeight : 0;
+    }
+
+    /**
+     * Weighted share of asset health still standing (0-100)
+     */
+    getWeightedHealthPercent() {
+        const max = this.assets.reduce((sum, asset) => sum + asset.maxHealth * asset.weight, 0);
+        const current = this.assets.reduce((sum, asset) => sum + asset.health * asset.weight, 0);
+        return max > 0 ? (current / max) * 100 : 0;
+    }
+
+    /**
+     * Has the level's failure rule been met?
+     * 'any' - losing any single asset fails the level (default)
+     * 'weighted' - fails once weighted health drops to level.failureThreshold percent
+     */
+    isCoreLost() {
+        if (this.level.failureRule === 'weighted') {
+            return this.getWeightedHealthPercent() <= (this.level.failureThreshold || 0);
+        }
+        return this.assets.some(asset => asset.health <= 0);
+    }
+
     /**
      * Calculate all paths for enemies
      */
     calculatePaths() {
-        this.paths = [];
+        this.paths = this.findPathsFrom(this.sources);
+
+        // Footholds on compromised nodes act as extra sources for threats
+        this.pivotPaths = this.findPathsFrom([...this.compromised].filter(node => !this.isolated.has(node)));
+
+        this.log(`Calculated ${this.paths.length} paths`);
+    }
 
-        for (const source of this.sources) {
+    /**
+     * Paths from each of the given nodes to each goal over the active links
+     */
+    findPathsFrom(sources) {
+        const paths = [];
+
+        for (const source of sources) {
             for (const goal of this.goals) {
                 const path = Pathfinding.findPath(
                     this.nodes,
-                    this.edges,
+                    this.activeEdges,
                     source,
                     goal,
-                    true // Enable randomization
+                    this.rng // Randomize costs for path diversity
                 );
                 if (path.length > 0) {
-                    this.paths.push(path);
+                    paths.push(path);
                 }
             }
         }
 
-        console.log(`Calculated ${this.paths.length} paths`);
+        return paths;
+    }
+
+    /**
+     * First node on a path an intruder could take over (not a source, goal or existing foothold)
+     * @returns {number|null}
+     */
+    getCompromiseTarget(path) {
+        return path.slice(1, -1).find(node =>
+            !this.sources.includes(node) && !this.goals.includes(node) &&
+            !this.compromised.has(node) && !this.isolated.has(node)) ?? null;
+    }
+
+    /**
+     * An intruder finished dwelling on a node
+     * @returns {boolean} Whether the node changed hands
+     */
+    compromiseNode(node) {
+        if (this.compromised.has(node) || this.isolated.has(node)) return false;
+
+        this.compromised.add(node);
+        this.calculatePaths();
+        return true;
+    }
+
+    /**
+     * Cut a compromised node off the network (it stays compromised until cleaned)
+     */
+    isolateNode(node) {
+        this.isolated.add(node);
+        this.updateActiveEdges();
+        this.calculatePaths();
+    }
+
+    /**
+     * Would isolating a node still leave every source a route to a goal?
+     */
+    canIsolateNode(node) {
+        return this.keepsSourceRoutes(this.activeEdges.filter(([from, to]) => from !== node && to !== node));
+    }
+
+    /**
+     * Clean a node: the foothold is removed and any isolation lifted
+     */
+    cleanNode(node) {
+        this.compromised.delete(node);
+        this.isolated.delete(node);
+        this.updateActiveEdges();
+        this.calculatePaths();
+    }
+
+    /**
+     * Nodes whose towers are offline: every foothold that is not isolated
+     */
+    getOfflineNodes() {
+        const offline = new Set();
+
+        this.compromised.forEach(node => {
+            if (this.isolated.has(node)) return;
+
+            offline.add(node);
+        });
+
+        return offline;
+    }
+
+    /**
+     * Campaign state, waiting to launch
+     * @param {Object} config - Config.CAMPAIGNS entry
+     */
+    createCampaign(config) {
+        return {
+            config,
+            stage: -1,           // Index into config.stages (-1 = waiting to launch)
+            timer: config.start, // ms until the next launch
+            queue: [],           // Packets of the current stage still to spawn
+            spawnTimer: 0,
+            pending: 0,          // Packets of the current stage still in play
+            breaches: [],        // Goals the current stage's packets reached
+            intel: new Set(),    // Towers recon has reported back
+            result: null,        // 'foiled' or 'complete' once a run ends
+            runs: 0
+        };
+    }
+
+    /**
+     * Advance the campaign: launch it, feed out the current stage, and move on
+     * once every packet of the stage is resolved
+     * @returns {Object|null} Packet to spawn now: { type, path, stage, asset }
+     */
+    updateCampaign(deltaTime) {
+        const campaign = this.campaign;
+        if (!campaign) return null;
+
+        if (campaign.stage < 0) {
+            campaign.timer -= deltaTime;
+            if (campaign.timer <= 0) {
+                campaign.runs++;
+                campaign.result = null;
+                campaign.intel = new Set();
+                this.startCampaignStage(0, []);
+            }
+            return null;
+        }
+
+        if (campaign.queue.length > 0) {
+            campaign.spawnTimer -= deltaTime;
+            if (campaign.spawnTimer > 0) return null;
+
+            campaign.spawnTimer = campaign.config.stages[campaign.stage].spacing;
+            campaign.pending++;
+            return campaign.queue.shift();
+        }
+
+        if (campaign.pending > 0) return null;
+
+        // Stage resolved: any packet that got through carries the chain on
+        const next = campaign.stage + 1;
+        if (campaign.breaches.length === 0) {
+            this.endCampaign('foiled');
+        } else if (next < campaign.config.stages.length) {
+            this.startCampaignStage(next, campaign.breaches);
+        } else {
+            this.endCampaign('complete');
+        }
+        return null;
+    }
+
+    /**
+     * Queue a stage's packets on its route
+     * @param {number} index - Stage index
+     * @param {Array<number>} breaches - Goals the previous stage reached
+     */
+    startCampaignStage(index, breaches) {
+        const campaign = this.campaign;
+        const stage = campaign.config.stages[index];
+
+        campaign.stage = index;
+        campaign.breaches = [];
+        campaign.pending = 0;
+        campaign.spawnTimer = 0;
+        campaign.queue = [];
+
+        // An exploit wave commits to one path; other routes are drawn per packet
+        const weakest = stage.route === 'weakest' ? this.findWeakestPath(campaign.intel) : null;
+
+        for (let i = 0; i < stage.count; i++) {
+            const asset = stage.route === 'outbound' ? this.rng.pick(breaches) : null;
+            const path = stage.route === 'weakest' ? weakest : this.getCampaignRoute(stage.route, asset);
+            if (!path) continue;
+
+            campaign.queue.push({ type: this.rng.pick(stage.enemies), path, stage: index, asset });
+        }
+    }
+
+    /**
+     * Wait for the next launch
+     * @param {string} result - 'foiled' or 'complete'
+     */
+    endCampaign(result) {
+        const campaign = this.campaign;
+        campaign.stage = -1;
+        campaign.result = result;
+        campaign.queue = [];
+        campaign.timer = campaign.config.interval;
+    }
+
+    /**
+     * Path for one campaign packet
+     * @param {string} route - 'random' or 'outbound'
+     * @param {number|null} asset - Breached goal an outbound packet leaves from
+     * @returns {Array<number>|null}
+     */
+    getCampaignRoute(route, asset) {
+        if (route !== 'outbound') return this.getRandomPath();
+
+        const exits = this.sources
+            .map(source => Pathfinding.findPath(this.nodes, this.activeEdges, asset, source, true))
+            .filter(path => path.length > 0);
+        return exits.length > 0 ? this.rng.pick(exits) : null;
+    }
+
+    /**
+     * Path the given towers cover least (ties picked at random)
+     * @param {Set<Tower>} towers - What the attacker knows of the defense
+     */
+    findWeakestPath(towers) {
+        const coverage = this.getPathCoverage(towers);
+
+        const lowest = Math.min(...coverage);
+        const weakest = this.paths.filter((path, i) => coverage[i] === lowest);
+        return weakest.length > 0 ? this.rng.pick(weakest) : null;
+    }
+
+    /**
+     * Tower DPS covering each path, summed over its nodes
+     * @param {Iterable<Tower>} towers
+     * @returns {Array<number>} One entry per path
+     */
+    getPathCoverage(towers) {
+        return this.paths.map(path => path.reduce((sum, nodeIndex) => {
+            const node = this.nodes[nodeIndex];
+            towers.forEach(tower => {
+                if (Graphics.distance(tower.x, tower.y, node.x, node.y) <= tower.range) {
+                    sum += tower.getDamagePerSecond();
+                }
+            });
+            return sum;
+        }, 0));
+    }
+
+    /**
+     * A campaign packet left play; one that got through reports recon and counts as a breach
+     * @param {Enemy} enemy
+     */
+    resolveCampaignPacket(enemy) {
+        const campaign = this.campaign;
+        if (!campaign || enemy.campaignStage !== campaign.stage) return;
+
+        campaign.pending = Math.max(0, campaign.pending - 1);
+        if (!enemy.reachedGoal) return;
+
+        campaign.breaches.push(enemy.path[enemy.path.length - 1]);
+        enemy.scanned.forEach(tower => campaign.intel.add(tower));
+    }
+
+    /**
+     * Campaign summary for the UI
+     * @returns {Object|null} { name, stage, warning, result, intel, runs }
+     */
+    getCampaignStatus() {
+        const campaign = this.campaign;
+        if (!campaign) return null;
+
+        const stage = campaign.config.stages[campaign.stage] || null;
+        return {
+            name: campaign.config.name,
+            stage: stage?.name || null,
+            warning: stage?.warning || null,
+            result: campaign.result,
+            intel: campaign.intel.size,
+            runs: campaign.runs
+        };
+    }
+
+    /**
+     * Groups of an endless wave: the level's waveSchedule entry, or one the manager generates
+     * @returns {Array<Object>} Groups: { type, count, spacing, path, delay }
+     */
+    getWavePlan(wave = this.wave) {
+        const groups = this.level.waveSchedule?.[wave - 1] || this.generateWave(wave);
+        return groups.map(group => ({ ...group }));
+    }
+
+    /**
+     * Wave past the declared schedule: packets drawn from the level's mix
+     * (AI managers shape it to their strategy)
+     */
+    generateWave(wave) {
+        return [{ count: this.getWaveSize(wave), spacing: this.spawnInterval }];
+    }
+
+    /**
+     * Generated wave size on the level's waveSize growth curve
+     */
+    getWaveSize(wave = this.wave) {
+        return WaveSchedule.getWaveSize(this.level.waveSize, wave);
+    }
+
+    /**
+     * Share of each packet type once the level's legitimate traffic is mixed in
+     * @param {Object} threatMix - Threat type → share
+     */
+    getTrafficMix(threatMix) {
+        const legitimate = this.level.legitimateRatio || 0;
+        const mix = {};
+        Object.entries(threatMix).forEach(([type, share]) => {
+            mix[type] = share * (1 - legitimate);
+        });
+        if (legitimate > 0) {
+            mix.LEGITIMATE = legitimate;
+        }
+        return mix;
+    }
+
+    /**
+     * Queue the current wave's groups
+     */
+    planWave() {
+        this.wavePlan = this.getWavePlan().map(group => ({
+            type: group.type || null,
+            count: group.count,
+            spacing: group.spacing ?? this.spawnInterval,
+            hint: group.path,
+            path: null,
+            timer: -(group.delay || 0),
+            spawned: 0
+        }));
+    }
+
+    /**
+     * Path a group's hint stands for (null = drawn per packet)
+     * @param {number|string|undefined} hint - Path index, 'weakest', or none
+     */
+    getWavePath(hint, towers) {
+        if (hint === 'weakest') return this.findWeakestPath(towers);
+        if (typeof hint === 'number') return this.paths[hint] || null;
+        return null;
+    }
+
+    /**
+     * Feed out the wave plan, each group on its own spacing
+     * @param {Array<Tower>} towers - Placed towers ('weakest' groups commit to the path they
+     *     cover least when their first packet leaves)
+     * @returns {Array<Object>} Packets to spawn now: { type, path } (null = drawn from the mix)
+     */
+    updateWave(deltaTime, towers = []) {
+        if (!this.wavePlan) return [];
+
+        const orders = [];
+        this.wavePlan.forEach(group => {
+            if (group.spawned >= group.count) return;
+
+            group.timer += deltaTime;
+            if (group.timer < group.spacing) return;
+
+            group.timer = 0;
+            if (group.spawned === 0) {
+                group.path = this.getWavePath(group.hint, towers);
+            }
+            group.spawned++;
+            orders.push({ type: group.type, path: group.path });
+        });
+        return orders;
+    }
+
+    /**
+     * Has every group of the current wave been sent?
+     */
+    isWaveSpawned() {
+        return !this.wavePlan || this.wavePlan.every(group => group.spawned >= group.count);
+    }
+
+    /**
+     * What is coming: the rest of the current wave, or the next wave once this one is out
+     * @returns {Object|null} { wave, next, groups: [{ type, count }], boss }
+     */
+    getWavePreview() {
+        if (!this.wavePlan) return null;
+
+        const left = this.wavePlan
+            .filter(group => group.spawned < group.count)
+            .map(group => ({ type: group.type, count: group.count - group.spawned }));
+        if (left.length > 0) {
+            return { wave: this.wave, next: false, groups: left, boss: null };
+        }
+
+        const wave = this.wave + 1;
+        if (this.level.waves && wave > this.level.waves) return null;
+
+        return {
+            wave,
+            next: true,
+            groups: this.getWavePlan(wave).map(group => ({ type: group.type || null, count: group.count })),
+            boss: this.getBossForWave(wave)
+        };
+    }
+
+    /**
+     * Boss that opens the given wave (levels with bossEvery), bosses taking turns
+     * @returns {string|null} Key of Config.ENEMIES
+     */
+    getBossForWave(wave = this.wave) {
+        const { bossEvery, bosses } = this.level;
+        if (!bossEvery || !bosses?.length || wave <= 0 || wave % bossEvery !== 0) return null;
+
+        return bosses[(wave / bossEvery - 1) % bosses.length];
     }
 
     /**
@@ -86,7 +607,7 @@ export class LevelManager {
      */
     getRandomPath() {
         if (this.paths.length === 0) return null;
-        return this.paths[Math.floor(Math.random() * this.paths.length)];
+        return this.rng.pick(this.paths);
     }
 
     /**
@@ -99,9 +620,9 @@ export class LevelManager {
 
     /**
      * Calculate starting health based on difficulty
+     * @param {number} [base] - Asset health before scaling (defaults to the level's core health)
      */
-    calculateStartingHealth() {
-        const base = this.level.coreHealth || 100;
+    calculateStartingHealth(base = this.level.coreHealth || 100) {
         return Math.floor(base * this.difficultyMod.healthMultiplier);
     }
 
@@ -134,6 +655,20 @@ export class LevelManager {
         return false;
     }
 
+    /**
+     * Tower types the player may build, in menu order (levels without a list allow every tower)
+     */
+    getTowersAvailable() {
+        return this.level.towersAvailable || Object.keys(Config.TOWERS);
+    }
+
+    /**
+     * May towers be upgraded on this level? (`upgrades: false` keeps them at base tier)
+     */
+    allowsUpgrades() {
+        return this.level.upgrades !== false;
+    }
+
     /**
      * Get current money/credits
      */
@@ -142,12 +677,19 @@ export class LevelManager {
     }
 
     /**
-     * Take damage to core
+     * Take damage to an asset
+     * @param {number} amount
+     * @param {number} [node] - Goal node that was hit; omitted (or unknown) hits every asset
      */
-    takeDamage(amount) {
-        this.coreHealth -= amount;
-        if (this.coreHealth <= 0) {
-            this.coreHealth = 0;
+    takeDamage(amount, node = null) {
+        const hit = this.assets.filter(asset => asset.node === node);
+
+        (hit.length > 0 ? hit : this.assets).forEach(asset => {
+            asset.health = Math.max(0, asset.health - amount);
+        });
+
+        this.updateCoreHealth();
+        if (this.isCoreLost()) {
             this.levelFailed = true;
         }
     }
@@ -156,6 +698,15 @@ export class LevelManager {
      * Enemy destroyed
      */
     enemyDestroyed(enemy) {
+        if (enemy.campaignStage !== null) {
+            this.resolveCampaignPacket(enemy);
+        }
+
+        if (enemy.config.legitimate) {
+            this.legitimateDropped(enemy);
+            return;
+        }
+
         this.packetsBlocked++;
         this.score += enemy.getReward();
         this.addMoney(enemy.getReward());
@@ -165,13 +716,86 @@ export class LevelManager {
      * Enemy reached goal
      */
     enemyReachedGoal(enemy) {
+        if (enemy.campaignStage !== null) {
+            this.resolveCampaignPacket(enemy);
+        }
+
         if (enemy.config.legitimate) {
-            // Legitimate traffic should pass - no penalty
+            // Legitimate traffic should pass - scored against the SLA instead
+            this.recordDelivery(enemy);
             return;
         }
 
+        // Exfiltration hurts the asset the data was taken from, not where it got out
         this.packetsLeaked++;
-        this.takeDamage(10);
+        this.takeDamage(enemy.config.breachDamage ?? 10,
+            enemy.config.exfiltrates ? enemy.stolenFrom : enemy.path[enemy.path.length - 1]);
+    }
+
+    /**
+     * A false positive blocked legitimate traffic: the penalty costs money
+     * (never below zero) and the packet counts as served with zero quality
+     */
+    legitimateDropped(enemy) {
+        const penalty = enemy.getReward();
+        this.score += penalty;
+        this.addMoney(Math.max(penalty, -this.getMoney()));
+
+        this.sla.dropped++;
+        this.sla.served++;
+    }
+
+    /**
+     * Score how well a legitimate packet was served (1 = on time and untouched)
+     */
+    recordDelivery(enemy) {
+        const { LATE_FACTOR, PENALTIES } = Config.SLA;
+        const expectedTime = (enemy.routeLength / enemy.speed) * 16; // Speeds are per 16ms
+        let quality = 1;
+
+        if (enemy.travelTime > expectedTime * LATE_FACTOR) {
+            this.sla.late++;
+            quality -= PENALTIES.late;
+        }
+        if (enemy.wasSlowed) {
+            this.sla.slowed++;
+            quality -= PENALTIES.slowed;
+        }
+        if (enemy.wasDiverted) {
+            this.sla.diverted++;
+            quality -= PENALTIES.diverted;
+        }
+
+        this.sla.served++;
+        this.sla.quality += Math.max(0, quality);
+    }
+
+    /**
+     * Availability score: average service quality of served legitimate packets,
+     * delivered or dropped (0-100)
+     */
+    getAvailability() {
+        if (this.sla.served === 0) return 100;
+        return (this.sla.quality / this.sla.served) * 100;
+    }
+
+    /**
+     * Does this level carry legitimate traffic to be scored?
+     */
+    hasSla() {
+        return (this.level.legitimateRatio || 0) > 0;
+    }
+
+    /**
+     * Stars lost for missing the availability target
+     */
+    getSlaPenalty() {
+        if (!this.hasSla()) return 0;
+
+        const target = this.level.slaTarget || Config.SLA.TARGET;
+        const shortfall = target - this.getAvailability();
+        if (shortfall <= 0) return 0;
+        return Math.min(2, Math.ceil(shortfall / Config.SLA.STAR_STEP));
     }
 
     /**
@@ -193,13 +817,27 @@ export class LevelManager {
                 const successRate = this.calculateSuccessRate();
                 if (successRate >= this.level.successThreshold) {
                     this.levelComplete = true;
-                } else if (this.coreHealth <= 0) {
+                } else if (this.isCoreLost()) {
                     this.levelFailed = true;
                 }
             }
         }
     }
 
+    /**
+     * Did the defense hold once the match is over? (a Simulation's 'complete' outcome)
+     */
+    isDefenseHeld() {
+        return !this.isCoreLost();
+    }
+
+    /**
+     * Has the match reached a final result?
+     */
+    isOver() {
+        return this.levelComplete || this.levelFailed;
+    }
+
     /**
      * Calculate success rate
      */
@@ -237,13 +875,13 @@ export class LevelManager {
         const legitimateRatio = this.level.legitimateRatio || 0;
 
         // Chance for legitimate traffic
-        if (legitimateRatio > 0 && Math.random() < legitimateRatio) {
+        if (legitimateRatio > 0 && this.rng.next() < legitimateRatio) {
             return 'LEGITIMATE';
         }
 
         // Filter out legitimate
         const threats = types.filter(t => t !== 'LEGITIMATE');
-        return threats[Math.floor(Math.random() * threats.length)];
+        return this.rng.pick(threats);
     }
 
     /**
@@ -254,11 +892,18 @@ export class LevelManager {
     }
 
     /**
-     * Get defense rating (stars)
+     * Get defense rating (stars): security rating minus any SLA penalty
      */
     getDefenseRating() {
+        return Math.max(0, this.getSecurityRating() - this.getSlaPenalty());
+    }
+
+    /**
+     * Stars earned for stopping threats
+     */
+    getSecurityRating() {
         // User Request: If they win (survive), they get 3 stars regardless of health/success %
-        if (this.coreHealth > 0) return 3;
+        if (!this.isCoreLost()) return 3;
 
         const successRate = this.calculateSuccessRate();
         if (successRate >= 85) return 3;
@@ -281,7 +926,7 @@ export class LevelManager {
         // Reset spawn timer for new wave
         this.spawnTimer = 0;
 
-        console.log(`[Wave] Starting wave ${this.wave}, spawnTimer reset to 0`);
+        this.log(`[Wave] Starting wave ${this.wave}, spawnTimer reset to 0`);
     }
 
     /**
@@ -290,7 +935,16 @@ export class LevelManager {
      */
     onWaveComplete() {
         this.wave++;
-        console.log(`[Wave] Wave ${this.wave - 1} complete. Starting wave ${this.wave}`);
+        this.log(`[Wave] Wave ${this.wave - 1} complete. Starting wave ${this.wave}`);
+    }
+
+    /**
+     * Gameplay log line for the console (muted in quiet runs); the AIs log through here too
+     */
+    log(...args) {
+        if (!this.quiet) {
+            console.log(...args);
+        }
     }
 }
 
@@ -4,13 +4,14 @@
  */
 
 import LevelManager from './LevelManager.js';
+import WaveSchedule from './WaveSchedule.js';
 import GeniusAI from '../ai/GeniusAI.js';
 import Config from '../utils/Config.js';
 import eventBus from '../core/EventBus.js';
 
 export class LevelManagerAdaptive extends LevelManager {
-    constructor(levelConfig, difficulty = 'normal') {
-        super(levelConfig, difficulty);
+    constructor(levelConfig, difficulty = 'normal', rng, quiet) {
+        super(levelConfig, difficulty, rng, quiet);
 
         // AI system
         this.geniusAI = levelConfig.aiType === 'GENIUS' ? new GeniusAI(this) : null;
@@ -42,15 +43,8 @@ export class LevelManagerAdaptive extends LevelManager {
         const oldTopology = this.level.topology;
 
         // Update topology
-        this.nodes = topology.nodes;
-        this.edges = topology.edges;
-        this.sources = topology.sources;
-        this.goals = topology.goals;
-        this.chokepoints = topology.chokepoints;
         this.level.topology = newTopologyName;
-
-        // Recalculate paths
-        this.calculatePaths();
+        this.applyTopology(topology);
 
         // Reset wave counter
         this.wavesSinceSwitch = 0;
@@ -62,7 +56,7 @@ export class LevelManagerAdaptive extends LevelManager {
             reasoning: this.geniusAI?.towerAnalysis?.strategy || 'Adaptive change'
         });
 
-        console.log(`Topology switched: ${oldTopology} → ${newTopologyName}`);
+        this.log(`Topology switched: ${oldTopology} → ${newTopologyName}`);
         return true;
     }
 
@@ -83,7 +77,7 @@ export class LevelManagerAdaptive extends LevelManager {
         // Reset spawn timer for new wave
         this.spawnTimer = 0;
         
-        console.log(`[Wave] Starting wave ${this.wave}, spawnTimer reset to 0`);
+        this.log(`[Wave] Starting wave ${this.wave}, spawnTimer reset to 0`);
 
         // AI analysis at start of wave (analyze current tower setup)
         // This allows AI to adapt during the wave, not just after
@@ -93,8 +87,8 @@ export class LevelManagerAdaptive extends LevelManager {
                 this.geniusAI.analyzeTowers(this.currentTowers);
                 this.currentStrategy = this.geniusAI.generateCounterStrategy();
                 
-                console.log(`[AI] Wave ${this.wave} Strategy:`, this.currentStrategy.reasoning);
-                console.log(`[AI] Enemy Mix:`, this.currentStrategy.enemyMix);
+                this.log(`[AI] Wave ${this.wave} Strategy:`, this.currentStrategy.reasoning);
+                this.log(`[AI] Enemy Mix:`, this.currentStrategy.enemyMix);
                 
                 // Emit AI strategy update
                 eventBus.emit('aiStrategyUpdate', {
@@ -104,7 +98,7 @@ export class LevelManagerAdaptive extends LevelManager {
             } else {
                 // No towers yet, use default strategy
                 this.currentStrategy = this.geniusAI.getDefaultStrategy();
-                console.log(`[AI] Wave ${this.wave} - No towers yet, using default strategy`);
+                this.log(`[AI] Wave ${this.wave} - No towers yet, using default strategy`);
             }
         }
 
@@ -115,7 +109,7 @@ export class LevelManagerAdaptive extends LevelManager {
             topology: this.level.topology
         });
 
-        console.log(`Wave ${this.wave} starting - Spawn timer reset`);
+        this.log(`Wave ${this.wave} starting - Spawn timer reset`);
     }
 
     /**
@@ -189,7 +183,7 @@ export class LevelManagerAdaptive extends LevelManager {
     getEnemyType() {
         // Check for legitimate traffic first
         const legitimateRatio = this.level.legitimateRatio || 0;
-        if (legitimateRatio > 0 && Math.random() < legitimateRatio) {
+        if (legitimateRatio > 0 && this.rng.next() < legitimateRatio) {
             return 'LEGITIMATE';
         }
 
@@ -201,7 +195,17 @@ export class LevelManagerAdaptive extends LevelManager {
 
         // Fallback to random from available types
         const types = this.level.enemyTypes.filter(t => t !== 'LEGITIMATE');
-        return types[Math.floor(Math.random() * types.length)];
+        return this.rng.pick(types);
+    }
+
+    /**
+     * Generated waves follow the counter-strategy: one group per threat type in its mix
+     */
+    generateWave(wave) {
+        const threatMix = this.currentStrategy?.enemyMix;
+        if (!threatMix) return super.generateWave(wave);
+
+        return WaveSchedule.fromMix(this.getWaveSize(wave), this.getTrafficMix(threatMix), this.spawnInterval);
     }
 
     /**
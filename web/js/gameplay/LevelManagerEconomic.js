@@ -4,13 +4,14 @@
  */
 
 import LevelManager from './LevelManager.js';
+import WaveSchedule from './WaveSchedule.js';
 import EconomicRL from '../ai/EconomicRL.js';
 import Config from '../utils/Config.js';
 import eventBus from '../core/EventBus.js';
 
 export class LevelManagerEconomic extends LevelManager {
-    constructor(levelConfig, difficulty = 'normal') {
-        super(levelConfig, difficulty);
+    constructor(levelConfig, difficulty = 'normal', rng, quiet) {
+        super(levelConfig, difficulty, rng, quiet);
 
         // Economic system
         this.credits = levelConfig.startingCredits || 1500;
@@ -42,7 +43,7 @@ export class LevelManagerEconomic extends LevelManager {
      */
     addMoney(amount) {
         this.credits += amount;
-        console.log(`+$${amount} credits (Total: $${this.credits})`);
+        this.log(`+$${amount} credits (Total: $${this.credits})`);
     }
 
     /**
@@ -50,7 +51,7 @@ export class LevelManagerEconomic extends LevelManager {
      */
     spendMoney(amount) {
         this.credits = Math.max(0, this.credits - amount);
-        console.log(`-$${amount} credits (Remaining: $${this.credits})`);
+        this.log(`-$${amount} credits (Remaining: $${this.credits})`);
     }
 
     /**
@@ -91,7 +92,7 @@ export class LevelManagerEconomic extends LevelManager {
         };
 
         // Update Q-learning
-        this.economicRL.updateQTable(waveResult);
+        this.economicRL.learnFromWave(waveResult);
 
         // Check win condition
         if (this.wave >= this.targetWaves) {
@@ -134,7 +135,7 @@ export class LevelManagerEconomic extends LevelManager {
             if (!topologyName) {
                 let nextIndex;
                 do {
-                    nextIndex = Math.floor(Math.random() * this.topologyVariants.length);
+                    nextIndex = this.rng.int(this.topologyVariants.length);
                 } while (this.topologyVariants[nextIndex] === this.level.topology);
                 topologyName = this.topologyVariants[nextIndex];
             }
@@ -144,15 +145,8 @@ export class LevelManagerEconomic extends LevelManager {
         if (!topologyData) return;
 
         // Update topology
-        this.nodes = topologyData.nodes;
-        this.edges = topologyData.edges;
-        this.sources = topologyData.sources;
-        this.goals = topologyData.goals;
-        this.chokepoints = topologyData.chokepoints;
         this.level.topology = topologyName;
-
-        // Recalculate paths
-        this.calculatePaths();
+        this.applyTopology(topologyData);
         this.wavesSinceSwitch = 0;
 
         eventBus.emit('economicTopologyRotation', {
@@ -160,7 +154,7 @@ export class LevelManagerEconomic extends LevelManager {
             wave: this.wave
         });
 
-        console.log(`Topology rotated to: ${topologyName}`);
+        this.log(`Topology rotated to: ${topologyName}`);
     }
 
     /**
@@ -195,7 +189,7 @@ export class LevelManagerEconomic extends LevelManager {
 
             // Lose a tower if can't pay
             if (towers && towers.length > 0) {
-                const lostTower = towers[Math.floor(Math.random() * towers.length)];
+                const lostTower = this.rng.pick(towers);
                 eventBus.emit('towerLostToMaintenance', { tower: lostTower });
             }
         }
@@ -209,7 +203,7 @@ export class LevelManagerEconomic extends LevelManager {
     getEnemyType() {
         // Check for legitimate traffic
         const legitimateRatio = this.level.legitimateRatio || 0;
-        if (legitimateRatio > 0 && Math.random() < legitimateRatio) {
+        if (legitimateRatio > 0 && this.rng.next() < legitimateRatio) {
             return 'LEGITIMATE';
         }
 
@@ -220,7 +214,27 @@ export class LevelManagerEconomic extends LevelManager {
 
         // Fallback
         const types = this.level.enemyTypes.filter(t => t !== 'LEGITIMATE');
-        return types[Math.floor(Math.random() * types.length)];
+        return this.rng.pick(types);
+    }
+
+    /**
+     * Generated waves follow the RL action: one group per threat type in its mix,
+     * sent down the action's route (legitimate traffic keeps to random paths)
+     */
+    generateWave(wave) {
+        if (!this.currentStrategy) return super.generateWave(wave);
+
+        const threatMix = this.economicRL.getEnemyMix(this.currentStrategy);
+        const path = this.economicRL.getRouteHint(this.currentStrategy);
+        return WaveSchedule.fromMix(this.getWaveSize(wave), this.getTrafficMix(threatMix), this.spawnInterval)
+            .map(group => group.type === 'LEGITIMATE' ? group : { ...group, path });
+    }
+
+    /**
+     * Keep the defense in view for the RL features
+     */
+    updateTowers(towers) {
+        this.currentTowers = towers;
     }
 
     /**
@@ -1,18 +1,26 @@
 /**
  * LEVEL_MANAGER_STACKELBERG.JS - Level Manager for Level 3
  * Implements 4-phase Stackelberg game with commitment and perfect AI response
+ *
+ * Commitments are 'fixed' (the towers stand where they are built) or 'mixed':
+ * towers may patrol between two chokepoints, the battle is split into rounds,
+ * and each round the attacker picks its attack before the patrols are drawn.
+ * Mixed commitments are scored on expected utility, not on one draw.
  */
 
 import LevelManager from './LevelManager.js';
 import PerfectAI from '../ai/PerfectAI.js';
+import { EPSILON } from '../ai/StackelbergSolver.js';
 import eventBus from '../core/EventBus.js';
+import Random from '../core/Random.js';
+import Pathfinding from '../utils/Pathfinding.js';
 import { TopologyGenerator } from '../utils/TopologyGenerator.js';
 
 export class LevelManagerStackelberg extends LevelManager {
-    constructor(levelConfig, difficulty = 'normal') {
+    constructor(levelConfig, difficulty = 'normal', rng = new Random(), quiet = false) {
 
         // Generate Dynamic Stackelberg Map
-        const dynamicMap = TopologyGenerator.generateStackelbergMap();
+        const dynamicMap = TopologyGenerator.generateStackelbergMap(rng);
 
         // Merge with config
         const finalConfig = {
@@ -20,7 +28,7 @@ export class LevelManagerStackelberg extends LevelManager {
             ...dynamicMap
         };
 
-        super(finalConfig, difficulty);
+        super(finalConfig, difficulty, rng, quiet);
 
         // Calculate optimal baseline for this topology
         this.optimalSuccessRate = Math.max(40, 100 - this.paths.length * 8 + this.chokepoints.length * 6);
@@ -35,11 +43,18 @@ export class LevelManagerStackelberg extends LevelManager {
         // AI
         this.perfectAI = new PerfectAI(this);
         this.aiAnalysis = null;
+        this.analysisDelay = 3000; // Show analysis progress for 3 seconds
+        this.analysisPending = false;
 
         // Tower lock
         this.towersLocked = false;
         this.committedTowers = [];
 
+        // Commitment mode and, for mixed commitments, the battle rounds played so far
+        this.commitmentMode = 'fixed';
+        this.round = 0;
+        this.rounds = [];
+
         // Battle active flag
         this.battleActive = false;
     }
@@ -60,6 +75,17 @@ export class LevelManagerStackelberg extends LevelManager {
     updatePhase(deltaTime) {
         this.phaseTimer += deltaTime;
 
+        if (this.analysisPending && this.phaseTimer >= this.analysisDelay) {
+            this.runAnalysis();
+        }
+
+        if (this.currentPhase === 'battle' && this.commitmentMode === 'mixed') {
+            const roundLength = (this.phases.battle * 1000) / this.level.securityGame.rounds;
+            if (this.phaseTimer >= this.round * roundLength && this.round < this.level.securityGame.rounds) {
+                this.startRound();
+            }
+        }
+
         const elapsed = Math.floor(this.phaseTimer / 1000);
         const remaining = this.getPhaseDuration() - elapsed;
 
@@ -122,6 +148,18 @@ export class LevelManagerStackelberg extends LevelManager {
         });
     }
 
+    /**
+     * Choose between a fixed and a mixed commitment (commitment phase only)
+     * @param {string} mode - 'fixed' or 'mixed'
+     * @returns {boolean} Whether the mode was set
+     */
+    setCommitmentMode(mode) {
+        if (this.towersLocked || (mode !== 'fixed' && mode !== 'mixed')) return false;
+
+        this.commitmentMode = mode;
+        return true;
+    }
+
     /**
      * Phase 2: Training - AI analyzes
      */
@@ -133,15 +171,8 @@ export class LevelManagerStackelberg extends LevelManager {
         this.towersLocked = true;
         this.committedTowers = [...this.committedTowers]; // Snapshot
 
-        // Run AI analysis
-        setTimeout(() => {
-            this.aiAnalysis = this.perfectAI.analyzeAndGenerate(this.committedTowers);
-
-            eventBus.emit('aiAnalysisComplete', {
-                analysis: this.aiAnalysis,
-                weaknesses: this.aiAnalysis.weaknesses
-            });
-        }, 3000); // Show progress for 3 seconds
+        // Run AI analysis once the progress delay has elapsed (see updatePhase)
+        this.analysisPending = true;
 
         eventBus.emit('phaseChange', {
             phase: 'training',
@@ -150,6 +181,19 @@ export class LevelManagerStackelberg extends LevelManager {
         });
     }
 
+    /**
+     * Perfect AI analyzes the committed towers
+     */
+    runAnalysis() {
+        this.analysisPending = false;
+        this.aiAnalysis = this.perfectAI.analyzeAndGenerate(this.committedTowers);
+
+        eventBus.emit('aiAnalysisComplete', {
+            analysis: this.aiAnalysis,
+            weaknesses: this.aiAnalysis.weaknesses
+        });
+    }
+
     /**
      * Phase 3: Battle - Perfect counter-attack
      */
@@ -165,6 +209,52 @@ export class LevelManagerStackelberg extends LevelManager {
 
         // Start spawning enemies
         this.battleActive = true;
+
+        if (this.commitmentMode === 'mixed') {
+            this.startRound();
+        }
+    }
+
+    /**
+     * Mixed commitments: the attacker has already answered the patrols (see runAnalysis);
+     * draw where each patrolling tower stands this round
+     */
+    startRound() {
+        this.closeRound();
+        this.round++;
+
+        const placements = this.committedTowers.map(tower => {
+            if (tower.patrol) {
+                const { home, node, share } = tower.patrol;
+                const nodeIndex = this.rng.next() < share ? node : home;
+                tower.moveTo(nodeIndex, this.nodes[nodeIndex]);
+            }
+            return { type: tower.type, node: tower.node };
+        });
+
+        const commitment = this.aiAnalysis?.analysis.commitment;
+        this.rounds.push({
+            round: this.round,
+            placements,
+            threat: commitment?.threat ?? null,
+            route: commitment?.route ?? null,
+            start: { blocked: this.packetsBlocked, leaked: this.packetsLeaked },
+            blocked: 0,
+            leaked: 0
+        });
+
+        eventBus.emit('battleRound', { ...this.rounds[this.rounds.length - 1], rounds: this.level.securityGame.rounds });
+    }
+
+    /**
+     * Tally the packets resolved during the round in progress
+     */
+    closeRound() {
+        const current = this.rounds[this.rounds.length - 1];
+        if (!current) return;
+
+        current.blocked = this.packetsBlocked - current.start.blocked;
+        current.leaked = this.packetsLeaked - current.start.leaked;
     }
 
     /**
@@ -173,6 +263,7 @@ export class LevelManagerStackelberg extends LevelManager {
     startScoringPhase() {
         this.currentPhase = 'scoring';
         this.battleActive = false;
+        this.closeRound();
 
         // Calculate results
         const score = this.calculateStackelbergScore();
@@ -186,8 +277,10 @@ export class LevelManagerStackelberg extends LevelManager {
         eventBus.emit('stackelbergComplete', {
             score,
             analysis: this.aiAnalysis,
-            survived: this.coreHealth > 0,
-            defenseRating: this.getDefenseRating()
+            survived: !this.isCoreLost(),
+            defenseRating: this.getDefenseRating(),
+            commitmentMode: this.commitmentMode,
+            rounds: this.rounds
         });
 
         // Show optimal strategy for this topology
@@ -196,9 +289,28 @@ export class LevelManagerStackelberg extends LevelManager {
     }
 
     /**
-     * Calculate Stackelberg game score
+     * The match ends with the scoring phase
+     */
+    isOver() {
+        return super.isOver() || this.currentPhase === 'scoring';
+    }
+
+    /**
+     * The core is never lost on Level 3: the defense held if the Stackelberg score
+     * reaches the level's success threshold
+     */
+    isDefenseHeld() {
+        return this.calculateStackelbergScore() >= this.level.successThreshold;
+    }
+
+    /**
+     * Calculate Stackelberg game score (mixed commitments: see calculateExpectedScore)
      */
     calculateStackelbergScore() {
+        if (this.commitmentMode === 'mixed') {
+            return this.calculateExpectedScore();
+        }
+
         const defenseValue = this.aiAnalysis?.analysis.defenseValue || 0;
         const survivability = (this.coreHealth / this.optimalHealthRetention) * 50; // Normalized by topology difficulty
         const successRate = (this.calculateSuccessRate() / this.optimalSuccessRate) * 100; // Normalized by best possible
@@ -207,9 +319,27 @@ export class LevelManagerStackelberg extends LevelManager {
     }
 
     /**
-     * Get defense rating (stars)
+     * Score of a mixed commitment: its expected utility against the attacker's best
+     * response, from a breach every time (0) up to the equilibrium's (100)
      */
-    getDefenseRating() {
+    calculateExpectedScore() {
+        const commitment = this.aiAnalysis?.analysis.commitment;
+        const equilibrium = this.getEquilibrium();
+        if (!commitment || !equilibrium) return 0;
+
+        // An equilibrium no better than a certain breach leaves nothing to fall short of
+        const worst = this.level.securityGame.defender.breached;
+        const range = equilibrium.defenderUtility - worst;
+        if (range <= EPSILON) return 100;
+
+        const share = (commitment.defenderUtility - worst) / range;
+        return Math.floor(Math.max(0, Math.min(100, share * 100)));
+    }
+
+    /**
+     * Stars earned from the Stackelberg score (SLA penalty applied by getDefenseRating)
+     */
+    getSecurityRating() {
         const score = this.calculateStackelbergScore();
 
         if (score >= 80) return 3;
@@ -219,18 +349,39 @@ export class LevelManagerStackelberg extends LevelManager {
     }
 
     /**
-     * Get enemy type using Perfect AI strategy
+     * Equilibrium of the level's security game, shown while the player commits
+     * (solved on first use)
+     */
+    getEquilibrium() {
+        return this.perfectAI.solver.getEquilibrium();
+    }
+
+    /**
+     * Get enemy type using Perfect AI strategy: the threat that best answers the
+     * commitment, or the path-weakness mix if the security game has no answer
      */
     getEnemyType() {
         if (!this.aiAnalysis || !this.battleActive) {
             return 'BASIC';
         }
 
+        const commitment = this.aiAnalysis.analysis.commitment;
+        if (commitment) return commitment.threat;
+
         // Choose path first
         const pathIndex = this.selectOptimalPath();
         return this.perfectAI.getEnemyTypeForPath(pathIndex);
     }
 
+    /**
+     * During the battle, packets take the attacker's best-response route
+     */
+    getRandomPath() {
+        const commitment = this.aiAnalysis?.analysis.commitment;
+        if (this.battleActive && commitment) return commitment.route;
+        return super.getRandomPath();
+    }
+
     /**
      * Select optimal path for spawning
      */
@@ -241,7 +392,7 @@ export class LevelManagerStackelberg extends LevelManager {
 
         // Weighted random selection (prioritize weak paths)
         const totalPriority = pathScores.reduce((sum, p) => sum + (10 - p.totalDamage / 10), 0);
-        let roll = Math.random() * totalPriority;
+        let roll = this.rng.next() * totalPriority;
 
         for (let i = 0; i < pathScores.length; i++) {
             const priority = 10 - pathScores[i].totalDamage / 10;
@@ -258,7 +409,8 @@ export class LevelManagerStackelberg extends LevelManager {
      * Lock towers after commitment phase
      */
     commitTowers(towers) {
-        this.committedTowers = towers.map(t => ({ ...t }));
+        // Keep the Tower instances: the AI reads their tier and DPS
+        this.committedTowers = [...towers];
         this.towersLocked = true;
     }
     /**
@@ -266,7 +418,7 @@ export class LevelManagerStackelberg extends LevelManager {
      */
     onWaveComplete(towers, waveResult) {
         // Level 3 specific logic if needed
-        console.log('Wave complete in Stackelberg mode');
+        this.log('Wave complete in Stackelberg mode');
 
         // Check win condition if wave limit reached (though Level 3 is usually time/phase based)
         if (this.currentPhase === 'battle' && this.battleActive) {
@@ -291,28 +443,29 @@ export class LevelManagerStackelberg extends LevelManager {
 
         // Analyze each tower
         this.committedTowers.forEach(tower => {
-            const towerConfig = tower.config; // Assuming config is accessible via tower instance or lookup
-            totalCost += towerConfig.cost;
+            // Build cost plus upgrades
+            const towerCost = tower.invested;
+            totalCost += towerCost;
 
             // Check positioning efficiently
-            const nodeIndex = this.nodes.findIndex(n => n.x === tower.x && n.y === tower.y);
+            const nodeIndex = tower.getHomeNode();
             const isChokepoint = this.chokepoints.includes(nodeIndex);
 
-            // Heuristic for value
+            // Heuristic for value, by tower family
             let value = 0;
 
-            if (tower.type === 'Firewall') {
+            if (tower.config.family === 'Firewall') {
                 // High damage, good on chokepoints
                 value = isChokepoint ? 1.5 : 0.8;
-            } else if (tower.type === 'IDS') {
+            } else if (tower.config.family === 'IDS') {
                 // Support, good coverage needed but cheap
                 value = isChokepoint ? 1.2 : 0.9;
-            } else if (tower.type === 'Honeypot') {
+            } else if (tower.config.family === 'Honeypot') {
                 // Distraction, good near core or split paths
                 value = 1.0;
             }
 
-            effectivenessScore += (towerConfig.cost * value);
+            effectivenessScore += (towerCost * value);
         });
 
         const efficiencyRatio = effectivenessScore / totalCost;
@@ -412,12 +565,7 @@ export class LevelManagerStackelberg extends LevelManager {
         }
 
         let allPaths = [];
-        const neighbors = [];
-
-        this.edges.forEach(edge => {
-            if (edge[0] === start) neighbors.push(edge[1]);
-            else if (edge[1] === start) neighbors.push(edge[0]);
-        });
+        const neighbors = Pathfinding.getNeighbors(this.activeEdges, start);
 
         for (const neighbor of neighbors) {
             if (!visited.has(neighbor)) {
@@ -448,7 +596,7 @@ export class LevelManagerStackelberg extends LevelManager {
 
         // Specific tower placements
         if (numChokepoints > 0) {
-            strategy += "• Recommended Mix: 2 Firewalls, 1 IDS, 1 Honeypot (Total: 880 credits)\n";
+            strategy += "• Recommended Mix: 2 Firewalls, 2 IDS (Total: 880 credits)\n";
             strategy += "  (This balanced setup is more cost-effective than 3 Firewalls)\n\n";
             strategy += "• Place Firewalls at key chokepoints: " + this.chokepoints.slice(0, 2).join(', ') + "\n";
             strategy += "  (Secure the most critical bottlenecks first)\n\n";
@@ -459,9 +607,6 @@ export class LevelManagerStackelberg extends LevelManager {
         strategy += "• Place IDS towers at nodes: " + (this.sources[0] + 1) + ", " + (this.goals[0] - 1) + "\n";
         strategy += "  (Early detection and slowing of STEALTH/ENCRYPTED threats)\n\n";
 
-        strategy += "• Place Honeypots at nodes: " + (this.sources[0] + 2) + ", " + (this.goals[0] - 2) + "\n";
-        strategy += "  (Distract enemies and create decoys near entry/exit points)\n\n";
-
         strategy += "Reasoning: " + (hasMultiplePaths ?
             "This " + numPaths + "-path topology requires a mixed approach. A pure Firewall strategy is expensive and lacks utility vs variety." :
             "This " + numPaths + "-path layout allows focused defense at key junctions.");
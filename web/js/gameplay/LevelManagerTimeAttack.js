@@ -6,8 +6,8 @@
 import LevelManager from './LevelManager.js';
 
 export class LevelManagerTimeAttack extends LevelManager {
-    constructor(levelConfig, difficulty = 'normal') {
-        super(levelConfig, difficulty);
+    constructor(levelConfig, difficulty = 'normal', rng, quiet) {
+        super(levelConfig, difficulty, rng, quiet);
         this.waveTimeLimit = levelConfig.waveTimeLimit || 60;
         this.waveTimer = 0;
         this.totalGameTimer = 0;
@@ -25,7 +25,7 @@ export class LevelManagerTimeAttack extends LevelManager {
     }
 
     handleTimeOut() {
-        console.log(`Time up for wave ${this.wave}!`);
+        this.log(`Time up for wave ${this.wave}!`);
         // If not enough enemies blocked by now, damage core based on remaining
         this.takeDamage(10); // Penalty for slow clearing
         this.startWave();
@@ -37,7 +37,7 @@ export class LevelManagerTimeAttack extends LevelManager {
         this.spawnTimer = 0;
         // Increase difficulty slightly each wave
         this.spawnInterval = Math.max(500, this.spawnInterval * 0.9);
-        console.log(`[Time Attack] Starting wave ${this.wave}. New spawn interval: ${this.spawnInterval.toFixed(0)}ms`);
+        this.log(`[Time Attack] Starting wave ${this.wave}. New spawn interval: ${this.spawnInterval.toFixed(0)}ms`);
     }
 
     checkWinCondition() {
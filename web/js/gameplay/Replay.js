@@ -0,0 +1,356 @@
+/**
+ * REPLAY.JS - Input-Level Replays
+ * A replay is the match seed plus every player input stamped with the
+ * simulation tick it happened on. Playing the inputs back into a fresh
+ * Simulation reproduces the match exactly.
+ */
+
+import Simulation from './Simulation.js';
+import Config from '../utils/Config.js';
+
+export const REPLAY_VERSION = 2;
+
+export class Replay {
+    /**
+     * @param {Object} data - { level, difficulty, seed, ai, topology, inputs, result }
+     */
+    constructor(data) {
+        this.version = REPLAY_VERSION;
+        this.level = data.level;
+        this.difficulty = data.difficulty || 'normal';
+        this.seed = data.seed;
+        this.ai = data.ai || null;
+        this.topology = data.topology || null; // Editor-built map (custom level only)
+        this.inputs = data.inputs || [];
+        this.result = data.result || null;
+    }
+
+    /**
+     * Start recording a live match
+     * @param {Object} levelConfig - Level the simulation was created from
+     * @param {Simulation} simulation - Freshly created, not yet started
+     */
+    static record(levelConfig, simulation) {
+        return new Replay({
+            level: levelConfig.id,
+            difficulty: simulation.difficulty,
+            seed: simulation.seed,
+            ai: Replay.snapshotAI(simulation.levelManager),
+            topology: levelConfig.id === Config.CUSTOM_LEVEL.id ? Config.TOPOLOGIES[levelConfig.topology] : null
+        });
+    }
+
+    /**
+     * Learned AI state that lives outside the seed (Level 4 RL weights)
+     */
+    static snapshotAI(levelManager) {
+        const rl = levelManager.economicRL;
+        if (!rl) return null;
+
+        return rl.exportWeights();
+    }
+
+    /**
+     * Find a level by id in Config.LEVELS, Config.ENDLESS_MODES or the custom level
+     */
+    static findLevel(id) {
+        return Config.LEVELS.find(l => l.id === id) ||
+            Object.values(Config.ENDLESS_MODES).find(m => m.id === id) ||
+            (id === Config.CUSTOM_LEVEL.id ? Config.CUSTOM_LEVEL : null);
+    }
+
+    /**
+     * Load a replay file
+     * @param {string} text - Replay JSON
+     * @returns {Replay}
+     */
+    static parse(text) {
+        const data = JSON.parse(text);
+
+        if (data.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (!Replay.findLevel(data.level)) {
+            throw new Error(`Unknown level in replay: ${data.level}`);
+        }
+        if (!Number.isInteger(data.seed) || !Array.isArray(data.inputs)) {
+            throw new Error('Replay is missing its seed or inputs');
+        }
+        if (data.level === Config.CUSTOM_LEVEL.id && !data.topology) {
+            throw new Error('Custom map replay is missing its topology');
+        }
+
+        return new Replay(data);
+    }
+
+    /**
+     * Record an input at the given tick
+     * @param {number} tick - Simulation tick the input was processed after
+     * @param {string} type - 'place', 'sell', 'upgrade', 'target', 'tune', 'clean', 'isolate', 'cut', 'restore',
+     *     'select', 'pause' or 'resume'
+     * @param {...any} args - Input arguments (node or link index, tower type, targeting mode, tuning)
+     */
+    add(tick, type, ...args) {
+        this.inputs.push([tick, type, ...args]);
+    }
+
+    /**
+     * Store the final match summary (used to verify playback)
+     */
+    finish(result) {
+        this.result = result;
+    }
+
+    /**
+     * Length of the recording in ticks
+     */
+    get ticks() {
+        if (this.result) return this.result.ticks;
+        return this.inputs.length > 0 ? this.inputs[this.inputs.length - 1][0] : 0;
+    }
+
+    /**
+     * Create the simulation this replay was recorded against
+     */
+    createSimulation() {
+        const simulation = new Simulation(Replay.findLevel(this.level), {
+            difficulty: this.difficulty,
+            seed: this.seed,
+            topology: this.topology
+        });
+
+        const rl = simulation.levelManager.economicRL;
+        if (rl && this.ai) {
+            // Start from the recorded weights and never write back to the player's
+            rl.persistent = false;
+            rl.importWeights(this.ai);
+        }
+
+        return simulation;
+    }
+
+    /**
+     * Compact JSON for download
+     */
+    serialize() {
+        return JSON.stringify({
+            version: this.version,
+            level: this.level,
+            difficulty: this.difficulty,
+            seed: this.seed,
+            ai: this.ai,
+            topology: this.topology,
+            inputs: this.inputs,
+            result: this.result
+        });
+    }
+
+    /**
+     * Suggested download name
+     */
+    getFileName() {
+        return `replay-${this.level}-${this.seed}.json`;
+    }
+}
+
+export class ReplayPlayer {
+    /**
+     * @param {Replay} replay
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.reset();
+    }
+
+    /**
+     * Rebuild the match from tick 0
+     */
+    reset() {
+        this.simulation = this.replay.createSimulation();
+        this.simulation.start();
+        this.nextInput = 0;
+        this.accumulator = 0;
+
+        // Presentation-only inputs, tracked for the viewer
+        this.selectedTowerType = null;
+        this.playerPaused = false;
+    }
+
+    get levelManager() {
+        return this.simulation.levelManager;
+    }
+
+    /**
+     * Has playback reached the end of the recording?
+     */
+    isAtEnd() {
+        return this.simulation.finished || this.simulation.tick >= this.replay.ticks;
+    }
+
+    /**
+     * Apply every input recorded before the upcoming tick
+     */
+    applyInputs() {
+        const inputs = this.replay.inputs;
+
+        while (this.nextInput < inputs.length && inputs[this.nextInput][0] <= this.simulation.tick) {
+            this.applyInput(inputs[this.nextInput]);
+            this.nextInput++;
+        }
+    }
+
+    applyInput([, type, ...args]) {
+        switch (type) {
+            case 'place': {
+                const [nodeIndex, towerType] = args;
+                if (!this.simulation.placeTower(nodeIndex, towerType)) {
+                    console.warn(`Replay: placement of ${towerType} at node ${nodeIndex} was rejected`);
+                }
+                break;
+            }
+            case 'sell':
+                if (this.simulation.sellTower(args[0]) === null) {
+                    console.warn(`Replay: sale of tower at node ${args[0]} was rejected`);
+                }
+                break;
+            case 'upgrade':
+                if (!this.simulation.upgradeTower(args[0])) {
+                    console.warn(`Replay: upgrade of tower at node ${args[0]} was rejected`);
+                }
+                break;
+            case 'target': {
+                const [nodeIndex, mode] = args;
+                if (!this.simulation.setTowerTargeting(nodeIndex, mode)) {
+                    console.warn(`Replay: targeting ${mode} for tower at node ${nodeIndex} was rejected`);
+                }
+                break;
+            }
+            case 'tune': {
+                const [nodeIndex, tuning] = args;
+                if (!this.simulation.setTowerTuning(nodeIndex, tuning)) {
+                    console.warn(`Replay: tuning ${tuning} for tower at node ${nodeIndex} was rejected`);
+                }
+                break;
+            }
+            case 'clean':
+                if (!this.simulation.cleanNode(args[0])) {
+                    console.warn(`Replay: cleaning node ${args[0]} was rejected`);
+                }
+                break;
+            case 'isolate':
+                if (!this.simulation.isolateNode(args[0])) {
+                    console.warn(`Replay: isolating node ${args[0]} was rejected`);
+                }
+                break;
+            case 'cut':
+                if (!this.simulation.cutEdge(args[0])) {
+                    console.warn(`Replay: cutting link ${args[0]} was rejected`);
+                }
+                break;
+            case 'restore':
+                if (!this.simulation.restoreEdge(args[0])) {
+                    console.warn(`Replay: restoring link ${args[0]} was rejected`);
+                }
+                break;
+            case 'commitment':
+                if (!this.simulation.setCommitmentMode(args[0])) {
+                    console.warn(`Replay: ${args[0]} commitment was rejected`);
+                }
+                break;
+            case 'patrol': {
+                const [nodeIndex, patrolNode, share] = args;
+                if (!this.simulation.setTowerPatrol(nodeIndex, patrolNode, share)) {
+                    console.warn(`Replay: patrol to ${patrolNode} for tower at node ${nodeIndex} was rejected`);
+                }
+                break;
+            }
+            case 'select':
+                this.selectedTowerType = args[0];
+                break;
+            case 'pause':
+                this.playerPaused = true;
+                break;
+            case 'resume':
+                this.playerPaused = false;
+                break;
+        }
+    }
+
+    /**
+     * Run one tick of the recording
+     */
+    step() {
+        if (this.isAtEnd()) return;
+
+        this.applyInputs();
+        this.simulation.step();
+    }
+
+    /**
+     * Advance by real elapsed time (already scaled by playback speed)
+     * @returns {number} Number of ticks run
+     */
+    advance(deltaTime) {
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.simulation.tickMs && !this.isAtEnd()) {
+            this.accumulator -= this.simulation.tickMs;
+            this.step();
+            steps++;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Scrub to a tick (rewinding replays from the start)
+     */
+    seek(tick) {
+        if (tick < this.simulation.tick) {
+            this.reset();
+        }
+
+        while (this.simulation.tick < tick && !this.isAtEnd()) {
+            this.step();
+        }
+    }
+
+    /**
+     * Jump to the start of a wave
+     */
+    seekWave(wave) {
+        if (wave <= this.levelManager.wave) {
+            this.reset();
+        }
+
+        while (this.levelManager.wave < wave && !this.isAtEnd()) {
+            this.step();
+        }
+    }
+
+    /**
+     * Play the whole recording headlessly
+     * @returns {Object} Match result
+     */
+    run() {
+        while (!this.isAtEnd()) {
+            this.step();
+        }
+        return this.simulation.getResult();
+    }
+
+    /**
+     * Does playback reproduce the recorded result?
+     */
+    matchesRecording() {
+        const recorded = this.replay.result;
+        if (!recorded) return null;
+
+        const result = this.simulation.getResult();
+        return ['outcome', 'ticks', 'score', 'coreHealth', 'packetsBlocked', 'packetsLeaked']
+            .every(key => result[key] === recorded[key]);
+    }
+}
+
+export default Replay;
@@ -0,0 +1,891 @@
+/**
+ * SIMULATION.JS - Headless Match Simulation
+ * DOM-free game core: level manager, towers, enemies and projectiles
+ * advanced with a fixed timestep. Runs in the browser and under plain Node.
+ */
+
+import LevelManager from './LevelManager.js';
+import LevelManagerAdaptive from './LevelManagerAdaptive.js';
+import LevelManagerStackelberg from './LevelManagerStackelberg.js';
+import LevelManagerEconomic from './LevelManagerEconomic.js';
+import LevelManagerTimeAttack from './LevelManagerTimeAttack.js';
+import Tower from '../entities/Tower.js';
+import Enemy from '../entities/Enemy.js';
+import Config from '../utils/Config.js';
+import Pathfinding from '../utils/Pathfinding.js';
+import { EventBus } from '../core/EventBus.js';
+import Random from '../core/Random.js';
+
+export class Simulation {
+    /**
+     * @param {Object} levelConfig - Entry from Config.LEVELS or Config.ENDLESS_MODES
+     * @param {Object} options - { difficulty, tickMs, seed, topology, quiet }
+     * - topology: map data to play instead of Config.TOPOLOGIES[levelConfig.topology]
+     * - quiet: mute the level manager's gameplay logging
+     */
+    constructor(levelConfig, options = {}) {
+        this.difficulty = options.difficulty || 'normal';
+        this.tickMs = options.tickMs || Config.SIMULATION.TICK_MS;
+
+        // One RNG per match: every map, path, enemy and AI choice draws from it
+        this.seed = options.seed ?? Random.generateSeed();
+        this.rng = new Random(this.seed);
+
+        // Copy the level so topology switches never mutate the shared Config entry
+        const level = options.topology ? { ...levelConfig, topologyData: options.topology } : { ...levelConfig };
+        this.levelManager = Simulation.createLevelManager(level, this.difficulty, this.rng, options.quiet);
+
+        this.towers = [];
+        this.enemies = [];
+        this.linkLoad = new Map(); // edge → packets on it this tick
+
+        // Detection confusion matrix over every tower's verdicts (per packet per tower)
+        this.confusion = { tp: 0, fn: 0, fp: 0, tn: 0 };
+        this.waveConfusionStart = { ...this.confusion };
+        this.lastWaveConfusion = null; // Endless modes: matrix of the last finished wave
+
+        // Clock
+        this.tick = 0;
+        this.elapsed = 0;
+        this.accumulator = 0;
+
+        // Time until another link can be cut (ms)
+        this.segmentationCooldown = 0;
+
+        this.started = false;
+        this.finished = false;
+
+        // Simulation-local events (the global event bus is left to the UI)
+        this.events = new EventBus();
+    }
+
+    /**
+     * Create the level manager matching the level's AI type
+     */
+    static createLevelManager(level, difficulty, rng, quiet = false) {
+        switch (level.aiType) {
+            case 'GENIUS':
+                // Level 2: Adaptive AI
+                return new LevelManagerAdaptive(level, difficulty, rng, quiet);
+            case 'PERFECT':
+                // Level 3: Stackelberg equilibrium
+                return new LevelManagerStackelberg(level, difficulty, rng, quiet);
+            case 'ECONOMIC_RL':
+                // Level 4: Economic RL
+                return new LevelManagerEconomic(level, difficulty, rng, quiet);
+            case 'TIME_ATTACK':
+                return new LevelManagerTimeAttack(level, difficulty, rng, quiet);
+            default:
+                // Level 1: Standard
+                return new LevelManager(level, difficulty, rng, quiet);
+        }
+    }
+
+    /**
+     * All in-flight projectiles (owned by the towers that fired them)
+     */
+    get projectiles() {
+        return this.towers.flatMap(tower => tower.projectiles);
+    }
+
+    /**
+     * Run mode-specific startup (first wave, commitment phase)
+     */
+    start() {
+        if (this.started) return;
+
+        const lm = this.levelManager;
+        switch (lm.level.aiType) {
+            case 'GENIUS':
+                if (lm.level.mode === 'ENDLESS') {
+                    lm.startWave();
+                }
+                break;
+            case 'PERFECT':
+                lm.startCommitmentPhase();
+                break;
+            case 'ECONOMIC_RL':
+            case 'TIME_ATTACK':
+                lm.startWave();
+                break;
+            default:
+                if (lm.level.mode === 'ENDLESS') {
+                    lm.startWave();
+                }
+        }
+
+        if (this.isEndless()) {
+            lm.planWave();
+        }
+
+        this.started = true;
+    }
+
+    /**
+     * Is this an endless mode with scheduled waves?
+     */
+    isEndless() {
+        const mode = this.levelManager.level.mode;
+        return mode === 'ENDLESS' || mode === 'ECONOMIC_ENDLESS';
+    }
+
+    /**
+     * Advance by real elapsed time, running as many fixed ticks as fit
+     * @param {number} deltaTime - Elapsed time (ms)
+     * @returns {number} Number of ticks run
+     */
+    advance(deltaTime) {
+        this.accumulator += deltaTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.tickMs && !this.finished) {
+            this.accumulator -= this.tickMs;
+            this.step();
+            steps++;
+        }
+
+        return steps;
+    }
+
+    /**
+     * Run one fixed tick
+     */
+    step() {
+        if (this.finished) return;
+
+        const deltaTime = this.tickMs;
+        const lm = this.levelManager;
+
+        this.tick++;
+        this.elapsed += deltaTime;
+
+        if (this.segmentationCooldown > 0) {
+            this.segmentationCooldown = Math.max(0, this.segmentationCooldown - deltaTime);
+        }
+
+        // Phase timers (Level 3, Time Attack)
+        if (lm.updatePhase) {
+            lm.updatePhase(deltaTime);
+        }
+
+        this.updateSpawning(deltaTime);
+        this.updateCampaign(deltaTime);
+
+        lm.checkWinCondition();
+
+        // Update towers (those on a live foothold are offline, SIEMs boost the rest
+        // and synergies link up)
+        const offline = lm.getOfflineNodes();
+        this.towers.forEach(tower => {
+            tower.disabled = offline.has(tower.node);
+        });
+        Tower.applyAuras(this.towers);
+        Tower.applySynergies(this.towers);
+        this.towers.forEach(tower => tower.update(deltaTime, this.enemies));
+
+        this.updateLinkLoad();
+
+        // Update enemies (a destroyed botnet splits once the list is rebuilt)
+        const splitting = [];
+        this.enemies = this.enemies.filter(enemy => {
+            enemy.update(deltaTime);
+
+            if (enemy.config.scanRange) {
+                enemy.scan(this.towers);
+            }
+
+            if (enemy.compromisedNode !== null) {
+                if (lm.compromiseNode(enemy.compromisedNode)) {
+                    this.events.emit('nodeCompromised', { node: enemy.compromisedNode, type: enemy.type });
+                }
+                enemy.compromisedNode = null;
+            }
+
+            if (!enemy.isAlive()) {
+                if (enemy.reachedGoal) {
+                    lm.enemyReachedGoal(enemy);
+                    this.events.emit('enemyReachedGoal', enemy);
+                    if (enemy.config.boss) this.events.emit('bossEscaped', enemy);
+                } else {
+                    lm.enemyDestroyed(enemy);
+                    this.events.emit('enemyDestroyed', enemy);
+                    if (enemy.config.splitInto) splitting.push(enemy);
+                    if (enemy.config.boss) this.events.emit('bossDefeated', enemy);
+                }
+                return false;
+            }
+
+            return true;
+        });
+
+        splitting.forEach(enemy => this.splitEnemy(enemy));
+
+        lm.checkWinCondition();
+
+        if (lm.isOver()) {
+            this.finished = true;
+            this.events.emit('finished', this.getResult());
+        }
+    }
+
+    /**
+     * Count packets on each link; a link carrying more than its capacity
+     * slows everything on it (legitimate traffic included) to share the bandwidth
+     */
+    updateLinkLoad() {
+        const packetsByLink = new Map();
+
+        this.enemies.forEach(enemy => {
+            const edge = enemy.getCurrentEdge();
+            enemy.congestion = 1;
+            if (!edge) return;
+
+            if (!packetsByLink.has(edge)) packetsByLink.set(edge, []);
+            packetsByLink.get(edge).push(enemy);
+        });
+
+        this.linkLoad = new Map();
+        packetsByLink.forEach((packets, edge) => {
+            this.linkLoad.set(edge, packets.length);
+
+            const capacity = Pathfinding.getCapacity(edge);
+            if (packets.length <= capacity) return;
+
+            const congestion = Math.max(Config.LINKS.MIN_CONGESTED_SPEED, capacity / packets.length);
+            packets.forEach(enemy => {
+                enemy.congestion = congestion;
+            });
+        });
+    }
+
+    /**
+     * Is a link carrying more packets than its capacity?
+     */
+    isCongested(edge) {
+        return (this.linkLoad.get(edge) || 0) > Pathfinding.getCapacity(edge);
+    }
+
+    /**
+     * Spawn enemies and roll endless waves over
+     */
+    updateSpawning(deltaTime) {
+        const lm = this.levelManager;
+
+        if (!this.isEndless()) {
+            if (lm.shouldSpawnEnemy(deltaTime)) {
+                this.spawnEnemy();
+            }
+            return;
+        }
+
+        if (!lm.isWaveSpawned()) {
+            // Still spawning the current wave's groups
+            lm.updateWave(deltaTime, this.towers).forEach(order => this.spawnEnemy(order.type, order.path));
+        } else if (this.enemies.length === 0 && !lm.levelComplete && !lm.levelFailed) {
+            // Wave fully spawned and cleared
+            this.completeWave();
+        }
+    }
+
+    /**
+     * Spawn the kill-chain campaign's packets (they come on top of the level's own
+     * traffic and do not count towards wave sizes)
+     */
+    updateCampaign(deltaTime) {
+        const lm = this.levelManager;
+        if (!lm.campaign) return;
+
+        const stage = lm.campaign.stage;
+        const order = lm.updateCampaign(deltaTime);
+
+        if (order) {
+            const enemy = this.createEnemy(order.type, order.path);
+            enemy.campaignStage = order.stage;
+            enemy.stolenFrom = order.asset;
+            this.events.emit('enemySpawned', enemy);
+        }
+
+        if (lm.campaign.stage !== stage) {
+            this.events.emit('campaignStage', lm.getCampaignStatus());
+        }
+    }
+
+    /**
+     * Close the current endless wave and start the next one
+     */
+    completeWave() {
+        const lm = this.levelManager;
+        const topologyBefore = lm.level.topology;
+        const nodesBefore = lm.nodes;
+
+        const waveResult = {
+            blocked: lm.packetsBlocked,
+            leaked: lm.packetsLeaked,
+            successRate: lm.calculateSuccessRate()
+        };
+
+        this.lastWaveConfusion = this.getWaveConfusion();
+        this.waveConfusionStart = { ...this.confusion };
+
+        // Adaptive managers increment the wave and may switch topology here
+        if (lm.onWaveComplete) {
+            lm.onWaveComplete(this.towers, waveResult);
+        }
+        this.checkTopologyChange(nodesBefore, topologyBefore);
+
+        // Economic managers rotate topology as the wave starts
+        const nodesAtStart = lm.nodes;
+        const topologyAtStart = lm.level.topology;
+        lm.startWave();
+        this.checkTopologyChange(nodesAtStart, topologyAtStart);
+
+        lm.planWave();
+
+        this.events.emit('waveStarted', { wave: lm.wave, confusion: this.lastWaveConfusion });
+        this.spawnBoss();
+    }
+
+    /**
+     * Liquidate towers left on a network that has just been replaced
+     * @param {Array<Object>} nodesBefore - Graph nodes before the switch
+     * @param {string} topologyBefore - Topology name before the switch
+     */
+    checkTopologyChange(nodesBefore, topologyBefore) {
+        const lm = this.levelManager;
+        if (lm.nodes !== nodesBefore) {
+            const refund = this.liquidateTowers();
+            this.events.emit('topologyChanged', {
+                from: topologyBefore,
+                to: lm.level.topology,
+                reasoning: lm.geniusAI?.towerAnalysis?.strategy || 'Adaptive change',
+                refund
+            });
+        }
+
+        if (lm.updateTowers) {
+            lm.updateTowers(this.towers);
+        }
+    }
+
+    /**
+     * Send the wave's boss, if it has one (on top of the wave, not counted towards its size)
+     */
+    spawnBoss() {
+        const lm = this.levelManager;
+        const bossType = lm.getBossForWave();
+        if (!bossType) return null;
+
+        const path = lm.getRandomPath();
+        if (!path) return null;
+
+        const boss = this.createEnemy(bossType, path);
+        this.events.emit('enemySpawned', boss);
+        this.events.emit('bossSpawned', boss);
+        return boss;
+    }
+
+    /**
+     * A destroyed botnet scatters into its children, which carry on from where it fell
+     */
+    splitEnemy(enemy) {
+        const { splitInto, splitCount } = enemy.config;
+        const path = enemy.path.slice(enemy.currentPathIndex);
+        if (path.length < 2) return [];
+
+        const children = [];
+        for (let i = 0; i < splitCount; i++) {
+            const child = this.createEnemy(splitInto, path);
+            child.x = enemy.x;
+            child.y = enemy.y;
+            children.push(child);
+            this.events.emit('enemySpawned', child);
+        }
+
+        this.events.emit('enemySplit', { parent: enemy, children });
+        return children;
+    }
+
+    /**
+     * Confusion matrix of the current wave so far
+     */
+    getWaveConfusion() {
+        const wave = {};
+        Object.keys(this.confusion).forEach(key => {
+            wave[key] = this.confusion[key] - this.waveConfusionStart[key];
+        });
+        return wave;
+    }
+
+    /**
+     * Spawn a new enemy (flood-capable types may bring a DDoS burst along)
+     * @param {string|null} type - Enemy type, or null to draw from the level's mix
+     * @param {Array<number>|null} route - Path a wave group committed to, or null for a random one
+     */
+    spawnEnemy(type = null, route = null) {
+        const lm = this.levelManager;
+        let path = route || lm.getRandomPath();
+        if (!path) return null;
+
+        const enemyType = type || lm.getEnemyType();
+
+        // Threats may move laterally from a foothold instead of entering at the edge
+        if (!route && !Config.ENEMIES[enemyType].legitimate && lm.pivotPaths.length > 0 &&
+            this.rng.next() < Config.COMPROMISE.PIVOT_CHANCE) {
+            path = this.rng.pick(lm.pivotPaths);
+        }
+
+        const enemy = this.addEnemy(enemyType, path);
+
+        if (Config.ENEMIES[enemyType].floods && lm.level.floodChance && this.rng.next() < lm.level.floodChance) {
+            const size = lm.level.floodSize || Config.LINKS.DEFAULT_CAPACITY * 2;
+            for (let i = 1; i < size; i++) {
+                this.addEnemy(enemyType, path);
+            }
+            this.events.emit('flood', { type: enemyType, size, source: path[0] });
+        }
+
+        return enemy;
+    }
+
+    /**
+     * Create an enemy on a path and count it as spawned
+     */
+    addEnemy(enemyType, path) {
+        const enemy = this.createEnemy(enemyType, path);
+
+        this.levelManager.incrementPacketsSpawned();
+
+        this.events.emit('enemySpawned', enemy);
+        return enemy;
+    }
+
+    /**
+     * Put an enemy on a path into play (difficulty applied)
+     */
+    createEnemy(enemyType, path) {
+        const lm = this.levelManager;
+        const enemy = new Enemy(enemyType, path, lm.nodes, lm.activeEdges, this.rng);
+
+        // Intruders on compromise levels dwell on the first node they can take over
+        if (lm.level.compromise && enemy.config.dwellTime) {
+            enemy.dwellNode = lm.getCompromiseTarget(path);
+        }
+
+        // Apply difficulty modifiers
+        enemy.speed *= lm.difficultyMod.enemySpeedMultiplier;
+        enemy.health *= lm.difficultyMod.enemyHealthMultiplier;
+        enemy.maxHealth = enemy.health;
+
+        this.enemies.push(enemy);
+        return enemy;
+    }
+
+    /**
+     * Get the tower built on a node, if any (a patrolling tower stays its home node's)
+     */
+    getTowerAt(nodeIndex) {
+        return this.towers.find(tower => tower.getHomeNode() === nodeIndex) || null;
+    }
+
+    /**
+     * Can a tower of this type be placed at node?
+     */
+    canPlaceTower(nodeIndex, type) {
+        const lm = this.levelManager;
+        const config = Config.TOWERS[type];
+        if (!config) return false;
+
+        // Check if towers locked (Level 3)
+        if (lm.towersLocked) return false;
+
+        // Check if chokepoint
+        if (!lm.chokepoints.includes(nodeIndex)) return false;
+
+        // Check if already occupied
+        if (this.getTowerAt(nodeIndex)) return false;
+
+        // Check if have money
+        return lm.getMoney() >= config.cost;
+    }
+
+    /**
+     * Place tower at node
+     * @returns {Tower|null} The placed tower, or null if placement is invalid
+     */
+    placeTower(nodeIndex, type) {
+        if (!this.canPlaceTower(nodeIndex, type)) return null;
+
+        const lm = this.levelManager;
+        const node = lm.nodes[nodeIndex];
+
+        const tower = new Tower(node.x, node.y, type, lm.nodes, this.rng);
+        tower.node = nodeIndex;
+        tower.confusion = this.confusion;
+        this.towers.push(tower);
+        lm.spendMoney(tower.getCost());
+
+        // Update level manager with current towers (adaptive AI, Level 3 commitment)
+        this.syncTowers();
+
+        this.events.emit('towerPlaced', tower);
+        return tower;
+    }
+
+    /**
+     * Sell the tower on a node
+     * @returns {number|null} Amount refunded, or null if nothing could be sold
+     */
+    sellTower(nodeIndex) {
+        const lm = this.levelManager;
+        const tower = this.getTowerAt(nodeIndex);
+        if (!tower || lm.towersLocked) return null;
+
+        const refund = tower.getSellValue();
+        tower.standDown();
+        this.towers = this.towers.filter(t => t !== tower);
+        lm.addMoney(refund);
+        this.syncTowers();
+
+        this.events.emit('towerSold', { tower, refund });
+        return refund;
+    }
+
+    /**
+     * Can the tower on a node be upgraded right now?
+     */
+    canUpgradeTower(nodeIndex) {
+        const lm = this.levelManager;
+        const tower = this.getTowerAt(nodeIndex);
+        if (!tower || lm.towersLocked || !lm.allowsUpgrades() || !tower.canUpgrade()) return false;
+
+        return lm.getMoney() >= tower.getUpgradeCost();
+    }
+
+    /**
+     * Upgrade the tower on a node by one tier
+     * @returns {Tower|null} The upgraded tower, or null if the upgrade is invalid
+     */
+    upgradeTower(nodeIndex) {
+        if (!this.canUpgradeTower(nodeIndex)) return null;
+
+        const tower = this.getTowerAt(nodeIndex);
+        this.levelManager.spendMoney(tower.getUpgradeCost());
+        tower.upgrade();
+        this.syncTowers();
+
+        this.events.emit('towerUpgraded', tower);
+        return tower;
+    }
+
+    /**
+     * Set the targeting mode of the tower on a node
+     * @param {string} mode - Key of Config.TARGETING.MODES
+     * @returns {Tower|null} The retargeted tower, or null if the change is invalid
+     */
+    setTowerTargeting(nodeIndex, mode) {
+        const tower = this.getTowerAt(nodeIndex);
+        if (!tower || this.levelManager.towersLocked) return null;
+        if (!tower.setTargeting(mode)) return null;
+
+        this.syncTowers();
+
+        this.events.emit('towerTargetingChanged', tower);
+        return tower;
+    }
+
+    /**
+     * Can a link be cut right now? (money, cooldown, and a route must stay open)
+     * @param {number} edgeIndex - Index into the level manager's edges
+     */
+    canCutEdge(edgeIndex) {
+        const lm = this.levelManager;
+        const edge = lm.edges[edgeIndex];
+        if (!edge || lm.towersLocked || this.segmentationCooldown > 0) return false;
+
+        return lm.getMoney() >= Config.SEGMENTATION.CUT_COST && lm.canCutEdge(edge);
+    }
+
+    /**
+     * Take a link out of service (VLAN/ACL change); packets in flight re-plan
+     * @returns {boolean} Whether the link was cut
+     */
+    cutEdge(edgeIndex) {
+        if (!this.canCutEdge(edgeIndex)) return false;
+
+        const lm = this.levelManager;
+        lm.spendMoney(Config.SEGMENTATION.CUT_COST);
+        lm.cutEdge(lm.edges[edgeIndex]);
+        this.segmentationCooldown = Config.SEGMENTATION.COOLDOWN;
+        this.replanEnemies();
+
+        // The AIs plan against the new routes
+        this.syncTowers();
+
+        this.events.emit('edgeCut', edgeIndex);
+        return true;
+    }
+
+    /**
+     * Put a cut link back into service; packets in flight re-plan
+     * @returns {boolean} Whether the link was restored
+     */
+    restoreEdge(edgeIndex) {
+        const lm = this.levelManager;
+        const edge = lm.edges[edgeIndex];
+        if (!edge || lm.towersLocked || !lm.cutEdges.has(edge)) return false;
+
+        lm.restoreEdge(edge);
+        this.replanEnemies();
+        this.syncTowers();
+
+        this.events.emit('edgeRestored', edgeIndex);
+        return true;
+    }
+
+    /**
+     * Send every packet in flight over the links now in service
+     */
+    replanEnemies() {
+        const { activeEdges, goals, sources } = this.levelManager;
+        this.enemies.forEach(enemy => enemy.replan(activeEdges, enemy.config.exfiltrates ? sources : goals));
+    }
+
+    /**
+     * Set the detection tuning of the tower on a node
+     * @param {number} tuning - 0 (permissive) to 1 (strict)
+     * @returns {Tower|null} The retuned tower, or null if the change is invalid
+     */
+    setTowerTuning(nodeIndex, tuning) {
+        const tower = this.getTowerAt(nodeIndex);
+        if (!tower || this.levelManager.towersLocked) return null;
+        if (!tower.setTuning(tuning)) return null;
+
+        this.events.emit('towerTuningChanged', tower);
+        return tower;
+    }
+
+    /**
+     * Level 3: commit to fixed placements or to patrols ('fixed' clears every patrol)
+     * @param {string} mode - 'fixed' or 'mixed'
+     * @returns {string|null} The mode set, or null if the change is invalid
+     */
+    setCommitmentMode(mode) {
+        const lm = this.levelManager;
+        if (!lm.setCommitmentMode || !lm.setCommitmentMode(mode)) return null;
+
+        if (mode === 'fixed') {
+            this.towers.forEach(tower => { tower.patrol = null; });
+        }
+        this.syncTowers();
+
+        this.events.emit('commitmentModeChanged', mode);
+        return mode;
+    }
+
+    /**
+     * Level 3 mixed commitments: the tower on a node stands on another chokepoint
+     * for a share of the battle rounds. Patrols may target a chokepoint that holds
+     * a tower too: when a draw puts two towers there, both defend it
+     * @param {number|null} patrolNode - Chokepoint to patrol to, or null to stay home
+     * @param {number} share - Chance of standing on patrolNode each round, strictly between 0 and 1
+     * @returns {Tower|null} The tower, or null if the patrol is invalid
+     */
+    setTowerPatrol(nodeIndex, patrolNode, share) {
+        const lm = this.levelManager;
+        const tower = this.getTowerAt(nodeIndex);
+        if (!tower || lm.towersLocked || lm.commitmentMode !== 'mixed') return null;
+
+        if (patrolNode === null) {
+            tower.patrol = null;
+        } else {
+            if (patrolNode === nodeIndex || !lm.chokepoints.includes(patrolNode)) return null;
+            if (!(share > 0 && share < 1)) return null;
+            tower.patrol = { home: nodeIndex, node: patrolNode, share };
+        }
+        this.syncTowers();
+
+        this.events.emit('towerPatrolChanged', tower);
+        return tower;
+    }
+
+    /**
+     * Can a compromised (or isolated) node be cleaned right now?
+     */
+    canCleanNode(nodeIndex) {
+        const lm = this.levelManager;
+        if (!lm.compromised.has(nodeIndex) && !lm.isolated.has(nodeIndex)) return false;
+
+        return lm.getMoney() >= Config.COMPROMISE.CLEAN_COST;
+    }
+
+    /**
+     * Remove the attacker's foothold on a node (lifts any isolation)
+     * @returns {boolean} Whether the node was cleaned
+     */
+    cleanNode(nodeIndex) {
+        if (!this.canCleanNode(nodeIndex)) return false;
+
+        const lm = this.levelManager;
+        lm.spendMoney(Config.COMPROMISE.CLEAN_COST);
+        lm.cleanNode(nodeIndex);
+        this.replanEnemies();
+
+        this.events.emit('nodeCleaned', nodeIndex);
+        return true;
+    }
+
+    /**
+     * Can a compromised node be isolated right now? (every source must keep a route)
+     */
+    canIsolateNode(nodeIndex) {
+        const lm = this.levelManager;
+        if (!lm.compromised.has(nodeIndex) || lm.isolated.has(nodeIndex)) return false;
+
+        return lm.getMoney() >= Config.COMPROMISE.ISOLATE_COST && lm.canIsolateNode(nodeIndex);
+    }
+
+    /**
+     * Cut a compromised node off the network until it is cleaned
+     * @returns {boolean} Whether the node was isolated
+     */
+    isolateNode(nodeIndex) {
+        if (!this.canIsolateNode(nodeIndex)) return false;
+
+        const lm = this.levelManager;
+        lm.spendMoney(Config.COMPROMISE.ISOLATE_COST);
+        lm.isolateNode(nodeIndex);
+        this.replanEnemies();
+
+        this.events.emit('nodeIsolated', nodeIndex);
+        return true;
+    }
+
+    /**
+     * Snapshot the defense as a reusable layout
+     * @returns {Array} [{ node, type, tier, targeting, tuning }, ...]
+     */
+    getLayout() {
+        return this.towers.map(tower => ({
+            node: tower.getHomeNode(),
+            type: tower.type,
+            tier: tower.tier,
+            targeting: tower.targeting,
+            tuning: tower.tuning
+        }));
+    }
+
+    /**
+     * Build a saved layout (as far as money and free nodes allow)
+     * @param {Array} layout - From getLayout()
+     * @param {Function} onInput - Optional (type, ...args) callback for each action taken, for replays
+     * @returns {number} Number of towers placed
+     */
+    applyLayout(layout, onInput = null) {
+        const record = onInput || (() => { });
+        let placed = 0;
+
+        layout.forEach(({ node, type, tier, targeting, tuning = Config.DETECTION.DEFAULT_TUNING }) => {
+            if (!this.placeTower(node, type)) return;
+            record('place', node, type);
+            placed++;
+
+            for (let t = 0; t < tier && this.upgradeTower(node); t++) {
+                record('upgrade', node);
+            }
+
+            if (targeting !== Config.TARGETING.DEFAULT && this.setTowerTargeting(node, targeting)) {
+                record('target', node, targeting);
+            }
+
+            if (tuning !== Config.DETECTION.DEFAULT_TUNING && this.setTowerTuning(node, tuning)) {
+                record('tune', node, tuning);
+            }
+        });
+
+        return placed;
+    }
+
+    /**
+     * Tell the level manager the defense changed (adaptive AI, Level 3 commitment)
+     */
+    syncTowers() {
+        const lm = this.levelManager;
+
+        // Relink synergies now so placing, upgrading or selling shows them even while paused
+        Tower.applySynergies(this.towers);
+
+        if (lm.updateTowers) {
+            lm.updateTowers(this.towers);
+        }
+
+        if (lm.commitTowers) {
+            lm.committedTowers = [...this.towers];
+        }
+    }
+
+    /**
+     * Refund and remove every tower
+     * @returns {number} Amount refunded
+     */
+    liquidateTowers() {
+        const refund = this.towers.reduce((sum, tower) => sum + tower.getSellValue(), 0);
+
+        if (refund > 0) {
+            this.levelManager.addMoney(refund);
+        }
+        this.towers.forEach(tower => tower.standDown());
+        this.towers = [];
+
+        return refund;
+    }
+
+    /**
+     * Run ticks until the match ends or the tick budget runs out
+     * @param {number} maxTicks - Safety cap for levels that never resolve
+     * @param {Function} stopWhen - Optional predicate (simulation) => boolean to stop early
+     * @returns {Object} Match result
+     */
+    run(maxTicks = Config.SIMULATION.MAX_TICKS, stopWhen = null) {
+        this.start();
+
+        while (!this.finished && this.tick < maxTicks) {
+            if (stopWhen && stopWhen(this)) break;
+            this.step();
+        }
+
+        return this.getResult();
+    }
+
+    /**
+     * Summarize the match
+     */
+    getResult() {
+        const lm = this.levelManager;
+
+        let outcome = 'running';
+        if (lm.levelFailed) outcome = 'failed';
+        else if (lm.levelComplete) outcome = 'complete';
+        else if (this.finished) outcome = lm.isDefenseHeld() ? 'complete' : 'failed';
+
+        return {
+            outcome,
+            seed: this.seed,
+            ticks: this.tick,
+            elapsed: this.elapsed,
+            wave: lm.wave,
+            score: lm.score,
+            money: lm.getMoney(),
+            coreHealth: lm.coreHealth,
+            packetsSpawned: lm.packetsSpawned,
+            packetsBlocked: lm.packetsBlocked,
+            packetsLeaked: lm.packetsLeaked,
+            successRate: lm.calculateSuccessRate(),
+            availability: lm.getAvailability(),
+            confusion: { ...this.confusion },
+            compromised: lm.compromised.size,
+            towers: this.towers.length
+        };
+    }
+}
+
+export default Simulation;
@@ -0,0 +1,88 @@
+/**
+ * WAVE_SCHEDULE.JS - Endless Wave Composition
+ * A wave is a list of groups: { type, count, spacing, path, delay }.
+ * - type: key of Config.ENEMIES, or omitted to draw each packet from the level's mix
+ * - spacing: ms before each packet of the group (defaults to the level's spawnInterval)
+ * - path: index into the level's paths, 'weakest', or omitted for a random path
+ * - delay: ms after the wave starts before the group begins
+ * Groups run side by side; the wave is out once every group is.
+ */
+
+import Config from '../utils/Config.js';
+
+export class WaveSchedule {
+    /**
+     * Packets in a generated wave
+     * @param {number|Object} curve - Flat size, or { base, growth: 'flat'|'linear'|'exponential', rate, max }
+     * @param {number} wave - Wave number (1-based)
+     */
+    static getWaveSize(curve, wave) {
+        const { base = Config.SIMULATION.ENDLESS_WAVE_SIZE, growth = 'flat', rate = 0, max = Infinity } =
+            typeof curve === 'number' ? { base: curve } : curve || {};
+        const n = Math.max(0, wave - 1);
+
+        let size;
+        switch (growth) {
+            case 'linear':
+                size = base + rate * n;
+                break;
+            case 'exponential':
+                size = base * Math.pow(rate, n);
+                break;
+            default:
+                size = base;
+        }
+
+        return Math.max(1, Math.min(max, Math.round(size)));
+    }
+
+    /**
+     * Split a wave between packet types (largest remainder, so counts add up)
+     * @param {number} size - Packets in the wave
+     * @param {Object} mix - Type → share (need not sum to 1)
+     * @returns {Object} Type → count
+     */
+    static allocate(size, mix) {
+        const entries = Object.entries(mix).filter(([, share]) => share > 0);
+        const total = entries.reduce((sum, [, share]) => sum + share, 0);
+        if (total === 0) return {};
+
+        const exact = entries.map(([type, share]) => ({ type, exact: size * share / total }));
+        const counts = {};
+        exact.forEach(({ type, exact: e }) => {
+            counts[type] = Math.floor(e);
+        });
+
+        let left = size - Object.values(counts).reduce((sum, c) => sum + c, 0);
+        [...exact]
+            .sort((a, b) => (b.exact % 1) - (a.exact % 1))
+            .forEach(({ type }) => {
+                if (left <= 0) return;
+                counts[type]++;
+                left--;
+            });
+
+        return counts;
+    }
+
+    /**
+     * One group per type, each spread over the same stretch as a mixed wave of this size
+     * @param {number} size - Packets in the wave
+     * @param {Object} mix - Type → share
+     * @param {number} spacing - ms between packets of a mixed wave
+     */
+    static fromMix(size, mix, spacing) {
+        const counts = Object.entries(WaveSchedule.allocate(size, mix)).filter(([, count]) => count > 0);
+        const duration = size * spacing;
+
+        // Stagger the groups so their packets interleave instead of arriving together
+        return counts.map(([type, count], i) => ({
+            type,
+            count,
+            spacing: Math.round(duration / count),
+            delay: Math.round(i * spacing / counts.length)
+        }));
+    }
+}
+
+export default WaveSchedule;
@@ -8,6 +8,8 @@ import StateManager from './core/StateManager.js';
 import eventBus from './core/EventBus.js';
 import Storage from './utils/Storage.js';
 import Config from './utils/Config.js';
+import { Random } from './core/Random.js';
+import Replay from './gameplay/Replay.js';
 
 // Main.js initialized
 
@@ -16,6 +18,8 @@ import Config from './utils/Config.js';
 import MenuState from './states/MenuState.js';
 import LevelSelectState from './states/LevelSelectState.js';
 import PlayingState from './states/PlayingState.js';
+import ReplayState from './states/ReplayState.js';
+import EditorState from './states/EditorState.js';
 import TutorialState from './states/TutorialStateV2.js';
 
 class Game {
@@ -24,6 +28,7 @@ class Game {
         this.settings = null;
         this.saveData = null;
         this.loadingProgress = 0;
+        this.returnToEditor = false; // Quitting a custom map play-test reopens the editor
     }
 
     /**
@@ -82,6 +87,8 @@ class Game {
         this.engine.stateManager.register('menu', new MenuState());
         this.engine.stateManager.register('levelSelect', new LevelSelectState());
         this.engine.stateManager.register('playing', new PlayingState());
+        this.engine.stateManager.register('replay', new ReplayState());
+        this.engine.stateManager.register('editor', new EditorState());
         this.engine.stateManager.register('tutorial', new TutorialState());
 
         // Start in menu state
@@ -105,6 +112,10 @@ class Game {
             this.showEndlessSelect();
         });
 
+        document.getElementById('btn-editor')?.addEventListener('click', () => {
+            this.startEditor();
+        });
+
         document.getElementById('btn-settings')?.addEventListener('click', () => {
             this.showSettings();
         });
@@ -131,6 +142,10 @@ class Game {
             this.startMode('TIME_ATTACK');
         });
 
+        document.getElementById('endless-enterprise')?.addEventListener('click', () => {
+            this.startMode('ENTERPRISE');
+        });
+
         // Settings back button
         document.getElementById('btn-back-settings')?.addEventListener('click', () => {
             this.saveSettings();
@@ -163,10 +178,86 @@ class Game {
             this.quitToMenu();
         });
 
+        document.getElementById('btn-save-replay')?.addEventListener('click', () => {
+            eventBus.emit('saveReplay');
+        });
+
+        // Tower context panel
+        document.getElementById('btn-upgrade-tower')?.addEventListener('click', () => {
+            eventBus.emit('upgradeTower');
+        });
+
+        document.getElementById('btn-sell-tower')?.addEventListener('click', () => {
+            eventBus.emit('sellTower');
+        });
+
+        document.getElementById('tower-tuning')?.addEventListener('change', (e) => {
+            eventBus.emit('tuneTower', parseInt(e.target.value) / 100);
+        });
+
+        // Level 3 patrols: the node to patrol to ('' stays home) and the share of rounds spent there
+        const emitPatrol = () => {
+            const node = document.getElementById('tower-patrol-node').value;
+            eventBus.emit('setPatrol', {
+                node: node === '' ? null : parseInt(node),
+                share: parseInt(document.getElementById('tower-patrol-share').value) / 100
+            });
+        };
+        document.getElementById('tower-patrol-node')?.addEventListener('change', emitPatrol);
+        document.getElementById('tower-patrol-share')?.addEventListener('change', emitPatrol);
+
+        document.getElementById('btn-segment')?.addEventListener('click', () => {
+            eventBus.emit('toggleSegmentation');
+        });
+
+        document.getElementById('autopilot-agent')?.addEventListener('change', (e) => {
+            eventBus.emit('setAutopilot', e.target.value);
+        });
+
+        document.getElementById('commitment-mode')?.addEventListener('change', (e) => {
+            eventBus.emit('setCommitmentMode', e.target.value);
+        });
+
+        // Incident response on compromised nodes
+        document.getElementById('btn-clean-node')?.addEventListener('click', () => {
+            eventBus.emit('cleanNode');
+        });
+
+        document.getElementById('btn-isolate-node')?.addEventListener('click', () => {
+            eventBus.emit('isolateNode');
+        });
+
+        // Tower layouts
+        document.getElementById('btn-save-layout')?.addEventListener('click', () => {
+            eventBus.emit('saveLayout');
+        });
+
+        document.getElementById('btn-load-layout')?.addEventListener('click', () => {
+            eventBus.emit('loadLayout');
+        });
+
+        // Replay loading (level select)
+        document.getElementById('btn-load-replay')?.addEventListener('click', () => {
+            document.getElementById('replay-file')?.click();
+        });
+
+        document.getElementById('replay-file')?.addEventListener('change', (e) => {
+            this.loadReplayFile(e.target);
+        });
+
         // Event bus listeners
         eventBus.on('levelSelected', (levelId) => this.startLevel(levelId));
+        eventBus.on('playCustomTopology', (topology) => this.startCustomTopology(topology));
+        eventBus.on('exitEditor', () => {
+            this.showMainMenu();
+            this.engine.stateManager.setState('menu');
+        });
         eventBus.on('levelComplete', (data) => this.handleLevelComplete(data));
-        eventBus.on('stackelbergComplete', (data) => this.handleLevelComplete(data));
+        eventBus.on('stackelbergComplete', (data) => {
+            // Replays re-run Level 3 but must not count as a completion
+            if (this.engine.stateManager.currentState?.name === 'replay') return;
+            this.handleLevelComplete(data);
+        });
     }
 
     /**
@@ -419,8 +510,34 @@ class Game {
         // Fix canvas size (was 0x0 when initialized while hidden)
         this.engine.handleResize();
 
-        const levelConfig = Config.LEVELS.find(l => l.id === levelId);
-        this.engine.stateManager.setState('playing', { level: levelConfig, settings: this.settings });
+        const levelConfig = Replay.findLevel(levelId);
+        this.returnToEditor = levelId === Config.CUSTOM_LEVEL.id;
+        this.engine.stateManager.setState('playing', {
+            level: levelConfig,
+            settings: this.settings,
+            seed: this.getSeed()
+        });
+    }
+
+    /**
+     * Play-test a map from the topology editor as the custom level
+     */
+    startCustomTopology(topology) {
+        Config.TOPOLOGIES[Config.CUSTOM_LEVEL.topology] = topology;
+        this.startLevel(Config.CUSTOM_LEVEL.id);
+    }
+
+    /**
+     * Open the topology editor
+     */
+    startEditor() {
+        console.log('Starting topology editor');
+        this.returnToEditor = false;
+        this.hideAllScreens();
+        document.getElementById('game-container')?.classList.remove('hidden');
+        this.engine.handleResize();
+
+        this.engine.stateManager.setState('editor', { settings: this.settings });
     }
 
     /**
@@ -429,6 +546,7 @@ class Game {
     startMode(modeKey) {
         const modeConfig = Config.ENDLESS_MODES[modeKey];
         console.log(`Starting ${modeConfig.name} mode`, modeConfig);
+        this.returnToEditor = false;
 
         this.hideAllScreens();
         document.getElementById('game-container')?.classList.remove('hidden');
@@ -436,10 +554,49 @@ class Game {
 
         this.engine.stateManager.setState('playing', {
             level: modeConfig,
-            settings: this.settings
+            settings: this.settings,
+            seed: this.getSeed()
         });
     }
 
+    /**
+     * Load a replay file picked on level select and play it
+     */
+    async loadReplayFile(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+
+        try {
+            const replay = Replay.parse(await file.text());
+            this.startReplay(replay);
+        } catch (error) {
+            console.error('Replay load error:', error);
+            this.showError(`Could not load replay: ${error.message}`);
+        } finally {
+            // Allow picking the same file again
+            input.value = '';
+        }
+    }
+
+    /**
+     * Play back a recorded match
+     */
+    startReplay(replay) {
+        console.log(`Starting replay of level ${replay.level}`);
+        this.hideAllScreens();
+        document.getElementById('game-container')?.classList.remove('hidden');
+        this.engine.handleResize();
+
+        this.engine.stateManager.setState('replay', { replay, settings: this.settings });
+    }
+
+    /**
+     * Match seed entered on level select (null picks a random one)
+     */
+    getSeed() {
+        return Random.parseSeed(document.getElementById('seed-input')?.value);
+    }
+
     /**
      * Start tutorial
      */
@@ -451,7 +608,7 @@ class Game {
         // Fix canvas size (was 0x0 when initialized while hidden)
         this.engine.handleResize();
 
-        this.engine.stateManager.setState('tutorial');
+        this.engine.stateManager.setState('tutorial', { seed: this.getSeed() });
     }
 
     /**
@@ -488,6 +645,9 @@ class Game {
     handleLevelComplete(data) {
         console.log('Level complete!', data);
 
+        // Play-tests of editor maps don't count toward progress
+        if (data.level === Config.CUSTOM_LEVEL.id) return;
+
         // Update save data
         if (!this.saveData.levelsCompleted.includes(data.level)) {
             this.saveData.levelsCompleted.push(data.level);
@@ -534,6 +694,12 @@ class Game {
     quitToMenu() {
         // Hide any open dialogs
         document.getElementById('dialog-overlay')?.classList.add('hidden');
+
+        if (this.returnToEditor) {
+            this.startEditor();
+            return;
+        }
+
         this.showLevelSelect();
         this.engine.stateManager.setState('levelSelect');
     }
@@ -0,0 +1,499 @@
+/**
+ * EDITOR_STATE.JS - Topology Editor
+ * Author custom networks: add and drag nodes, connect edges, mark sources,
+ * goals and chokepoints, validate, and import/export Config.TOPOLOGIES JSON.
+ */
+
+import Topology from '../utils/Topology.js';
+import Graphics from '../utils/Graphics.js';
+import Pathfinding from '../utils/Pathfinding.js';
+import Config from '../utils/Config.js';
+import Storage from '../utils/Storage.js';
+import eventBus from '../core/EventBus.js';
+
+const GRID = 25;
+
+const TOOL_HOTKEYS = {
+    'KeyV': 'select',
+    'KeyN': 'node',
+    'KeyC': 'edge',
+    'KeyS': 'source',
+    'KeyG': 'goal',
+    'KeyK': 'chokepoint',
+    'KeyX': 'delete'
+};
+
+export class EditorState {
+    constructor() {
+        this.topology = null;
+        this.tool = 'select';
+        this.hoveredNode = null;
+        this.draggingNode = null;
+        this.pendingEdge = null;
+        this.mouse = { x: 0, y: 0 };
+        this.validation = null;
+        this.subscriptions = [];
+
+        // Canvas and keyboard events
+        this.onCanvasClick = this.handleCanvasClick.bind(this);
+        this.onMouseMove = this.handleMouseMove.bind(this);
+        this.onMouseDown = this.handleMouseDown.bind(this);
+        this.onMouseUp = this.handleMouseUp.bind(this);
+        this.onKeyDown = this.handleKeyDown.bind(this);
+
+        // Toolbar handlers (kept so exit can remove them)
+        this.onToolClick = (e) => this.setTool(e.currentTarget.dataset.tool);
+        this.onTemplateChange = (e) => this.loadTemplate(e.target.value);
+        this.onNewClick = () => this.load(Topology.create());
+        this.onSuggestClick = () => this.suggestChokepoints();
+        this.onValidateClick = () => this.validate(true);
+        this.onExportClick = () => this.exportTopology();
+        this.onImportClick = () => document.getElementById('editor-file')?.click();
+        this.onFileChange = (e) => this.importFile(e.target);
+        this.onPlayClick = () => this.playTest();
+        this.onExitClick = () => eventBus.emit('exitEditor');
+    }
+
+    enter(data) {
+        console.log('Entering Editor State');
+
+        // Resume the last map being edited
+        const saved = Storage.load(Config.STORAGE_KEYS.CUSTOM_TOPOLOGY, null);
+        this.load(saved || Topology.create());
+        this.setTool('select');
+
+        this.subscriptions = [
+            eventBus.on('canvasClick', this.onCanvasClick),
+            eventBus.on('canvasMouseMove', this.onMouseMove),
+            eventBus.on('canvasMouseDown', this.onMouseDown),
+            eventBus.on('canvasMouseUp', this.onMouseUp),
+            eventBus.on('keyDown', this.onKeyDown)
+        ];
+
+        document.getElementById('game-container')?.classList.add('editing');
+        document.getElementById('editor-toolbar')?.classList.remove('hidden');
+        this.populateTemplates();
+        this.bindToolbar('addEventListener');
+    }
+
+    exit() {
+        console.log('Exiting Editor State');
+
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+
+        document.getElementById('game-container')?.classList.remove('editing');
+        document.getElementById('editor-toolbar')?.classList.add('hidden');
+        this.bindToolbar('removeEventListener');
+
+        this.draggingNode = null;
+        this.pendingEdge = null;
+    }
+
+    /**
+     * Attach or detach toolbar handlers
+     * @param {string} method - 'addEventListener' or 'removeEventListener'
+     */
+    bindToolbar(method) {
+        document.querySelectorAll('.editor-tool').forEach(btn => btn[method]('click', this.onToolClick));
+
+        const handlers = {
+            'editor-template': ['change', this.onTemplateChange],
+            'editor-new': ['click', this.onNewClick],
+            'editor-suggest': ['click', this.onSuggestClick],
+            'editor-validate': ['click', this.onValidateClick],
+            'editor-export': ['click', this.onExportClick],
+            'editor-import': ['click', this.onImportClick],
+            'editor-file': ['change', this.onFileChange],
+            'editor-play': ['click', this.onPlayClick],
+            'editor-exit': ['click', this.onExitClick]
+        };
+
+        Object.entries(handlers).forEach(([id, [type, handler]]) => {
+            document.getElementById(id)?.[method](type, handler);
+        });
+    }
+
+    update(deltaTime) {
+        // Editing is event driven
+    }
+
+    render(ctx) {
+        this.renderGrid(ctx);
+
+        const { nodes, edges, sources, goals, chokepoints } = this.topology;
+
+        // Highlight the paths found by the last validation
+        const pathEdges = new Set();
+        (this.validation?.paths || []).forEach(path => {
+            for (let i = 0; i < path.length - 1; i++) {
+                pathEdges.add(`${path[i]}-${path[i + 1]}`);
+                pathEdges.add(`${path[i + 1]}-${path[i]}`);
+            }
+        });
+
+        edges.forEach(edge => {
+            const [from, to] = edge;
+            const onPath = pathEdges.has(`${from}-${to}`);
+            Graphics.drawLink(
+                ctx,
+                nodes[from].x, nodes[from].y,
+                nodes[to].x, nodes[to].y,
+                onPath ? Config.COLORS.NODE_SOURCE : Config.COLORS.EDGE,
+                Pathfinding.getLinkWidth(edge),
+                Pathfinding.isDirected(edge)
+            );
+        });
+
+        // Edge being drawn
+        if (this.pendingEdge !== null) {
+            const from = nodes[this.pendingEdge];
+            Graphics.drawDashedLine(ctx, from.x, from.y, this.mouse.x, this.mouse.y, '#4c9eff', 2);
+        }
+
+        nodes.forEach((node, index) => {
+            let color = Config.COLORS.NODE_NORMAL;
+            let radius = Config.GRAPHICS.NODE_RADIUS;
+
+            if (sources.includes(index)) {
+                color = Config.COLORS.NODE_SOURCE;
+                radius = Config.GRAPHICS.NODE_SOURCE_RADIUS;
+            } else if (goals.includes(index)) {
+                color = Config.COLORS.NODE_GOAL;
+                radius = Config.GRAPHICS.NODE_GOAL_RADIUS;
+            } else if (chokepoints.includes(index)) {
+                color = Config.COLORS.NODE_CHOKEPOINT;
+                radius = Config.GRAPHICS.NODE_CHOKEPOINT_RADIUS;
+            }
+
+            if (index === this.hoveredNode || index === this.pendingEdge) {
+                Graphics.drawGlowCircle(ctx, node.x, node.y, radius + 5, color, 10);
+            }
+
+            Graphics.drawCircle(ctx, node.x, node.y, radius, color);
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '12px Inter';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(index.toString(), node.x, node.y);
+        });
+
+        // Title
+        ctx.save();
+        ctx.fillStyle = 'rgba(76, 158, 255, 0.9)';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`TOPOLOGY EDITOR · ${this.topology.name}`, 20, 20);
+        ctx.restore();
+    }
+
+    renderGrid(ctx) {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.04)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = 0; x <= Config.CANVAS_WIDTH; x += GRID * 2) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, Config.CANVAS_HEIGHT);
+        }
+        for (let y = 0; y <= Config.CANVAS_HEIGHT; y += GRID * 2) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(Config.CANVAS_WIDTH, y);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Start editing a map (the editor works on its own copy)
+     */
+    load(topology) {
+        this.topology = JSON.parse(JSON.stringify(topology));
+        this.pendingEdge = null;
+        this.hoveredNode = null;
+        this.validate(false);
+    }
+
+    /**
+     * Copy a built-in map from Config.TOPOLOGIES
+     */
+    loadTemplate(key) {
+        const template = Config.TOPOLOGIES[key];
+        if (!template) return;
+
+        this.load({ ...Topology.create(template.name), ...template, chokepoints: template.chokepoints || [] });
+        document.getElementById('editor-template').value = '';
+    }
+
+    populateTemplates() {
+        const select = document.getElementById('editor-template');
+        if (!select) return;
+
+        select.innerHTML = '<option value="">Start from…</option>' +
+            Object.entries(Config.TOPOLOGIES)
+                .filter(([key, topology]) => key !== Config.CUSTOM_LEVEL.topology && topology.nodes.length > 0)
+                .map(([key, topology]) => `<option value="${key}">${topology.name || key}</option>`)
+                .join('');
+    }
+
+    setTool(tool) {
+        if (!tool) return;
+
+        this.tool = tool;
+        this.pendingEdge = null;
+        document.querySelectorAll('.editor-tool').forEach(btn => {
+            btn.classList.toggle('selected', btn.dataset.tool === tool);
+        });
+    }
+
+    /**
+     * Save the work in progress and re-check the map after every edit
+     */
+    changed() {
+        Topology.normalize(this.topology);
+        Storage.save(Config.STORAGE_KEYS.CUSTOM_TOPOLOGY, this.topology);
+        this.validate(false);
+    }
+
+    handleCanvasClick({ x, y }) {
+        const nodeIndex = this.getNodeAtPosition(x, y);
+
+        switch (this.tool) {
+            case 'node':
+                if (nodeIndex === null) this.addNode(x, y);
+                break;
+            case 'edge':
+                this.connect(nodeIndex);
+                break;
+            case 'source':
+            case 'goal':
+            case 'chokepoint':
+                if (nodeIndex !== null) this.toggleRole(nodeIndex, this.tool);
+                break;
+            case 'delete':
+                if (nodeIndex !== null) this.removeNode(nodeIndex);
+                break;
+        }
+    }
+
+    handleMouseDown({ x, y }) {
+        if (this.tool === 'select') {
+            this.draggingNode = this.getNodeAtPosition(x, y);
+        }
+    }
+
+    handleMouseMove({ x, y }) {
+        this.mouse = { x, y };
+        this.hoveredNode = this.getNodeAtPosition(x, y);
+
+        if (this.draggingNode !== null) {
+            const node = this.topology.nodes[this.draggingNode];
+            node.x = this.snap(x, Config.CANVAS_WIDTH);
+            node.y = this.snap(y, Config.CANVAS_HEIGHT);
+        }
+    }
+
+    handleMouseUp() {
+        if (this.draggingNode === null) return;
+
+        this.draggingNode = null;
+        this.changed();
+    }
+
+    handleKeyDown({ code }) {
+        if (TOOL_HOTKEYS[code]) {
+            this.setTool(TOOL_HOTKEYS[code]);
+        }
+
+        // Cancel the edge being drawn
+        if (code === 'Escape') {
+            this.pendingEdge = null;
+        }
+    }
+
+    /**
+     * Snap a coordinate to the grid, inside the canvas
+     */
+    snap(value, max) {
+        return Graphics.clamp(Math.round(value / GRID) * GRID, GRID, max - GRID);
+    }
+
+    getNodeAtPosition(x, y) {
+        const radius = Config.GRAPHICS.NODE_RADIUS + 10;
+        const index = this.topology.nodes.findIndex(node => Graphics.pointInCircle(x, y, node.x, node.y, radius));
+        return index >= 0 ? index : null;
+    }
+
+    addNode(x, y) {
+        const index = this.topology.nodes.length;
+        this.topology.nodes.push({
+            id: index,
+            x: this.snap(x, Config.CANVAS_WIDTH),
+            y: this.snap(y, Config.CANVAS_HEIGHT),
+            type: 'normal'
+        });
+        this.changed();
+    }
+
+    /**
+     * Click two nodes to add an edge between them (or remove an existing one)
+     */
+    connect(nodeIndex) {
+        if (nodeIndex === null) {
+            this.pendingEdge = null;
+            return;
+        }
+
+        if (this.pendingEdge === null || this.pendingEdge === nodeIndex) {
+            this.pendingEdge = nodeIndex;
+            return;
+        }
+
+        const from = this.pendingEdge;
+        const edges = this.topology.edges;
+        const existing = edges.findIndex(([a, b]) => (a === from && b === nodeIndex) || (a === nodeIndex && b === from));
+
+        if (existing >= 0) {
+            edges.splice(existing, 1);
+        } else {
+            edges.push([from, nodeIndex]);
+        }
+
+        // Keep drawing from the last node for quick chains
+        this.pendingEdge = nodeIndex;
+        this.changed();
+    }
+
+    /**
+     * Toggle a node's role (a node has at most one role)
+     * @param {string} role - 'source', 'goal' or 'chokepoint'
+     */
+    toggleRole(nodeIndex, role) {
+        const key = { source: 'sources', goal: 'goals', chokepoint: 'chokepoints' }[role];
+        const hadRole = this.topology[key].includes(nodeIndex);
+
+        ['sources', 'goals', 'chokepoints'].forEach(list => {
+            this.topology[list] = this.topology[list].filter(i => i !== nodeIndex);
+        });
+
+        if (!hadRole) {
+            this.topology[key].push(nodeIndex);
+        }
+        this.changed();
+    }
+
+    /**
+     * Delete a node with its edges and renumber the rest
+     */
+    removeNode(nodeIndex) {
+        const renumber = i => (i > nodeIndex ? i - 1 : i);
+        const t = this.topology;
+
+        t.nodes.splice(nodeIndex, 1);
+        t.edges = t.edges
+            .filter(([a, b]) => a !== nodeIndex && b !== nodeIndex)
+            .map(([a, b]) => [renumber(a), renumber(b)]);
+        ['sources', 'goals', 'chokepoints'].forEach(list => {
+            t[list] = t[list].filter(i => i !== nodeIndex).map(renumber);
+        });
+        ['ingress', 'assets'].forEach(labels => {
+            if (!t[labels]) return;
+            t[labels] = Object.fromEntries(Object.entries(t[labels])
+                .filter(([i]) => Number(i) !== nodeIndex)
+                .map(([i, label]) => [renumber(Number(i)), label]));
+        });
+
+        this.pendingEdge = null;
+        this.hoveredNode = null;
+        this.changed();
+    }
+
+    /**
+     * Replace the chokepoints with TopologyGenerator's betweenness picks
+     */
+    suggestChokepoints() {
+        const t = this.topology;
+        if (t.sources.length === 0 || t.goals.length === 0) {
+            this.setStatus('Mark a source and a goal first.', 'error');
+            return;
+        }
+
+        t.chokepoints = Topology.suggestChokepoints(t)
+            .filter(i => !t.sources.includes(i) && !t.goals.includes(i));
+        this.changed();
+
+        this.setStatus(t.chokepoints.length > 0
+            ? `Suggested chokepoints: ${t.chokepoints.join(', ')}`
+            : 'No junction carries enough paths; mark chokepoints by hand.', t.chokepoints.length > 0 ? 'ok' : 'error');
+    }
+
+    /**
+     * Check connectivity and roles
+     * @param {boolean} report - Show the full result even when valid
+     */
+    validate(report) {
+        this.validation = Topology.validate(this.topology);
+        const { valid, errors, warnings, paths } = this.validation;
+
+        if (!valid) {
+            this.setStatus(errors[0] + (errors.length > 1 ? ` (+${errors.length - 1} more)` : ''), 'error');
+        } else if (report || warnings.length > 0) {
+            const summary = `Valid: ${paths.length} route${paths.length === 1 ? '' : 's'}`;
+            this.setStatus(warnings.length > 0 ? `${summary} · ${warnings[0]}` : summary, warnings.length > 0 ? 'warning' : 'ok');
+        } else {
+            this.setStatus(`${this.topology.nodes.length} nodes, ${this.topology.edges.length} edges`, 'ok');
+        }
+
+        return valid;
+    }
+
+    setStatus(message, level) {
+        const status = document.getElementById('editor-status');
+        if (!status) return;
+
+        status.textContent = message;
+        status.className = `editor-status ${level}`;
+    }
+
+    /**
+     * Download the map as Config.TOPOLOGIES JSON
+     */
+    exportTopology() {
+        const blob = new Blob([Topology.serialize(this.topology)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.topology.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importFile(input) {
+        const file = input.files?.[0];
+        if (!file) return;
+
+        try {
+            this.load(Topology.parse(await file.text()));
+            this.changed();
+        } catch (error) {
+            console.error('Topology import error:', error);
+            this.setStatus(`Could not import: ${error.message}`, 'error');
+        } finally {
+            // Allow picking the same file again
+            input.value = '';
+        }
+    }
+
+    /**
+     * Play the map as the custom level
+     */
+    playTest() {
+        if (!this.validate(true)) return;
+
+        eventBus.emit('playCustomTopology', JSON.parse(Topology.serialize(this.topology)));
+    }
+}
+
+export default EditorState;
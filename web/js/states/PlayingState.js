@@ -3,151 +3,176 @@
  * Complete integration for all 4 levels with AI systems
  */
 
-import LevelManager from '../gameplay/LevelManager.js';
-import LevelManagerAdaptive from '../gameplay/LevelManagerAdaptive.js';
 import LevelManagerStackelberg from '../gameplay/LevelManagerStackelberg.js';
-import LevelManagerEconomic from '../gameplay/LevelManagerEconomic.js';
-import LevelManagerTimeAttack from '../gameplay/LevelManagerTimeAttack.js';
+import Simulation from '../gameplay/Simulation.js';
+import Replay from '../gameplay/Replay.js';
 import AIAdvisor from '../gameplay/AIAdvisor.js';
+import { DEFENDER_AGENTS, createDefenderAgent, runAgent } from '../ai/DefenderAgent.js';
 import Tower from '../entities/Tower.js';
-import Enemy from '../entities/Enemy.js';
 import Graphics from '../utils/Graphics.js';
+import Pathfinding from '../utils/Pathfinding.js';
 import Config from '../utils/Config.js';
+import Storage from '../utils/Storage.js';
 import eventBus from '../core/EventBus.js';
 
 export class PlayingState {
     constructor() {
+        this.simulation = null;
+        this.replay = null;
         this.levelManager = null;
         this.settings = null;
-        this.towers = [];
-        this.enemies = [];
         this.selectedTowerType = null;
+        this.inspectedNode = null;
+        this.incidentNode = null; // Compromised node shown in the incident panel
         this.hoveredNode = null;
+        this.segmenting = false; // Clicks cut/restore links instead of placing towers
+        this.hoveredEdge = null;
         this.paused = false;
         this.aiAdvisor = new AIAdvisor();
         this.currentTip = null;
         this.towersLocked = false;
+        this.targetingTower = null; // Tower the targeting buttons were built for
+        this.autopilot = null; // DefenderAgent playing for the student, if turned on
+        this.autopilotNextTurn = 0;
 
         // Bind event listeners
         this.onCanvasClick = this.handleCanvasClick.bind(this);
         this.onCanvasMouseMove = this.handleCanvasMouseMove.bind(this);
         this.onKeyDown = this.handleKeyDown.bind(this);
         this.onTogglePause = this.handleTogglePause.bind(this);
+        this.onRestart = this.handleRestart.bind(this);
+        this.onSaveReplay = this.saveReplay.bind(this);
+        this.onSellTower = this.sellInspectedTower.bind(this);
+        this.onUpgradeTower = this.upgradeInspectedTower.bind(this);
+        this.onTuneTower = this.setInspectedTuning.bind(this);
+        this.onCleanNode = this.cleanIncidentNode.bind(this);
+        this.onIsolateNode = this.isolateIncidentNode.bind(this);
+        this.onToggleSegmentation = this.toggleSegmentation.bind(this);
+        this.onSaveLayout = this.saveLayout.bind(this);
+        this.onLoadLayout = this.loadLayout.bind(this);
+        this.onSetAutopilot = this.setAutopilot.bind(this);
+        this.onSetCommitmentMode = this.setCommitmentMode.bind(this);
+        this.onSetPatrol = this.setInspectedPatrol.bind(this);
+
+        // Unsubscribe functions for global events, released on exit
+        this.subscriptions = [];
+    }
+
+    /**
+     * Towers and enemies live in the simulation
+     */
+    get towers() {
+        return this.simulation ? this.simulation.towers : [];
+    }
+
+    get enemies() {
+        return this.simulation ? this.simulation.enemies : [];
     }
 
     enter(data) {
         console.log('Entering Playing State', data);
 
-        // Initialize level with appropriate manager based on aiType
-        switch (data.level.aiType) {
-            case 'GENIUS':
-                // Level 2: Adaptive AI
-                this.levelManager = new LevelManagerAdaptive(
-                    data.level,
-                    data.settings.gameplay.difficulty
-                );
-                console.log('Level 2: Genius AI enabled');
-                // Start first wave for endless mode
-                if (data.level.mode === 'ENDLESS' && this.levelManager.startWave) {
-                    this.levelManager.startWave();
-                }
-                break;
-
-            case 'PERFECT':
-                // Level 3: Stackelberg equilibrium
-                this.levelManager = new LevelManagerStackelberg(
-                    data.level,
-                    data.settings.gameplay.difficulty
-                );
-                console.log('Level 3: Perfect AI enabled');
-                // Start commitment phase
-                if (this.levelManager.startCommitmentPhase) {
-                    this.levelManager.startCommitmentPhase();
-                }
-                // Show optimal strategy at start
-                if (this.levelManager.generateOptimalStrategyDescription) {
-                    eventBus.emit('aiTip', this.levelManager.generateOptimalStrategyDescription());
-                }
-                break;
-
-            case 'ECONOMIC_RL':
-                // Level 4: Economic RL
-                this.levelManager = new LevelManagerEconomic(
-                    data.level,
-                    data.settings.gameplay.difficulty
-                );
-                console.log('Level 4: Economic RL enabled');
-                // Start first wave
-                this.levelManager.startWave();
-                break;
-
-            case 'TIME_ATTACK':
-                // Time Attack mode
-                this.levelManager = new LevelManagerTimeAttack(
-                    data.level,
-                    data.settings.gameplay.difficulty
-                );
-                console.log('Time Attack mode enabled');
-                this.levelManager.startWave();
-                break;
+        // Headless match core; this state only drives and renders it
+        this.simulation = new Simulation(data.level, {
+            difficulty: data.settings.gameplay.difficulty,
+            seed: data.seed
+        });
+        this.levelManager = this.simulation.levelManager;
 
-            default:
-                // Level 1: Standard
-                this.levelManager = new LevelManager(
-                    data.level,
-                    data.settings.gameplay.difficulty
-                );
-                break;
+        // Record inputs against the untouched starting state
+        this.replay = Replay.record(data.level, this.simulation);
+        this.simulation.start();
+
+        // Show optimal strategy at start (Level 3)
+        if (this.levelManager.generateOptimalStrategyDescription) {
+            eventBus.emit('aiTip', this.levelManager.generateOptimalStrategyDescription());
         }
 
         this.settings = data.settings;
-        this.towers = [];
-        this.enemies = [];
         this.selectedTowerType = null;
+        this.inspectedNode = null;
+        this.incidentNode = null;
+        this.segmenting = false;
+        this.hoveredEdge = null;
         this.paused = false;
         this.towersLocked = false;
-        this.packetsInWave = 0;
-        this.waveTransitioning = false; // Flag to prevent multiple wave transitions
+        this.autopilot = null;
+
+        // Simulation events
+        this.simulation.events.on('waveStarted', (d) => this.handleWaveStarted(d));
+        this.simulation.events.on('topologyChanged', (d) => this.handleTopologySwitch(d));
+        this.simulation.events.on('flood', (d) => this.handleFlood(d));
+        this.simulation.events.on('nodeCompromised', (d) => this.handleNodeCompromised(d));
+        this.simulation.events.on('campaignStage', (d) => this.handleCampaignStage(d));
+        this.simulation.events.on('bossSpawned', (d) => this.handleBossSpawned(d));
+        this.simulation.events.on('bossDefeated', (d) => this.handleBossDefeated(d));
+        this.simulation.events.on('bossEscaped', (d) => this.handleBossEscaped(d));
 
         // Setup event listeners
-        eventBus.on('canvasClick', this.onCanvasClick);
-        eventBus.on('canvasMouseMove', this.onCanvasMouseMove);
-        eventBus.on('keyDown', this.onKeyDown);
-        eventBus.on('togglePause', this.onTogglePause);
-
-        // Bind restart handler
-        this.onRestart = this.handleRestart.bind(this);
-        eventBus.on('restartLevel', this.onRestart);
-
-        eventBus.on('aiTip', (tip) => this.showAITip(tip));
+        this.subscriptions = [
+            eventBus.on('canvasClick', this.onCanvasClick),
+            eventBus.on('canvasMouseMove', this.onCanvasMouseMove),
+            eventBus.on('keyDown', this.onKeyDown),
+            eventBus.on('togglePause', this.onTogglePause),
+            eventBus.on('restartLevel', this.onRestart),
+            eventBus.on('saveReplay', this.onSaveReplay),
+            eventBus.on('sellTower', this.onSellTower),
+            eventBus.on('upgradeTower', this.onUpgradeTower),
+            eventBus.on('tuneTower', this.onTuneTower),
+            eventBus.on('cleanNode', this.onCleanNode),
+            eventBus.on('isolateNode', this.onIsolateNode),
+            eventBus.on('toggleSegmentation', this.onToggleSegmentation),
+            eventBus.on('saveLayout', this.onSaveLayout),
+            eventBus.on('loadLayout', this.onLoadLayout),
+            eventBus.on('setAutopilot', this.onSetAutopilot),
+            eventBus.on('setCommitmentMode', this.onSetCommitmentMode),
+            eventBus.on('setPatrol', this.onSetPatrol),
+            eventBus.on('aiTip', (tip) => this.showAITip(tip))
+        ];
 
         // Level 2 events
         if (data.level.aiType === 'GENIUS') {
-            eventBus.on('topologySwitch', (d) => this.handleTopologySwitch(d));
-            eventBus.on('aiStrategyUpdate', (d) => this.handleAIStrategyUpdate(d));
+            this.subscriptions.push(
+                eventBus.on('aiStrategyUpdate', (d) => this.handleAIStrategyUpdate(d))
+            );
         }
 
         // Level 3 events
         if (data.level.aiType === 'PERFECT') {
-            eventBus.on('phaseChange', (d) => this.handlePhaseChange(d));
-            eventBus.on('phaseTimerUpdate', (d) => this.handlePhaseTimer(d));
-            eventBus.on('stackelbergComplete', (d) => this.handleStackelbergComplete(d));
+            this.subscriptions.push(
+                eventBus.on('phaseChange', (d) => this.handlePhaseChange(d)),
+                eventBus.on('phaseTimerUpdate', (d) => this.handlePhaseTimer(d)),
+                eventBus.on('stackelbergComplete', (d) => this.handleStackelbergComplete(d)),
+                eventBus.on('battleRound', (d) => this.handleBattleRound(d))
+            );
+
+            if (this.levelManager.getEquilibrium()) {
+                this.showAITip('Percentages over the chokepoints: how often the equilibrium defense puts each tower there. ' +
+                    'A fixed commitment can only approximate that mix.');
+            }
         }
 
         // Level 4 events
         if (data.level.aiType === 'ECONOMIC_RL') {
-            eventBus.on('economicTopologyRotation', (d) => this.handleEconomicRotation(d));
-            eventBus.on('rlLearningUpdate', (d) => this.handleRLUpdate(d));
+            this.subscriptions.push(
+                eventBus.on('economicTopologyRotation', (d) => this.handleEconomicRotation(d)),
+                eventBus.on('rlLearningUpdate', (d) => this.handleRLUpdate(d))
+            );
         }
 
         // Update HUD
         this.updateHUD();
         this.updateTowerMenu();
+        this.updateEnemyLegend();
+        this.updateAutopilotMenu();
+        this.updateCommitmentMenu();
 
         // Reset UI state
         document.getElementById('dialog-overlay')?.classList.add('hidden');
         const resumeBtn = document.getElementById('btn-resume');
         if (resumeBtn) resumeBtn.style.display = 'block';
+        const saveReplayBtn = document.getElementById('btn-save-replay');
+        if (saveReplayBtn) saveReplayBtn.style.display = 'block';
 
         console.log(`Level ${data.level.id} loaded: ${data.level.name}`);
     }
@@ -156,118 +181,37 @@ export class PlayingState {
         console.log('Exiting Playing State');
 
         // Remove event listeners
-        eventBus.off('canvasClick', this.onCanvasClick);
-        eventBus.off('canvasMouseMove', this.onCanvasMouseMove);
-        eventBus.off('keyDown', this.onKeyDown);
-        eventBus.off('togglePause', this.onTogglePause);
-        if (this.onRestart) eventBus.off('restartLevel', this.onRestart);
-        eventBus.off('aiTip');
-        eventBus.off('topologySwitch');
-        eventBus.off('aiStrategyUpdate');
-        eventBus.off('phaseChange');
-        eventBus.off('phaseTimerUpdate');
-        eventBus.off('stackelbergComplete');
-        eventBus.off('economicTopologyRotation');
-        eventBus.off('rlLearningUpdate');
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+
+        this.autopilot?.detach();
+        this.autopilot = null;
+
+        const saveReplayBtn = document.getElementById('btn-save-replay');
+        if (saveReplayBtn) saveReplayBtn.style.display = 'none';
+
+        this.inspectedNode = null;
+        this.incidentNode = null;
+        this.targetingTower = null;
+        document.getElementById('tower-panel')?.classList.add('hidden');
+        document.getElementById('incident-panel')?.classList.add('hidden');
+        document.getElementById('commitment-section')?.classList.add('hidden');
     }
 
     update(deltaTime) {
         if (this.paused) return;
 
-        // Update phase timer for Level 3
-        if (this.levelManager.updatePhase) {
-            this.levelManager.updatePhase(deltaTime);
-        }
-
-        // Spawn enemies
-        // Spawn enemies
-        const isEndless = this.levelManager.level.mode === 'ENDLESS' || this.levelManager.level.mode === 'ECONOMIC_ENDLESS';
-        const waveLimit = 15; // Enemies per wave for endless modes
+        // Advance the simulation in fixed ticks
+        this.simulation.advance(deltaTime);
+        this.updateAutopilot();
 
-        if (isEndless) {
-            // For endless mode, spawn enemies until wave limit is reached
-            if (this.packetsInWave < waveLimit) {
-                // Still spawning enemies for current wave
-                if (this.levelManager.shouldSpawnEnemy(deltaTime)) {
-                    this.spawnEnemy();
-                    console.log(`[Spawn] Spawned enemy ${this.packetsInWave}/${waveLimit} for wave ${this.levelManager.wave}`);
-                }
-            } else if (this.packetsInWave >= waveLimit) {
-                // Wave limit reached, wait for all enemies to be cleared
-                if (this.enemies.length === 0 && !this.levelManager.levelComplete && !this.levelManager.levelFailed && !this.waveTransitioning) {
-                    // Prevent multiple transitions
-                    this.waveTransitioning = true;
-
-                    const currentWave = this.levelManager.wave;
-                    console.log(`[Wave] Wave ${currentWave} complete. packetsInWave=${this.packetsInWave}, enemies=${this.enemies.length}`);
-
-                    // Wave complete - process completion first (this increments the wave)
-                    this.onWaveComplete();
-
-                    // Update level manager with current towers before starting next wave
-                    if (this.levelManager.updateTowers) {
-                        this.levelManager.updateTowers(this.towers);
-                    }
-
-                    // Start next wave (this resets spawn timer and prepares AI)
-                    this.levelManager.startWave();
-
-                    // Reset wave counter for next wave - MUST be after startWave()
-                    this.packetsInWave = 0;
-
-                    // Update HUD to show new wave number
-                    this.updateHUD();
-
-                    // Allow next wave to spawn immediately
-                    this.waveTransitioning = false;
-
-                    console.log(`[Wave] Wave ${this.levelManager.wave} started. packetsInWave=${this.packetsInWave}, spawnTimer=${this.levelManager.spawnTimer}`);
-                    console.log(`[Wave] Next frame should spawn: packetsInWave=${this.packetsInWave} < ${waveLimit} = ${this.packetsInWave < waveLimit}`);
-                    this.showAITip(`Wave ${this.levelManager.wave} starting!`);
-                } else if (this.enemies.length > 0) {
-                    // Still waiting for enemies to be cleared
-                    if (Math.random() < 0.01) { // Log occasionally to avoid spam
-                        console.log(`[Wave] Waiting for ${this.enemies.length} enemies to be cleared before starting next wave`);
-                    }
-                }
-            }
-        } else {
-            // Normal mode spawning
-            if (this.levelManager.shouldSpawnEnemy(deltaTime)) {
-                this.spawnEnemy();
-            }
+        if (this.simulation.finished) {
+            this.replay.finish(this.simulation.getResult());
         }
 
-        // Check win/fail conditions
-        this.levelManager.checkWinCondition();
-
-        // Update towers
-        this.towers.forEach(tower => {
-            tower.update(deltaTime, this.enemies);
-        });
-
-        // Update enemies
-        this.enemies = this.enemies.filter(enemy => {
-            enemy.update(deltaTime);
-
-            if (!enemy.isAlive()) {
-                if (enemy.reachedGoal) {
-                    this.levelManager.enemyReachedGoal(enemy);
-                } else {
-                    this.levelManager.enemyDestroyed(enemy);
-                }
-                return false;
-            }
-
-            return true;
-        });
-
         // Update AI Advisor
         this.aiAdvisor.update({ levelManager: this.levelManager, towers: this.towers, enemies: this.enemies });
 
-        // Check win/loss conditions
-        this.levelManager.checkWinCondition();
-
         if (this.levelManager.levelComplete) {
             this.handleLevelComplete();
         } else if (this.levelManager.levelFailed) {
@@ -283,9 +227,22 @@ export class PlayingState {
     render(ctx) {
         // Draw network topology
         this.renderNetwork(ctx);
+        this.renderEquilibriumCoverage(ctx);
+        this.renderPatrols(ctx);
+
+        // Highlight the tower shown in the context panel
+        const inspected = this.inspectedNode !== null ? this.simulation.getTowerAt(this.inspectedNode) : null;
+        if (inspected) {
+            ctx.save();
+            ctx.globalAlpha = 0.15;
+            Graphics.drawCircle(ctx, inspected.x, inspected.y, inspected.range, inspected.color);
+            ctx.restore();
+        }
 
-        // Draw towers
+        // Draw towers (synergy links underneath)
+        this.towers.forEach(tower => tower.renderSynergies(ctx));
         this.towers.forEach(tower => tower.render(ctx));
+        this.renderCampaignIntel(ctx);
 
         // Draw enemies
         this.enemies.forEach(enemy => enemy.render(ctx));
@@ -295,6 +252,8 @@ export class PlayingState {
             this.renderPlacementPreview(ctx);
         }
 
+        this.renderBossBars(ctx);
+
         // Draw pause overlay
         if (this.paused) {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
@@ -302,6 +261,102 @@ export class PlayingState {
         }
     }
 
+    /**
+     * Level 3 commitment phase: how often the equilibrium puts each tower type on each chokepoint
+     */
+    renderEquilibriumCoverage(ctx) {
+        const lm = this.levelManager;
+        if (lm.currentPhase !== 'commitment') return;
+        const equilibrium = lm.getEquilibrium();
+        if (!equilibrium) return;
+
+        ctx.save();
+        ctx.font = 'bold 11px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+
+        Object.entries(equilibrium.coverage).forEach(([nodeIndex, byType]) => {
+            const node = lm.nodes[nodeIndex];
+            const shares = Object.entries(byType).filter(([, probability]) => probability > 0);
+            let y = node.y - Config.GRAPHICS.NODE_CHOKEPOINT_RADIUS - 6;
+
+            shares.forEach(([type, probability]) => {
+                ctx.fillStyle = Config.TOWERS[type].color;
+                ctx.fillText(`${Config.TOWERS[type].symbol} ${Math.round(probability * 100)}%`, node.x, y);
+                y -= 13;
+            });
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Level 3 mixed commitments (before the battle): dashed line from each patrolling
+     * tower's home to its patrol node, labelled with the share of rounds spent there
+     */
+    renderPatrols(ctx) {
+        const lm = this.levelManager;
+        if (lm.commitmentMode !== 'mixed' || lm.battleActive || lm.currentPhase === 'scoring') return;
+
+        ctx.save();
+        ctx.font = 'bold 11px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.towers.filter(tower => tower.patrol).forEach(tower => {
+            const home = lm.nodes[tower.patrol.home];
+            const node = lm.nodes[tower.patrol.node];
+            ctx.setLineDash([6, 4]);
+            Graphics.drawLine(ctx, home.x, home.y, node.x, node.y, tower.color, 2);
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = tower.color;
+            ctx.fillText(`${Math.round(tower.patrol.share * 100)}%`, (home.x + node.x) / 2, (home.y + node.y) / 2 - 10);
+        });
+        ctx.restore();
+    }
+
+    /**
+     * Crosshairs on the towers a kill-chain recon has reported to the attacker
+     */
+    renderCampaignIntel(ctx) {
+        const intel = this.levelManager.campaign?.intel;
+        if (!intel) return;
+
+        intel.forEach(tower => {
+            const r = tower.size + 6;
+            ctx.save();
+            ctx.globalAlpha = 0.8;
+            Graphics.drawCircle(ctx, tower.x, tower.y, r, Config.ENEMIES.RECON.color, false);
+            Graphics.drawLine(ctx, tower.x - r - 4, tower.y, tower.x - r + 4, tower.y, Config.ENEMIES.RECON.color, 2);
+            Graphics.drawLine(ctx, tower.x + r - 4, tower.y, tower.x + r + 4, tower.y, Config.ENEMIES.RECON.color, 2);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Health bars across the top of the map, one per boss in play
+     */
+    renderBossBars(ctx) {
+        const bosses = this.enemies.filter(enemy => enemy.config.boss);
+        const width = 320;
+        const x = (ctx.canvas.width - width) / 2;
+
+        bosses.forEach((boss, i) => {
+            const y = 16 + i * 36;
+            const hidden = boss.config.stealthy && !boss.revealed;
+            const title = `${boss.config.boss.title}${hidden ? ' (hidden)' : ''}`;
+
+            Graphics.drawText(ctx, title, x + width / 2, y, {
+                font: 'bold 13px Inter',
+                color: boss.color,
+                align: 'center',
+                shadow: true
+            });
+            Graphics.drawHealthBar(ctx, x, y + 18, width, 8,
+                (boss.health / boss.maxHealth) * 100, '#333333', boss.color);
+        });
+    }
+
     /**
      * Render network topology
      */
@@ -312,15 +367,36 @@ export class PlayingState {
         const goals = this.levelManager.goals;
         const chokepoints = this.levelManager.chokepoints;
 
-        // Draw edges
-        edges.forEach(([from, to]) => {
-            Graphics.drawLine(
+        const { compromised, isolated, cutEdges } = this.levelManager;
+
+        // Draw edges (thickness = bandwidth, arrows = one-way, red = congested, faded = isolated)
+        edges.forEach((edge, index) => {
+            const [from, to] = edge;
+
+            if (cutEdges.has(edge)) {
+                this.renderCutEdge(ctx, nodes[from], nodes[to], index === this.hoveredEdge);
+                return;
+            }
+
+            if (index === this.hoveredEdge) {
+                Graphics.drawLine(ctx, nodes[from].x, nodes[from].y, nodes[to].x, nodes[to].y,
+                    Config.COLORS.EDGE_CUT, Pathfinding.getLinkWidth(edge) + 6);
+            }
+
+            const congested = this.simulation.isCongested(edge);
+            ctx.save();
+            if (isolated.has(from) || isolated.has(to)) {
+                ctx.globalAlpha = 0.2;
+            }
+            Graphics.drawLink(
                 ctx,
                 nodes[from].x, nodes[from].y,
                 nodes[to].x, nodes[to].y,
-                Config.COLORS.EDGE,
-                Config.GRAPHICS.EDGE_WIDTH
+                congested ? Config.COLORS.EDGE_CONGESTED : Config.COLORS.EDGE,
+                Pathfinding.getLinkWidth(edge) + (congested ? 2 : 0),
+                Pathfinding.isDirected(edge)
             );
+            ctx.restore();
         });
 
         // Draw nodes
@@ -344,6 +420,14 @@ export class PlayingState {
                 Graphics.drawGlowCircle(ctx, node.x, node.y, radius + 5, color, 10);
             }
 
+            // Footholds glow; isolated nodes are greyed out
+            if (isolated.has(index)) {
+                color = Config.COLORS.NODE_ISOLATED;
+            } else if (compromised.has(index)) {
+                Graphics.drawGlowCircle(ctx, node.x, node.y, radius + 4, Config.COLORS.NODE_COMPROMISED, 14);
+                color = Config.COLORS.NODE_COMPROMISED;
+            }
+
             Graphics.drawCircle(ctx, node.x, node.y, radius, color);
 
             // Draw node number
@@ -353,6 +437,64 @@ export class PlayingState {
             ctx.textBaseline = 'middle';
             ctx.fillText(index.toString(), node.x, node.y);
         });
+
+        this.renderAssetLabels(ctx);
+    }
+
+    /**
+     * A link taken out of service: dashed, with a cross at its midpoint
+     */
+    renderCutEdge(ctx, from, to, hovered) {
+        const midX = (from.x + to.x) / 2;
+        const midY = (from.y + to.y) / 2;
+
+        ctx.save();
+        ctx.globalAlpha = hovered ? 0.9 : 0.5;
+        Graphics.drawDashedLine(ctx, from.x, from.y, to.x, to.y, Config.COLORS.EDGE_CUT, 2, [6, 6]);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = Config.COLORS.EDGE_CUT;
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('✕', midX, midY);
+        ctx.restore();
+    }
+
+    /**
+     * Name ingress points and show each asset's health under its goal node
+     */
+    renderAssetLabels(ctx) {
+        const lm = this.levelManager;
+        const nodes = lm.nodes;
+
+        ctx.save();
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#b8c5d6';
+
+        lm.sources.forEach(index => {
+            const name = lm.ingress[index];
+            if (name) {
+                ctx.fillText(name, nodes[index].x, nodes[index].y + Config.GRAPHICS.NODE_SOURCE_RADIUS + 6);
+            }
+        });
+
+        // A single core is already covered by the HUD health readout
+        if (lm.assets.length > 1) {
+            lm.assets.forEach(asset => {
+                const node = nodes[asset.node];
+                const top = node.y + Config.GRAPHICS.NODE_GOAL_RADIUS + 6;
+                const percent = (asset.health / asset.maxHealth) * 100;
+
+                ctx.fillStyle = asset.health > 0 ? '#b8c5d6' : '#ff4757';
+                ctx.fillText(`${asset.name} ×${asset.weight}`, node.x, top);
+                Graphics.drawHealthBar(ctx, node.x - 25, top + 15, 50, 5, percent, '#333',
+                    percent < 30 ? '#ff4757' : percent < 50 ? '#ffa502' : '#2ed573');
+            });
+        }
+
+        ctx.restore();
     }
 
     /**
@@ -379,26 +521,6 @@ export class PlayingState {
             canPlace ? config.color : '#ff0000', 5);
     }
 
-    /**
-     * Spawn a new enemy
-     */
-    spawnEnemy() {
-        const path = this.levelManager.getRandomPath();
-        if (!path) return;
-
-        const enemyType = this.levelManager.getEnemyType();
-        const enemy = new Enemy(enemyType, path, this.levelManager.nodes, this.levelManager.edges);
-
-        // Apply difficulty modifiers
-        enemy.speed *= this.levelManager.difficultyMod.enemySpeedMultiplier;
-        enemy.health *= this.levelManager.difficultyMod.enemyHealthMultiplier;
-        enemy.maxHealth = enemy.health;
-
-        this.enemies.push(enemy);
-        this.levelManager.incrementPacketsSpawned();
-        this.packetsInWave++;
-    }
-
     /**
      * Handle canvas click
      */
@@ -410,6 +532,31 @@ export class PlayingState {
             return;
         }
 
+        // Segmentation mode: clicks act on links
+        if (this.segmenting) {
+            const edgeIndex = this.getEdgeAtPosition(x, y);
+            if (edgeIndex !== null) {
+                this.toggleEdge(edgeIndex);
+            }
+            return;
+        }
+
+        const nodeIndex = this.getNodeAtPosition(x, y);
+
+        // Compromised and isolated nodes open the incident panel
+        const lm = this.levelManager;
+        this.incidentNode = nodeIndex !== null && (lm.compromised.has(nodeIndex) || lm.isolated.has(nodeIndex))
+            ? nodeIndex
+            : null;
+        this.updateIncidentPanel();
+
+        // Clicking an existing tower opens its context panel
+        if (nodeIndex !== null && this.simulation.getTowerAt(nodeIndex)) {
+            this.inspectTower(nodeIndex);
+            return;
+        }
+        this.inspectTower(null);
+
         // Check if towers are locked (Level 3)
         if (this.towersLocked) {
             console.log('Towers locked - cannot place/remove');
@@ -417,7 +564,6 @@ export class PlayingState {
         }
 
         // Try to place tower
-        const nodeIndex = this.getNodeAtPosition(x, y);
         if (nodeIndex !== null) {
             if (this.selectedTowerType) {
                 this.placeTower(nodeIndex);
@@ -431,6 +577,7 @@ export class PlayingState {
     handleCanvasMouseMove(data) {
         const { x, y } = data;
         this.hoveredNode = this.getNodeAtPosition(x, y);
+        this.hoveredEdge = this.segmenting ? this.getEdgeAtPosition(x, y) : null;
     }
 
     /**
@@ -439,16 +586,32 @@ export class PlayingState {
     handleKeyDown(data) {
         const { code } = data;
 
-        // Tower hotkeys
-        const towerHotkeys = {
-            'KeyQ': 'Firewall',
-            'KeyW': 'IDS',
-            'KeyE': 'Honeypot'
-        };
+        // Tower hotkeys, in tower menu order
+        const towerType = this.levelManager.getTowersAvailable()[Config.TOWER_HOTKEYS.indexOf(code)];
+        if (Config.TOWER_HOTKEYS.includes(code) && towerType) {
+            this.selectTowerType(towerType);
+        }
 
-        if (towerHotkeys[code]) {
-            this.selectedTowerType = towerHotkeys[code];
-            this.updateTowerMenu();
+        if (code === 'KeyX') {
+            this.toggleSegmentation();
+        }
+
+        // Targeting hotkeys for the tower in the context panel
+        const targeting = Object.keys(Config.TARGETING.MODES)
+            .find(mode => Config.TARGETING.MODES[mode].hotkey === code);
+        if (targeting) {
+            this.setInspectedTargeting(targeting);
+        }
+
+        // Close tower context and incident panels
+        if (code === 'Escape') {
+            this.inspectTower(null);
+            this.incidentNode = null;
+            this.updateIncidentPanel();
+
+            if (this.segmenting) {
+                this.toggleSegmentation();
+            }
         }
 
         // Pause
@@ -462,6 +625,7 @@ export class PlayingState {
      */
     handleTogglePause() {
         this.paused = !this.paused;
+        this.recordInput(this.paused ? 'pause' : 'resume');
 
         // Show/hide dialog
         const dialog = document.getElementById('dialog-overlay');
@@ -497,34 +661,74 @@ export class PlayingState {
     }
 
     /**
-     * Can place tower at node?
+     * Get the link under the mouse (nodes take precedence near their centre)
+     * @returns {number|null} Index into the level manager's edges
      */
-    canPlaceTower(nodeIndex) {
-        // Check if towers locked (Level 3)
-        if (this.towersLocked) {
-            return false;
-        }
+    getEdgeAtPosition(x, y) {
+        if (this.getNodeAtPosition(x, y) !== null) return null;
+
+        const { nodes, edges } = this.levelManager;
+        let nearest = null;
+        let nearestDistance = 10; // Pick tolerance (px)
+
+        edges.forEach(([from, to], index) => {
+            const distance = Graphics.distanceToSegment(x, y, nodes[from].x, nodes[from].y, nodes[to].x, nodes[to].y);
+            if (distance < nearestDistance) {
+                nearest = index;
+                nearestDistance = distance;
+            }
+        });
 
-        // Check if chokepoint
-        if (!this.levelManager.chokepoints.includes(nodeIndex)) {
-            return false;
-        }
+        return nearest;
+    }
 
-        // Check if already occupied
-        for (const tower of this.towers) {
-            const node = this.levelManager.nodes[nodeIndex];
-            if (tower.x === node.x && tower.y === node.y) {
-                return false;
+    /**
+     * Switch between placing towers and cutting/restoring links
+     */
+    toggleSegmentation() {
+        if (this.towersLocked && !this.segmenting) return;
+
+        this.segmenting = !this.segmenting;
+        this.hoveredEdge = null;
+        this.updateSegmentButton();
+    }
+
+    /**
+     * Cut a link in service, or restore a cut one
+     */
+    toggleEdge(edgeIndex) {
+        if (this.towersLocked) return;
+
+        const lm = this.levelManager;
+        const edge = lm.edges[edgeIndex];
+
+        if (lm.cutEdges.has(edge)) {
+            if (this.simulation.restoreEdge(edgeIndex)) {
+                this.recordInput('restore', edgeIndex);
             }
+        } else if (this.simulation.cutEdge(edgeIndex)) {
+            this.recordInput('cut', edgeIndex);
+        } else if (this.simulation.segmentationCooldown > 0) {
+            this.showAITip(`Segmentation is reconfiguring - ready in ${Math.ceil(this.simulation.segmentationCooldown / 1000)}s.`);
+        } else if (!lm.canCutEdge(edge)) {
+            this.showAITip('Cutting that link would leave an ingress point with no route to any asset.');
+        } else {
+            this.aiAdvisor.onInsufficientFunds(Config.SEGMENTATION.CUT_COST);
         }
 
-        // Check if have money
-        const cost = Config.TOWERS[this.selectedTowerType].cost;
-        if (this.levelManager.getMoney() < cost) {
+        this.updateHUD();
+    }
+
+    /**
+     * Can place tower at node?
+     */
+    canPlaceTower(nodeIndex) {
+        // Check if towers locked (Level 3)
+        if (this.towersLocked) {
             return false;
         }
 
-        return true;
+        return this.simulation.canPlaceTower(nodeIndex, this.selectedTowerType);
     }
 
     /**
@@ -536,15 +740,8 @@ export class PlayingState {
             return;
         }
 
-        const node = this.levelManager.nodes[nodeIndex];
-        const cost = Config.TOWERS[this.selectedTowerType].cost;
-
-        // Create tower
-        const tower = new Tower(node.x, node.y, this.selectedTowerType, this.levelManager.nodes);
-        this.towers.push(tower);
-
-        // Spend money
-        this.levelManager.spendMoney(cost);
+        const tower = this.simulation.placeTower(nodeIndex, this.selectedTowerType);
+        this.recordInput('place', nodeIndex, this.selectedTowerType);
 
         // Update UI
         this.updateHUD();
@@ -554,18 +751,500 @@ export class PlayingState {
 
         // AI feedback
         this.aiAdvisor.onTowerPlaced(tower);
+    }
+
+    /**
+     * Show the context panel for the tower on a node (null closes it)
+     */
+    inspectTower(nodeIndex) {
+        this.inspectedNode = nodeIndex;
+        this.updateTowerPanel();
+    }
+
+    /**
+     * Sell the tower in the context panel
+     */
+    sellInspectedTower() {
+        if (this.inspectedNode === null || this.towersLocked) return;
 
-        // Update level manager with current towers (for adaptive AI)
-        if (this.levelManager.updateTowers) {
-            this.levelManager.updateTowers(this.towers);
+        const nodeIndex = this.inspectedNode;
+        const tower = this.simulation.getTowerAt(nodeIndex);
+        const refund = this.simulation.sellTower(nodeIndex);
+        if (refund === null) return;
+
+        this.recordInput('sell', nodeIndex);
+        console.log(`Sold ${tower.type} at node ${nodeIndex} for $${refund}`);
+
+        this.inspectTower(null);
+        this.updateHUD();
+        this.updateTowerMenu();
+    }
+
+    /**
+     * Upgrade the tower in the context panel
+     */
+    upgradeInspectedTower() {
+        if (this.inspectedNode === null || this.towersLocked) return;
+
+        const nodeIndex = this.inspectedNode;
+        const tower = this.simulation.upgradeTower(nodeIndex);
+        if (!tower) return;
+
+        this.recordInput('upgrade', nodeIndex);
+        console.log(`Upgraded ${tower.type} at node ${nodeIndex} to tier ${tower.tier}`);
+
+        this.updateHUD();
+        this.updateTowerMenu();
+    }
+
+    /**
+     * Change the targeting mode of the tower in the context panel
+     */
+    setInspectedTargeting(mode) {
+        if (this.inspectedNode === null || this.towersLocked) return;
+
+        const nodeIndex = this.inspectedNode;
+        const tower = this.simulation.setTowerTargeting(nodeIndex, mode);
+        if (!tower) return;
+
+        this.recordInput('target', nodeIndex, mode);
+        console.log(`${tower.type} at node ${nodeIndex} now targets ${Config.TARGETING.MODES[mode].label}`);
+
+        this.updateTowerPanel();
+    }
+
+    /**
+     * Move the detection slider of the tower in the context panel
+     * @param {number} tuning - 0 (permissive) to 1 (strict)
+     */
+    setInspectedTuning(tuning) {
+        if (this.inspectedNode === null || this.towersLocked) return;
+
+        const nodeIndex = this.inspectedNode;
+        const tower = this.simulation.setTowerTuning(nodeIndex, tuning);
+        if (!tower) return;
+
+        this.recordInput('tune', nodeIndex, tower.tuning);
+        this.updateTowerPanel();
+    }
+
+    /**
+     * Hand the defense to an agent (null or 'off' takes it back)
+     * @param {string|null} name - Key of DEFENDER_AGENTS
+     */
+    setAutopilot(name) {
+        this.autopilot?.detach();
+        this.autopilot = createDefenderAgent(name);
+        this.autopilot?.attach(this.simulation);
+        this.autopilotNextTurn = this.simulation.elapsed;
+
+        this.updateAutopilotMenu();
+        this.showAITip(this.autopilot
+            ? `Autopilot on: the ${this.autopilot.constructor.label} agent is defending. Watch what it builds.`
+            : 'Autopilot off: the defense is yours again.');
+    }
+
+    /**
+     * Let the autopilot move every DEFENDER_AGENTS.INTERVAL ms of match time
+     */
+    updateAutopilot() {
+        if (!this.autopilot || this.simulation.finished || this.towersLocked) return;
+        if (this.simulation.elapsed < this.autopilotNextTurn) return;
+
+        this.autopilotNextTurn = this.simulation.elapsed + Config.DEFENDER_AGENTS.INTERVAL;
+        const moves = runAgent(this.autopilot, this.simulation, action => this.performAgentAction(action));
+
+        if (moves > 0) {
+            this.updateHUD();
+            this.updateTowerMenu();
+            this.updateTowerPanel();
         }
+    }
 
-        // For Level 3, commit towers
-        if (this.levelManager.commitTowers) {
-            this.levelManager.committedTowers = [...this.towers];
+    /**
+     * Carry out an autopilot move as a player input (recorded, so replays need no agent)
+     * @returns {boolean} Whether the simulation accepted it
+     */
+    performAgentAction(action) {
+        const { node } = action;
+
+        switch (action.type) {
+            case 'place': {
+                const tower = this.simulation.placeTower(node, action.tower);
+                if (!tower) return false;
+
+                this.recordInput('place', node, action.tower);
+                this.aiAdvisor.onTowerPlaced(tower);
+                console.log(`Autopilot placed ${action.tower} at node ${node}`);
+                return true;
+            }
+            case 'sell': {
+                const refund = this.simulation.sellTower(node);
+                if (refund === null) return false;
+
+                this.recordInput('sell', node);
+                console.log(`Autopilot sold the tower at node ${node} for $${refund}`);
+                return true;
+            }
+            case 'upgrade': {
+                const tower = this.simulation.upgradeTower(node);
+                if (!tower) return false;
+
+                this.recordInput('upgrade', node);
+                console.log(`Autopilot upgraded ${tower.type} at node ${node} to tier ${tower.tier}`);
+                return true;
+            }
+            default:
+                return false;
         }
     }
 
+    /**
+     * Autopilot picker: off, then each agent
+     */
+    updateAutopilotMenu() {
+        const select = document.getElementById('autopilot-agent');
+        if (!select) return;
+
+        select.innerHTML = '<option value="off">Off</option>' + Object.entries(DEFENDER_AGENTS)
+            .map(([name, Agent]) => `<option value="${name}">${Agent.label}</option>`)
+            .join('');
+        select.value = Object.keys(DEFENDER_AGENTS)
+            .find(name => this.autopilot?.constructor === DEFENDER_AGENTS[name]) || 'off';
+    }
+
+    /**
+     * Level 3 commitment picker: shown on Level 3 only, fixed once the towers lock
+     */
+    updateCommitmentMenu() {
+        const section = document.getElementById('commitment-section');
+        const select = document.getElementById('commitment-mode');
+        if (!section || !select) return;
+
+        const lm = this.levelManager;
+        section.classList.toggle('hidden', !lm.setCommitmentMode);
+        select.value = lm.commitmentMode || 'fixed';
+        select.disabled = this.towersLocked;
+    }
+
+    /**
+     * Level 3: commit to fixed placements or to patrols
+     * @param {string} mode - 'fixed' or 'mixed'
+     */
+    setCommitmentMode(mode) {
+        if (this.towersLocked || !this.simulation.setCommitmentMode(mode)) {
+            this.updateCommitmentMenu();
+            return;
+        }
+
+        this.recordInput('commitment', mode);
+        this.updateCommitmentMenu();
+        this.updateTowerPanel();
+        this.showAITip(mode === 'mixed'
+            ? `Mixed commitment: give towers a patrol in the tower panel. The battle is played over ${this.levelManager.level.securityGame.rounds} rounds, ` +
+              'each drawing where the patrols stand after the attacker has chosen. You are scored on expected utility.'
+            : 'Fixed commitment: your towers stand where you build them.');
+    }
+
+    /**
+     * Set the patrol of the tower in the context panel
+     * @param {Object} patrol - { node: chokepoint or null to stay home, share: 0-1 }
+     */
+    setInspectedPatrol({ node, share }) {
+        if (this.inspectedNode === null || this.towersLocked) return;
+
+        const nodeIndex = this.inspectedNode;
+        const tower = this.simulation.setTowerPatrol(nodeIndex, node, share);
+        if (!tower) return;
+
+        this.recordInput('patrol', nodeIndex, node, share);
+        this.updateTowerPanel();
+    }
+
+    /**
+     * Saved layouts are per level and topology (node indices differ between maps)
+     */
+    getLayoutKey() {
+        const level = this.levelManager.level;
+        return `${level.id}:${level.topology}`;
+    }
+
+    /**
+     * Save the current towers, tiers and targeting modes for this map
+     */
+    saveLayout() {
+        const layouts = Storage.load(Config.STORAGE_KEYS.LAYOUTS, {});
+        layouts[this.getLayoutKey()] = this.simulation.getLayout();
+        Storage.save(Config.STORAGE_KEYS.LAYOUTS, layouts);
+
+        this.showAITip(`Layout saved (${this.towers.length} towers).`);
+    }
+
+    /**
+     * Warn about a DDoS burst: its links will saturate
+     */
+    handleFlood({ type, size, source }) {
+        const ingress = this.levelManager.ingress[source] || `node ${source}`;
+        this.showAITip(`⚠ ${size}× ${type} flood from ${ingress}! Saturated links slow every packet on them, legitimate traffic included.`);
+    }
+
+    /**
+     * An intruder took over a node: warn and point at the incident panel
+     */
+    handleNodeCompromised({ node, type }) {
+        this.showAITip(`☣ ${type} compromised node ${node}! Attackers can pivot from it and any tower on it is offline. Click it to clean or isolate.`);
+        this.updateHUD();
+    }
+
+    /**
+     * A kill-chain campaign moved on: warn about the new stage or report how it ended
+     */
+    handleCampaignStage({ name, stage, warning, result, intel }) {
+        if (stage) {
+            const mapped = stage !== 'Recon' && intel > 0 ? ` (recon mapped ${intel} tower${intel === 1 ? '' : 's'})` : '';
+            this.showAITip(`🎯 ${name} · ${stage}: ${warning}${mapped}`);
+        } else if (result === 'foiled') {
+            this.showAITip(`🛡 ${name} foiled: every packet of the stage was stopped.`);
+        } else if (result === 'complete') {
+            this.showAITip(`☠ ${name} complete: data was exfiltrated from your network.`);
+        }
+    }
+
+    /**
+     * A boss joined the wave: warning banner, then what the threat is in the real world
+     */
+    handleBossSpawned(boss) {
+        const { title, warning, briefing } = boss.config.boss;
+        const ingress = this.levelManager.ingress[boss.path[0]] || `node ${boss.path[0]}`;
+
+        const banner = document.createElement('div');
+        banner.className = 'boss-warning-banner';
+        banner.style.borderColor = boss.color;
+        banner.innerHTML = `
+            <h3>☠ ${title}</h3>
+            <p>${warning}</p>
+            <p>Entering at ${ingress}</p>
+        `;
+        document.getElementById('game-container').appendChild(banner);
+
+        // Auto-remove after 4 seconds
+        setTimeout(() => {
+            banner.remove();
+        }, 4000);
+
+        this.showAITip(`☠ ${title}: ${briefing}`);
+    }
+
+    handleBossDefeated(boss) {
+        const split = boss.config.splitInto
+            ? ` Its ${boss.config.splitCount} ${boss.config.splitInto} bots are loose - mop them up!`
+            : '';
+        this.showAITip(`🛡 ${boss.config.boss.title} stopped (+$${boss.getReward()}).${split}`);
+    }
+
+    handleBossEscaped(boss) {
+        this.showAITip(`☠ ${boss.config.boss.title} breached the network!`);
+        this.updateHUD();
+    }
+
+    /**
+     * Clean the node in the incident panel
+     */
+    cleanIncidentNode() {
+        if (this.incidentNode === null || this.towersLocked) return;
+
+        const nodeIndex = this.incidentNode;
+        if (!this.simulation.cleanNode(nodeIndex)) return;
+
+        this.recordInput('clean', nodeIndex);
+        this.incidentNode = null;
+        this.updateHUD();
+    }
+
+    /**
+     * Isolate the node in the incident panel
+     */
+    isolateIncidentNode() {
+        if (this.incidentNode === null || this.towersLocked) return;
+
+        const nodeIndex = this.incidentNode;
+        if (!this.simulation.isolateNode(nodeIndex)) {
+            if (!this.levelManager.canIsolateNode(nodeIndex)) {
+                this.showAITip(`Isolating node ${nodeIndex} would cut an ingress point off from every asset.`);
+            }
+            return;
+        }
+
+        this.recordInput('isolate', nodeIndex);
+        this.updateHUD();
+    }
+
+    /**
+     * Rebuild the saved layout for this map, recording each action for the replay
+     */
+    loadLayout() {
+        if (this.towersLocked) return;
+
+        const layout = Storage.load(Config.STORAGE_KEYS.LAYOUTS, {})[this.getLayoutKey()];
+        if (!layout) {
+            this.showAITip('No saved layout for this map.');
+            return;
+        }
+
+        const placed = this.simulation.applyLayout(layout, (type, ...args) => this.recordInput(type, ...args));
+        this.showAITip(`Layout loaded: ${placed}/${layout.length} towers placed.`);
+
+        this.updateHUD();
+        this.updateTowerMenu();
+    }
+
+    /**
+     * Update the tower context panel (stats, upgrade preview, sell value)
+     */
+    updateTowerPanel() {
+        const panel = document.getElementById('tower-panel');
+        if (!panel) return;
+
+        const tower = this.inspectedNode !== null ? this.simulation.getTowerAt(this.inspectedNode) : null;
+        if (!tower) {
+            this.inspectedNode = null;
+            this.targetingTower = null;
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const maxTier = tower.config.tiers?.length || 0;
+        const upgrades = this.levelManager.allowsUpgrades();
+        const next = upgrades && tower.canUpgrade() ? tower.getTierStats(tower.tier + 1) : null;
+        const stat = (label, current, upgraded) =>
+            `<p>${label}: <span>${current}${upgraded !== undefined ? ` <span class="tier-next">→ ${upgraded}</span>` : ''}</span></p>`;
+
+        // SIEMs show the boost they give instead of an attack
+        const percent = value => `${Math.round(value * 100)}%`;
+        const aura = tower.config.behavior === 'aura';
+        const cooldownLabel = tower.config.behavior === 'detain' ? 'Inspection' : 'Cooldown';
+
+        document.getElementById('tower-panel-title').textContent = `${tower.type} · Tier ${tower.tier}/${maxTier}`;
+        document.getElementById('tower-panel-stats').innerHTML =
+            (aura
+                ? stat('Detection Boost', percent(tower.getDetectionBoost()), next ? percent(next.detectionBoost) : undefined)
+                : stat('Damage', tower.damage, next?.damage)) +
+            stat('Range', tower.range, next?.range) +
+            (aura ? '' : stat(cooldownLabel, `${tower.cooldownMax}ms`, next ? `${next.cooldown}ms` : undefined)) +
+            stat('Maintenance', `$${tower.getMaintenanceCost()}`, next ? `$${next.maintenance}` : undefined) +
+            (tower.usesDetection()
+                ? stat('Detection', percent(tower.getDetectionRate())) +
+                  stat('False Positives', percent(tower.getFalsePositiveRate()))
+                : '') +
+            this.renderSynergyStats(tower);
+
+        // Buttons are built once per inspected tower (a rebuild on refresh would swallow clicks)
+        const targeting = document.getElementById('tower-targeting');
+        if (targeting) {
+            targeting.classList.toggle('hidden', !tower.usesTargeting());
+            if (this.targetingTower !== tower) {
+                this.targetingTower = tower;
+                targeting.innerHTML = Object.entries(Config.TARGETING.MODES).map(([mode, { label, hotkey }]) => `
+                    <button class="targeting-btn" data-targeting="${mode}"
+                            title="Hotkey ${hotkey.replace('Digit', '')}">${label}</button>
+                `).join('');
+
+                targeting.querySelectorAll('.targeting-btn').forEach(btn => {
+                    btn.addEventListener('click', () => this.setInspectedTargeting(btn.dataset.targeting));
+                });
+            }
+
+            targeting.querySelectorAll('.targeting-btn').forEach(btn => {
+                btn.classList.toggle('selected', btn.dataset.targeting === tower.targeting);
+                btn.disabled = this.towersLocked;
+            });
+        }
+
+        // Static slider: only follow the tower while the player is not dragging it
+        document.getElementById('tower-tuning-section')?.classList.toggle('hidden', !tower.usesDetection());
+        const tuning = document.getElementById('tower-tuning');
+        if (tuning) {
+            if (document.activeElement !== tuning) {
+                tuning.value = Math.round(tower.tuning * 100);
+            }
+            tuning.disabled = this.towersLocked;
+        }
+
+        // Level 3 mixed commitments: where the tower patrols to, and how often
+        const lm = this.levelManager;
+        const patrolling = lm.commitmentMode === 'mixed' && lm.chokepoints.includes(this.inspectedNode);
+        document.getElementById('tower-patrol-section')?.classList.toggle('hidden', !patrolling);
+        const patrolNode = document.getElementById('tower-patrol-node');
+        const patrolShare = document.getElementById('tower-patrol-share');
+        if (patrolling && patrolNode && patrolShare) {
+            // Static lists: leave an open dropdown alone, rebuild only for another tower
+            if (document.activeElement !== patrolNode) {
+                if (patrolNode.dataset.node !== String(this.inspectedNode)) {
+                    patrolNode.dataset.node = String(this.inspectedNode);
+                    patrolNode.innerHTML = '<option value="">Stay home</option>' + lm.chokepoints
+                        .filter(node => node !== this.inspectedNode)
+                        .map(node => `<option value="${node}">Node ${node}</option>`)
+                        .join('');
+                }
+                patrolNode.value = tower.patrol ? String(tower.patrol.node) : '';
+            }
+            if (tower.patrol && document.activeElement !== patrolShare) {
+                patrolShare.value = Math.round(tower.patrol.share * 100);
+            }
+            patrolNode.disabled = this.towersLocked;
+            patrolShare.disabled = this.towersLocked || !tower.patrol;
+        }
+
+        const upgradeBtn = document.getElementById('btn-upgrade-tower');
+        upgradeBtn.textContent = next ? `Upgrade ($${next.cost})` : (upgrades ? 'Max Tier' : 'No Upgrades');
+        upgradeBtn.disabled = !this.simulation.canUpgradeTower(this.inspectedNode);
+
+        const sellBtn = document.getElementById('btn-sell-tower');
+        sellBtn.textContent = `Sell (+$${tower.getSellValue()})`;
+        sellBtn.disabled = this.towersLocked;
+
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Select the tower type to place
+     */
+    selectTowerType(type) {
+        if (this.segmenting) {
+            this.toggleSegmentation();
+        }
+
+        this.selectedTowerType = type;
+        this.recordInput('select', type);
+        this.updateTowerMenu();
+    }
+
+    /**
+     * Record a player input at the current simulation tick
+     */
+    recordInput(type, ...args) {
+        if (this.replay && !this.simulation.finished) {
+            this.replay.add(this.simulation.tick, type, ...args);
+        }
+    }
+
+    /**
+     * Download the replay of this match (so far)
+     */
+    saveReplay() {
+        if (!this.replay) return;
+
+        this.replay.finish(this.simulation.getResult());
+
+        const blob = new Blob([this.replay.serialize()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = this.replay.getFileName();
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Update HUD display
      */
@@ -579,7 +1258,7 @@ export class PlayingState {
             `$${lm.getMoney()}`;
 
         document.getElementById('hud-health').textContent =
-            `${lm.coreHealth}%`;
+            `${Math.round(lm.coreHealth)}%`;
 
         document.getElementById('hud-wave').textContent =
             lm.level.mode === 'NORMAL'
@@ -597,6 +1276,217 @@ export class PlayingState {
         } else if (lm.coreHealth < 50) {
             healthEl.classList.add('warning');
         }
+
+        this.updateSlaHUD();
+
+        this.updateWavePreview();
+
+        this.updateAssetPanel();
+
+        this.updateConfusionPanel();
+
+        this.updateIncidentPanel();
+
+        this.updateSegmentButton();
+
+        // Upgrade affordability changes with money
+        this.updateTowerPanel();
+    }
+
+    /**
+     * Availability of legitimate traffic (hidden on levels without any)
+     */
+    updateSlaHUD() {
+        const lm = this.levelManager;
+        const item = document.getElementById('hud-sla-item');
+        const slaEl = document.getElementById('hud-sla');
+        if (!item || !slaEl) return;
+
+        item.classList.toggle('hidden', !lm.hasSla());
+
+        const availability = lm.getAvailability();
+        const penalty = lm.getSlaPenalty();
+        slaEl.textContent = `${availability.toFixed(0)}%`;
+        slaEl.classList.toggle('warning', penalty === 1);
+        slaEl.classList.toggle('danger', penalty >= 2);
+    }
+
+    /**
+     * Incoming Wave panel: what is left of the current wave, or the next one once it is out
+     */
+    updateWavePreview() {
+        const preview = document.getElementById('enemy-preview');
+        if (!preview) return;
+
+        const lm = this.levelManager;
+        const wave = lm.getWavePreview();
+        if (!wave) {
+            preview.innerHTML = lm.level.mode === 'NORMAL'
+                ? this.getPreviewItemHtml(null, Math.max(0, lm.level.totalPackets - lm.packetsSpawned))
+                : '<div class="enemy-count">No scheduled waves</div>';
+            return;
+        }
+
+        const heading = wave.next ? `Next: wave ${wave.wave}` : `Wave ${wave.wave} · still to come`;
+        const boss = wave.boss
+            ? this.getPreviewItemHtml(wave.boss, 1, `BOSS · ${Config.ENEMIES[wave.boss].boss.title}`)
+            : '';
+
+        preview.innerHTML = `<div class="enemy-count">${heading}</div>${boss}` +
+            wave.groups.map(group => this.getPreviewItemHtml(group.type, group.count)).join('');
+    }
+
+    /**
+     * One line of the Incoming Wave panel (type null = drawn from the level's mix)
+     */
+    getPreviewItemHtml(type, count, label = type || 'Mixed traffic') {
+        const color = type ? Config.ENEMIES[type].color : 'var(--text-secondary)';
+        return `
+            <div class="enemy-preview-item">
+                <div class="enemy-icon" style="background: ${color}"></div>
+                <div><strong>${label}</strong> <span class="enemy-count">×${count}</span></div>
+            </div>
+        `;
+    }
+
+    /**
+     * List each protected asset with its criticality and health
+     */
+    updateAssetPanel() {
+        const panel = document.getElementById('asset-panel');
+        const list = document.getElementById('asset-list');
+        if (!panel || !list) return;
+
+        const assets = this.levelManager.assets;
+        panel.classList.toggle('hidden', assets.length < 2);
+        if (assets.length < 2) return;
+
+        list.innerHTML = assets.map(asset => {
+            const percent = Math.round((asset.health / asset.maxHealth) * 100);
+            const state = percent <= 0 ? 'lost' : percent < 30 ? 'danger' : percent < 50 ? 'warning' : '';
+
+            return `
+                <div class="asset-item ${state}">
+                    <div class="asset-name"><strong>${asset.name}</strong> · ×${asset.weight}</div>
+                    <div class="asset-bar"><div style="width: ${percent}%"></div></div>
+                    <div class="asset-health">${percent}%</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Segmentation button: cost, cooldown and whether the mode is on
+     */
+    updateSegmentButton() {
+        const button = document.getElementById('btn-segment');
+        if (!button) return;
+
+        const cooldown = this.simulation.segmentationCooldown;
+        button.textContent = cooldown > 0
+            ? `✂ Ready in ${Math.ceil(cooldown / 1000)}s`
+            : `✂ Cut Links ($${Config.SEGMENTATION.CUT_COST})`;
+        button.classList.toggle('selected', this.segmenting);
+        button.disabled = this.towersLocked;
+    }
+
+    /**
+     * Clean/isolate actions for the selected compromised node
+     */
+    updateIncidentPanel() {
+        const panel = document.getElementById('incident-panel');
+        if (!panel) return;
+
+        const lm = this.levelManager;
+        const node = this.incidentNode;
+        if (node === null || (!lm.compromised.has(node) && !lm.isolated.has(node))) {
+            this.incidentNode = null;
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const isolated = lm.isolated.has(node);
+        document.getElementById('incident-panel-title').textContent =
+            `${isolated ? 'Isolated' : 'Compromised'} Node ${node}`;
+        document.getElementById('incident-panel-status').textContent = isolated
+            ? 'Contained, but no traffic can route through it until it is cleaned.'
+            : 'Attackers pivot from here, and a tower on it is offline.';
+
+        const cleanBtn = document.getElementById('btn-clean-node');
+        cleanBtn.textContent = `Clean ($${Config.COMPROMISE.CLEAN_COST})`;
+        cleanBtn.disabled = this.towersLocked || !this.simulation.canCleanNode(node);
+
+        const isolateBtn = document.getElementById('btn-isolate-node');
+        isolateBtn.textContent = `Isolate ($${Config.COMPROMISE.ISOLATE_COST})`;
+        isolateBtn.disabled = this.towersLocked || isolated ||
+            lm.getMoney() < Config.COMPROMISE.ISOLATE_COST;
+
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Detection confusion matrix: the last finished wave in endless modes,
+     * running totals otherwise (hidden until a tower has judged a packet)
+     */
+    updateConfusionPanel() {
+        const panel = document.getElementById('confusion-panel');
+        const matrix = document.getElementById('confusion-matrix');
+        if (!panel || !matrix) return;
+
+        const lastWave = this.simulation.lastWaveConfusion;
+        const confusion = lastWave || this.simulation.confusion;
+        const { tp, fn, fp, tn } = confusion;
+        panel.classList.toggle('hidden', tp + fn + fp + tn === 0);
+
+        document.getElementById('confusion-title').textContent =
+            lastWave ? `Detection · Wave ${this.levelManager.wave - 1}` : 'Detection';
+
+        matrix.innerHTML = `
+            <span></span><span>Flagged</span><span>Passed</span>
+            <span class="label">Threat</span>
+            <span class="cell correct" title="True positives">${tp}</span>
+            <span class="cell error" title="False negatives (missed threats)">${fn}</span>
+            <span class="label">Legit</span>
+            <span class="cell error" title="False positives (legitimate traffic flagged)">${fp}</span>
+            <span class="cell correct" title="True negatives">${tn}</span>
+        `;
+    }
+
+    /**
+     * List this level's enemy types and what makes each one different
+     */
+    updateEnemyLegend() {
+        const legend = document.getElementById('enemy-legend');
+        if (!legend) return;
+
+        const types = [...this.levelManager.level.enemyTypes];
+        if (this.levelManager.level.legitimateRatio > 0 && !types.includes('LEGITIMATE')) {
+            types.push('LEGITIMATE');
+        }
+        (this.levelManager.level.bosses || []).forEach(type => types.push(type));
+
+        legend.innerHTML = types.map(type => {
+            const config = Config.ENEMIES[type];
+            return `
+                <div class="legend-item">
+                    <div class="legend-color" style="background: ${config.color}"></div>
+                    <div><strong>${type}</strong> · ${config.description}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Synergy lines for the tower context panel (lit while linked to a partner)
+     */
+    renderSynergyStats(tower) {
+        return Tower.getSynergiesOf(tower.type).map(synergy => {
+            const other = synergy.tower === tower.type ? synergy.partner : synergy.tower;
+            const active = tower.synergies.some(link => link.synergy === synergy);
+
+            return `<p class="synergy ${active ? 'active' : ''}" title="${synergy.description}">
+                ${synergy.name} (${other}): <span>${active ? 'Linked' : 'Not linked'}</span></p>`;
+        }).join('');
     }
 
     /**
@@ -606,18 +1496,20 @@ export class PlayingState {
         const menu = document.getElementById('tower-menu');
         if (!menu) return;
 
-        const available = this.levelManager.level.towersAvailable;
+        const available = this.levelManager.getTowersAvailable();
         const money = this.levelManager.getMoney();
 
         menu.innerHTML = available.map((type, index) => {
             const config = Config.TOWERS[type];
             const canAfford = money >= config.cost;
             const selected = type === this.selectedTowerType;
-            const hotkey = ['Q', 'W', 'E', 'R'][index];
+            const hotkey = (Config.TOWER_HOTKEYS[index] || '').replace('Key', '');
+            const tooltip = [config.description, ...Tower.getSynergiesOf(type)
+                .map(synergy => `Synergy · ${synergy.name}: ${synergy.description}`)].join('\n');
 
             return `
                 <button class="tower-btn ${selected ? 'selected' : ''} ${!canAfford || this.towersLocked ? 'disabled' : ''}"
-                        data-tower="${type}">
+                        data-tower="${type}" title="${tooltip}">
                     <div class="tower-icon" style="background: ${config.color}">
                         ${type[0]}
                     </div>
@@ -634,9 +1526,7 @@ export class PlayingState {
         menu.querySelectorAll('.tower-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 if (this.towersLocked) return;
-                const type = btn.dataset.tower;
-                this.selectedTowerType = type;
-                this.updateTowerMenu();
+                this.selectTowerType(btn.dataset.tower);
             });
         });
 
@@ -662,7 +1552,7 @@ export class PlayingState {
             this.handleStackelbergComplete({
                 score: this.levelManager.score,
                 analysis: this.levelManager.aiAnalysis,
-                survived: this.coreHealth > 0,
+                survived: !this.levelManager.isCoreLost(),
                 defenseRating: this.levelManager.getDefenseRating(),
                 level: this.levelManager.level.id
             });
@@ -684,7 +1574,10 @@ export class PlayingState {
             `<div style="font-size: 1.4em; margin-bottom: 10px;">${stars}</div>` +
             `<div style="margin-bottom: 10px;">Best: ${bestStars}</div>` +
             `Success Rate: ${this.levelManager.calculateSuccessRate().toFixed(1)}%<br>` +
-            `Score: ${this.levelManager.score}`;
+            this.getSlaHtml() +
+            this.getConfusionHtml() +
+            `Score: ${this.levelManager.score}` +
+            this.getSeedHtml();
 
         // Hide resume button for completion
         const resumeBtn = document.getElementById('btn-resume');
@@ -724,8 +1617,9 @@ export class PlayingState {
         // Show failure dialog
         const dialog = document.getElementById('dialog-overlay');
         document.getElementById('dialog-title').textContent = 'Core Breached!';
-        document.getElementById('dialog-message').textContent =
-            'Your network has been compromised. Try again!';
+        document.getElementById('dialog-message').innerHTML =
+            'Your network has been compromised. Try again!' +
+            this.getSeedHtml();
 
         // Hide resume button for game over
         const resumeBtn = document.getElementById('btn-resume');
@@ -770,6 +1664,7 @@ export class PlayingState {
 
     /**
      * Handle topology switch (Level 2)
+     * The simulation has already liquidated the towers on the old network
      */
     handleTopologySwitch(data) {
         console.log(`Topology switched: ${data.from} → ${data.to}`);
@@ -783,27 +1678,14 @@ export class PlayingState {
             <p>Topology: ${data.to}</p>
         `;
 
-        // Refund all towers
-        let refundAmount = 0;
-        this.towers.forEach(tower => {
-            // Get sell value or default to full cost if not strictly defined (though Tower.js has getSellValue)
-            refundAmount += tower.getSellValue ? tower.getSellValue() : tower.config.cost * 0.7;
-        });
-
-        if (refundAmount > 0) {
-            this.levelManager.addMoney(refundAmount);
+        if (data.refund > 0) {
             // Append refund info to notification
             const refundMsg = document.createElement('p');
             refundMsg.style.color = '#4c9eff'; // Success/Info color
-            refundMsg.innerText = `Assets liquidated: +$${Math.floor(refundAmount)} refunded`;
+            refundMsg.innerText = `Assets liquidated: +$${Math.floor(data.refund)} refunded`;
             notification.appendChild(refundMsg);
-
-            console.log(`Refunded ${this.towers.length} towers for $${refundAmount}`);
         }
 
-        // Clear towers
-        this.towers = [];
-
         document.getElementById('game-container').appendChild(notification);
 
         // Auto-remove after 5 seconds
@@ -815,28 +1697,21 @@ export class PlayingState {
 
         // Update HUD in case stats changed
         this.updateHUD();
+        this.updateTowerMenu();
     }
 
     /**
-     * Override wave complete for adaptive levels
+     * Handle the start of a new endless wave
      */
-    onWaveComplete() {
-        if (!this.levelManager) return;
-
-        const waveResult = {
-            blocked: this.levelManager.packetsBlocked,
-            leaked: this.levelManager.packetsLeaked,
-            successRate: this.levelManager.calculateSuccessRate()
-        };
-
-        console.log(`[Wave] Wave ${this.levelManager.wave} complete. Blocked: ${waveResult.blocked}, Leaked: ${waveResult.leaked}`);
-
-        // Call adaptive manager's wave complete (this increments the wave)
-        if (this.levelManager.onWaveComplete) {
-            this.levelManager.onWaveComplete(this.towers, waveResult);
-        }
+    handleWaveStarted(data) {
+        // Update HUD to show new wave number
+        this.updateHUD();
 
-        console.log(`[Wave] After onWaveComplete, wave is now ${this.levelManager.wave}`);
+        const confusion = data.confusion;
+        const report = confusion && (confusion.fn + confusion.fp) > 0
+            ? ` Last wave: ${confusion.fn} threats missed, ${confusion.fp} false positives.`
+            : '';
+        this.showAITip(`Wave ${data.wave} starting!${report}`);
     }
 
     /**
@@ -852,11 +1727,21 @@ export class PlayingState {
     handlePhaseChange(data) {
         console.log(`Phase: ${data.phase} - ${data.message}`);
         this.towersLocked = !data.canPlaceTowers;
+        this.updateCommitmentMenu();
 
         // Show phase notification
         this.showAITip(`Phase: ${data.phase.toUpperCase()} - ${data.message}`);
     }
 
+    /**
+     * Mixed commitment battle round drawn (Level 3)
+     */
+    handleBattleRound(data) {
+        const placements = data.placements.map(({ type, node }) => `${Config.TOWERS[type].symbol} ${node}`).join(' · ');
+        this.showAITip(`Round ${data.round}/${data.rounds}: the attacker chose ${data.threat || 'its attack'}, then your patrols drew ${placements || 'no towers'}.`);
+        this.updateTowerPanel();
+    }
+
     /**
      * Handle phase timer (Level 3)
      */
@@ -897,6 +1782,9 @@ export class PlayingState {
             analysisHtml += '</ul></div>';
         }
 
+        analysisHtml += this.getEquilibriumHtml(data.analysis?.analysis);
+        analysisHtml += this.getRoundsHtml();
+
         // Cost Efficiency Report (NEW)
         if (this.levelManager.analyzeCostEfficiency) {
             const costData = this.levelManager.analyzeCostEfficiency();
@@ -924,11 +1812,92 @@ export class PlayingState {
         }
 
         analysisHtml += `<div style="margin-top: 15px; font-weight: bold; font-size: 1.4em;">Score: ${data.score}</div>`;
+        analysisHtml += this.getSeedHtml();
 
         document.getElementById('dialog-message').innerHTML = analysisHtml;
         dialog?.classList.remove('hidden');
     }
 
+    /**
+     * Level 3 results: the committed defense against the security game's equilibrium
+     * @param {Object} analysis - PerfectAI analysis (equilibrium and commitment)
+     */
+    getEquilibriumHtml(analysis) {
+        const equilibrium = analysis?.equilibrium;
+        const commitment = analysis?.commitment;
+        if (!equilibrium || !commitment) return '';
+
+        const gap = commitment.utilityGap;
+        const coverage = Object.entries(equilibrium.coverage).map(([nodeIndex, byType]) => {
+            const shares = Object.entries(byType)
+                .filter(([, probability]) => probability > 0)
+                .map(([type, probability]) => `${type} ${Math.round(probability * 100)}%`);
+            return `<li>Node ${nodeIndex}: ${shares.length > 0 ? shares.join(' · ') : 'empty'}</li>`;
+        }).join('');
+
+        return '<div style="background: rgba(150, 100, 255, 0.1); padding: 15px; border-radius: 8px; margin-bottom: 20px; text-align: left; border-left: 4px solid #b794f4;">' +
+            '<h4 style="margin: 0 0 10px 0; color: #b794f4;">⚖️ Stackelberg Equilibrium:</h4>' +
+            `<div style="font-size: 0.9em; margin-bottom: 6px;">The attacker's best answer to your towers: ${commitment.threat} via ${commitment.route.join(' → ')} ` +
+            `(${Math.round(commitment.stopped * 100)}% stopped)</div>` +
+            `<div style="font-size: 0.9em; margin-bottom: 6px;">Your ${this.levelManager.commitmentMode === 'mixed' ? 'expected ' : ''}utility: ${commitment.defenderUtility.toFixed(2)} · ` +
+            `equilibrium: ${equilibrium.defenderUtility.toFixed(2)} · ` +
+            (gap > 0.005 ? `<strong>${gap.toFixed(2)} short of optimal</strong>` : '<strong>optimal</strong>') + '</div>' +
+            `<div style="font-size: 0.9em; margin-bottom: 6px;">Coverage distance from the equilibrium: ${commitment.coverageDistance.toFixed(2)}</div>` +
+            '<div style="font-size: 0.85em; opacity: 0.8;">Equilibrium coverage (how often the best mix holds each chokepoint):</div>' +
+            `<ul style="margin: 4px 0 0 0; padding-left: 20px; font-size: 0.85em;">${coverage}</ul>` +
+            '</div>';
+    }
+
+    /**
+     * Level 3 mixed commitments: what each battle round drew, and how it went
+     */
+    getRoundsHtml() {
+        const lm = this.levelManager;
+        if (lm.commitmentMode !== 'mixed' || !lm.rounds?.length) return '';
+
+        const rows = lm.rounds.map(({ round, placements, blocked, leaked }) => {
+            const drawn = placements.map(({ type, node }) => `${type} ${node}`).join(' · ') || 'no towers';
+            return `<li>Round ${round}: ${drawn} — ${blocked} blocked, ${leaked} leaked</li>`;
+        }).join('');
+
+        return '<div style="background: rgba(150, 100, 255, 0.1); padding: 15px; border-radius: 8px; margin-bottom: 20px; text-align: left; border-left: 4px solid #b794f4;">' +
+            '<h4 style="margin: 0 0 10px 0; color: #b794f4;">🎲 Mixed Commitment Rounds:</h4>' +
+            '<div style="font-size: 0.9em; margin-bottom: 6px;">Scored on expected utility over the patrols, not on these draws.</div>' +
+            `<ul style="margin: 4px 0 0 0; padding-left: 20px; font-size: 0.85em;">${rows}</ul>` +
+            '</div>';
+    }
+
+    /**
+     * Availability line for results dialogs (levels with legitimate traffic)
+     */
+    getSlaHtml() {
+        const lm = this.levelManager;
+        if (!lm.hasSla()) return '';
+
+        const { served, late, slowed, diverted, dropped } = lm.sla;
+        const penalty = lm.getSlaPenalty();
+        return `Availability: ${lm.getAvailability().toFixed(1)}% ` +
+            `<span style="opacity: 0.7;">(${served - dropped} delivered · ${dropped} dropped · ${late} late · ${slowed} slowed · ${diverted} diverted)</span><br>` +
+            (penalty > 0 ? `<span style="color: #ffa502;">SLA missed: −${penalty}⭐</span><br>` : '');
+    }
+
+    /**
+     * Detection totals for results dialogs
+     */
+    getConfusionHtml() {
+        const { tp, fn, fp, tn } = this.simulation.confusion;
+        if (tp + fn + fp + tn === 0) return '';
+
+        return `Detection: ${tp} caught · ${fn} missed · ${fp} false positives · ${tn} passed<br>`;
+    }
+
+    /**
+     * Seed line for results dialogs, so a match can be replayed
+     */
+    getSeedHtml() {
+        return `<div style="margin-top: 10px; font-size: 0.85em; opacity: 0.7;">Seed: ${this.simulation.seed}</div>`;
+    }
+
     /**
      * Handle economic topology rotation (Level 4)
      */
@@ -941,7 +1910,7 @@ export class PlayingState {
      * Handle RL learning update (Level 4)
      */
     handleRLUpdate(data) {
-        console.log(`RL: State=${data.state}, Action=${data.action}, Reward=${data.reward}`);
+        console.log(`RL: Action=${data.action}, Reward=${data.reward}, Q=${data.qValue.toFixed(2)}`);
     }
 
     /**
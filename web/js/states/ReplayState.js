@@ -0,0 +1,285 @@
+/**
+ * REPLAY_STATE.JS - Replay Playback State
+ * Plays a recorded match back through the simulation with scrub,
+ * speed and jump-to-wave controls. Reuses PlayingState rendering.
+ */
+
+import PlayingState from './PlayingState.js';
+import { ReplayPlayer } from '../gameplay/Replay.js';
+import eventBus from '../core/EventBus.js';
+
+const SPEEDS = [1, 2, 4];
+
+export class ReplayState extends PlayingState {
+    constructor() {
+        super();
+        this.player = null;
+        this.speed = 1;
+        this.playing = false;
+        this.endShown = false;
+        this.scrubbing = false;
+
+        // Control handlers (kept so exit can remove them)
+        this.onPlayClick = () => this.togglePlay();
+        this.onSpeedClick = (e) => this.setSpeed(parseInt(e.currentTarget.dataset.speed));
+        this.onScrubInput = (e) => {
+            this.scrubbing = true;
+            this.updateTimeLabel(parseInt(e.target.value));
+        };
+        this.onScrubChange = (e) => {
+            this.scrubbing = false;
+            this.seek(parseInt(e.target.value));
+        };
+        this.onJumpClick = () => this.jumpToWave(parseInt(document.getElementById('replay-wave').value));
+    }
+
+    enter(data) {
+        console.log('Entering Replay State', data.replay);
+
+        this.settings = data.settings;
+        this.player = new ReplayPlayer(data.replay);
+        this.syncFromPlayer();
+
+        this.hoveredNode = null;
+        this.paused = false;
+        this.towersLocked = true; // Read-only: tower menu only shows the player's selection
+        this.speed = 1;
+        this.playing = true;
+        this.endShown = false;
+        this.scrubbing = false;
+
+        this.subscriptions = [
+            eventBus.on('keyDown', this.onKeyDown),
+            eventBus.on('togglePause', this.onTogglePause),
+            eventBus.on('restartLevel', this.onRestart)
+        ];
+
+        // Controls
+        const controls = document.getElementById('replay-controls');
+        controls?.classList.remove('hidden');
+        document.getElementById('replay-play')?.addEventListener('click', this.onPlayClick);
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.addEventListener('click', this.onSpeedClick);
+        });
+        const scrub = document.getElementById('replay-scrub');
+        if (scrub) {
+            scrub.max = data.replay.ticks;
+            scrub.addEventListener('input', this.onScrubInput);
+            scrub.addEventListener('change', this.onScrubChange);
+        }
+        document.getElementById('replay-jump')?.addEventListener('click', this.onJumpClick);
+
+        document.getElementById('dialog-overlay')?.classList.add('hidden');
+        const resumeBtn = document.getElementById('btn-resume');
+        if (resumeBtn) resumeBtn.style.display = 'block';
+
+        this.setSpeed(1);
+        this.updateHUD();
+        this.updateTowerMenu();
+        this.updateEnemyLegend();
+        this.updateControls();
+
+        console.log(`Replaying level ${data.replay.level} (seed ${data.replay.seed})`);
+    }
+
+    exit() {
+        console.log('Exiting Replay State');
+
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+
+        document.getElementById('replay-controls')?.classList.add('hidden');
+        document.getElementById('replay-play')?.removeEventListener('click', this.onPlayClick);
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.removeEventListener('click', this.onSpeedClick);
+        });
+        const scrub = document.getElementById('replay-scrub');
+        scrub?.removeEventListener('input', this.onScrubInput);
+        scrub?.removeEventListener('change', this.onScrubChange);
+        document.getElementById('replay-jump')?.removeEventListener('click', this.onJumpClick);
+
+        this.player = null;
+    }
+
+    update(deltaTime) {
+        if (!this.playing) return;
+
+        this.player.advance(deltaTime * this.speed);
+        this.syncFromPlayer();
+        this.updateHUD();
+        this.updateControls();
+
+        if (this.player.isAtEnd()) {
+            this.playing = false;
+            this.updateControls();
+            this.showReplayEnd();
+        }
+    }
+
+    render(ctx) {
+        super.render(ctx);
+
+        // Playback badge
+        const label = this.player.playerPaused ? 'REPLAY · player paused' : `REPLAY ${this.speed}x`;
+        ctx.save();
+        ctx.fillStyle = 'rgba(76, 158, 255, 0.9)';
+        ctx.font = 'bold 14px Inter';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.fillText(label, 20, 80);
+        ctx.restore();
+    }
+
+    /**
+     * Mirror the player's current simulation into the PlayingState fields
+     */
+    syncFromPlayer() {
+        const previousLevelManager = this.levelManager;
+
+        this.simulation = this.player.simulation;
+        this.levelManager = this.player.levelManager;
+
+        if (this.selectedTowerType !== this.player.selectedTowerType ||
+            this.levelManager !== previousLevelManager) {
+            this.selectedTowerType = this.player.selectedTowerType;
+            this.updateTowerMenu();
+        }
+    }
+
+    /**
+     * Space toggles playback
+     */
+    handleKeyDown(data) {
+        if (data.code === 'Space') {
+            this.togglePlay();
+        }
+    }
+
+    /**
+     * Pause button and dialog resume toggle playback
+     */
+    handleTogglePause() {
+        document.getElementById('dialog-overlay')?.classList.add('hidden');
+        this.togglePlay();
+    }
+
+    /**
+     * Restart plays the recording again from the start
+     */
+    handleRestart() {
+        document.getElementById('dialog-overlay')?.classList.add('hidden');
+        this.seek(0);
+        this.playing = true;
+        this.updateControls();
+    }
+
+    togglePlay() {
+        if (!this.playing && this.player.isAtEnd()) {
+            this.player.reset();
+            this.endShown = false;
+            this.syncFromPlayer();
+        }
+
+        this.playing = !this.playing;
+        this.updateControls();
+    }
+
+    setSpeed(speed) {
+        if (!SPEEDS.includes(speed)) return;
+
+        this.speed = speed;
+        document.querySelectorAll('.replay-speed').forEach(btn => {
+            btn.classList.toggle('selected', parseInt(btn.dataset.speed) === speed);
+        });
+    }
+
+    /**
+     * Scrub to a tick
+     */
+    seek(tick) {
+        this.player.seek(tick);
+        this.endShown = false;
+        this.afterJump();
+    }
+
+    /**
+     * Jump to the start of a wave
+     */
+    jumpToWave(wave) {
+        if (Number.isNaN(wave)) return;
+
+        this.player.seekWave(wave);
+        this.endShown = false;
+        this.afterJump();
+    }
+
+    afterJump() {
+        this.syncFromPlayer();
+        this.updateHUD();
+        this.updateTowerMenu();
+        this.updateControls();
+    }
+
+    /**
+     * Sync scrub bar, play button and time label with playback
+     */
+    updateControls() {
+        const tick = this.simulation.tick;
+
+        const scrub = document.getElementById('replay-scrub');
+        if (scrub && !this.scrubbing) {
+            scrub.value = tick;
+        }
+
+        const playBtn = document.getElementById('replay-play');
+        if (playBtn) playBtn.textContent = this.playing ? '⏸' : '▶';
+
+        this.updateTimeLabel(tick);
+    }
+
+    updateTimeLabel(tick) {
+        const label = document.getElementById('replay-time');
+        if (!label) return;
+
+        const tickMs = this.simulation.tickMs;
+        label.textContent = `${this.formatTime(tick * tickMs)} / ${this.formatTime(this.player.replay.ticks * tickMs)}`;
+    }
+
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Summarize playback and check it against the recorded result
+     */
+    showReplayEnd() {
+        if (this.endShown) return;
+        this.endShown = true;
+
+        const result = this.simulation.getResult();
+        const matches = this.player.matchesRecording();
+
+        let verdict = 'No recorded result to compare against.';
+        if (matches === true) {
+            verdict = '✓ Playback matches the recorded result.';
+        } else if (matches === false) {
+            verdict = '⚠ Playback diverged from the recorded result.';
+        }
+
+        document.getElementById('dialog-title').textContent = 'Replay Finished';
+        document.getElementById('dialog-message').innerHTML =
+            `Outcome: ${result.outcome}<br>` +
+            `Success Rate: ${result.successRate.toFixed(1)}%<br>` +
+            `Score: ${result.score}` +
+            `<div style="margin-top: 10px;">${verdict}</div>` +
+            this.getSeedHtml();
+
+        const resumeBtn = document.getElementById('btn-resume');
+        if (resumeBtn) resumeBtn.style.display = 'none';
+
+        document.getElementById('dialog-overlay')?.classList.remove('hidden');
+    }
+}
+
+export default ReplayState;
@@ -4,6 +4,7 @@ import Enemy from '../entities/Enemy.js';
 import Graphics from '../utils/Graphics.js';
 import Config from '../utils/Config.js';
 import eventBus from '../core/EventBus.js';
+import Random from '../core/Random.js';
 
 export class TutorialState {
     constructor() {
@@ -39,6 +40,12 @@ export class TutorialState {
                 condition: () => this.towers.some(t => t.type === 'Honeypot'),
                 hint: "Place a Honeypot to divert traffic."
             },
+            {
+                title: "Specialist Towers",
+                message: "Specialists cover what the basics miss. A Sandbox detains ENCRYPTED packets, then decrypts and blocks them. A WAF hits BASIC and ADAPTIVE exploits hard. A Rate Limiter throttles everything in range once traffic bunches up. A SIEM deals no damage, but towers in its range miss fewer threats and flag less legitimate traffic.",
+                condition: () => this.towers.some(t => t.config.counters || t.config.behavior === 'aura'),
+                hint: "Place a Sandbox, WAF, Rate Limiter or SIEM."
+            },
             {
                 title: "Mastery Complete",
                 message: "You're ready! Protect the goal at all costs. Good luck, Commander.",
@@ -51,10 +58,11 @@ export class TutorialState {
         this.onCanvasMouseMove = this.handleCanvasMouseMove.bind(this);
     }
 
-    enter() {
+    enter(data = {}) {
         console.log('Entering Tutorial State (V2)');
         const tutConfig = Config.LEVELS.find(l => l.id === 'tutorial');
-        this.levelManager = new LevelManager(tutConfig);
+        const rng = new Random(data.seed ?? Random.generateSeed());
+        this.levelManager = new LevelManager(tutConfig, 'normal', rng);
         this.towers = [];
         this.enemies = [];
         this.currentStep = 0;
@@ -109,7 +117,9 @@ export class TutorialState {
             }
         }
 
-        // Update towers
+        // Update towers (SIEMs boost their neighbours and synergies link up first)
+        Tower.applyAuras(this.towers);
+        Tower.applySynergies(this.towers);
         this.towers.forEach(t => t.update(deltaTime, this.enemies));
 
         // Update enemies
@@ -174,7 +184,7 @@ export class TutorialState {
         if (healthEl) healthEl.textContent = `${lm.coreHealth}%`;
 
         const waveEl = document.getElementById('hud-wave');
-        if (waveEl) waveEl.textContent = `Tutorial | Step ${this.currentStep + 1}/5`;
+        if (waveEl) waveEl.textContent = `Tutorial | Step ${this.currentStep + 1}/${this.steps.length}`;
 
         const successEl = document.getElementById('hud-success');
         if (successEl) successEl.textContent = `${lm.calculateSuccessRate().toFixed(0)}%`;
@@ -184,18 +194,18 @@ export class TutorialState {
         const menu = document.getElementById('tower-menu');
         if (!menu) return;
 
-        const available = ['Firewall', 'IDS', 'Honeypot'];
+        const available = this.levelManager.getTowersAvailable();
         const money = this.levelManager.getMoney();
 
         menu.innerHTML = available.map((type, index) => {
             const config = Config.TOWERS[type];
             const canAfford = money >= config.cost;
             const selected = type === this.selectedTowerType;
-            const hotkey = ['Q', 'W', 'E', 'R'][index];
+            const hotkey = (Config.TOWER_HOTKEYS[index] || '').replace('Key', '');
 
             return `
                 <button class="tower-btn ${selected ? 'selected' : ''} ${!canAfford ? 'disabled' : ''}"
-                        data-tower="${type}">
+                        data-tower="${type}" title="${config.description}">
                     <div class="tower-icon" style="background: ${config.color}">
                         ${type[0]}
                     </div>
@@ -257,6 +267,7 @@ export class TutorialState {
         this.renderNetwork(ctx);
 
         // Render towers/enemies
+        this.towers.forEach(t => t.renderSynergies(ctx));
         this.towers.forEach(t => t.render(ctx));
         this.enemies.forEach(e => e.render(ctx));
 
@@ -307,7 +318,7 @@ export class TutorialState {
             const node = this.levelManager.nodes[this.hoveredNode];
             if (this.towers.some(t => Math.hypot(t.x - node.x, t.y - node.y) < 10)) return;
 
-            const tower = new Tower(node.x, node.y, this.selectedTowerType, this.levelManager.nodes);
+            const tower = new Tower(node.x, node.y, this.selectedTowerType, this.levelManager.nodes, this.levelManager.rng);
             this.towers.push(tower);
 
             // Spend money
@@ -319,6 +330,7 @@ export class TutorialState {
             if (this.currentStep === 0) this.currentStep = 1;
             if (this.currentStep === 2) this.selectedTowerType = 'IDS';
             if (this.currentStep === 3) this.selectedTowerType = 'Honeypot';
+            if (this.currentStep === 4) this.selectedTowerType = 'Sandbox';
 
             this.updateTowerMenu();
         }
@@ -337,10 +349,11 @@ export class TutorialState {
 
     spawnEnemy() {
         const types = this.currentStep >= 3 ? ['BASIC', 'STEALTH'] : ['BASIC'];
-        const type = types[Math.floor(Math.random() * types.length)];
+        const rng = this.levelManager.rng;
+        const type = rng.pick(types);
         const path = this.levelManager.getRandomPath();
         if (path) {
-            this.enemies.push(new Enemy(type, path, this.levelManager.nodes, this.levelManager.edges));
+            this.enemies.push(new Enemy(type, path, this.levelManager.nodes, this.levelManager.edges, rng));
             this.levelManager.incrementPacketsSpawned();
         }
     }
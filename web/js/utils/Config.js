@@ -12,6 +12,13 @@ export const Config = {
     CANVAS_HEIGHT: 700,
     FPS: 60,
 
+    // Headless Simulation
+    SIMULATION: {
+        TICK_MS: 16,              // Fixed timestep (speeds are tuned per 16ms)
+        ENDLESS_WAVE_SIZE: 15,    // Generated endless wave size (levels set a waveSize curve)
+        MAX_TICKS: 60 * 60 * 30   // Batch safety cap (~30 minutes of play)
+    },
+
     // Difficulty Modifiers
     DIFFICULTY: {
         EASY: {
@@ -35,6 +42,12 @@ export const Config = {
     },
 
     // Tower Configurations
+    // behavior picks the tower's logic in Tower.js: 'projectile' (shoots one target),
+    // 'attract' (pulls packets through its node), 'detain' (holds and inspects one packet),
+    // 'throttle' (area effect once traffic is dense) or 'aura' (boosts nearby towers).
+    // damageVs scales damage by enemy type or trait (e.g. stealthy), falling back to
+    // default, then 1. family is how the AIs read the tower when sizing up the
+    // defender's posture; counters lists enemy types it specializes against.
     TOWERS: {
         Firewall: {
             cost: 300,
@@ -44,9 +57,20 @@ export const Config = {
             maintenance: 10,
             color: '#50aaff',
             description: 'Blocks enemy packets except STEALTH',
+            behavior: 'projectile',
+            family: 'Firewall',
+            symbol: '🛡',
             effect: 'none',
+            damageVs: { stealthy: 0 },
             projectileSpeed: 8,
-            projectileColor: '#50aaff'
+            projectileColor: '#50aaff',
+            falsePositiveRate: 0.12, // Tight rules drop the most legitimate traffic
+            // Upgrade tiers bought in place (base stats above are tier 0)
+            tiers: [
+                { cost: 150, damage: 24, range: 130, cooldown: 680, maintenance: 14 },
+                { cost: 250, damage: 32, range: 140, cooldown: 600, maintenance: 19 },
+                { cost: 400, damage: 44, range: 155, cooldown: 500, maintenance: 26 }
+            ]
         },
         IDS: {
             cost: 140,
@@ -55,12 +79,25 @@ export const Config = {
             cooldown: 500,
             maintenance: 5,
             color: '#ffc832',
-            description: 'Blocks STEALTH \u0026 slows others',
+            description: 'Blocks STEALTH, decrypts \u0026 slows others',
+            behavior: 'projectile',
+            family: 'IDS',
+            symbol: '📡',
             effect: 'slow',
+            damageVs: { stealthy: 2.5, default: 0.5 },
+            seesStealth: true,
+            reveals: true, // Hits take STEALTH packets out of hiding
+            decrypts: true, // Deep packet inspection strips ENCRYPTED protection
             slowFactor: 0.6,
             slowDuration: 2000,
+            falsePositiveRate: 0.06, // Anomaly detection occasionally flags normal traffic
             projectileSpeed: 10,
-            projectileColor: '#ffc832'
+            projectileColor: '#ffc832',
+            tiers: [
+                { cost: 80, damage: 6, range: 165, cooldown: 450, maintenance: 7 },
+                { cost: 130, damage: 8, range: 180, cooldown: 400, maintenance: 10 },
+                { cost: 200, damage: 11, range: 200, cooldown: 340, maintenance: 14 }
+            ]
         },
         Honeypot: {
             cost: 140,
@@ -70,13 +107,182 @@ export const Config = {
             maintenance: 3,
             color: '#00d9ff',
             description: 'Pseudo goal - all packets take its path',
+            behavior: 'attract',
+            family: 'Honeypot',
+            symbol: '🍯',
             effect: 'attract',
             distractDuration: 3000, // Longer distraction time
+            falsePositiveRate: 0.05, // Flagged legitimate packets are diverted, not dropped
             projectileSpeed: 0, // No projectiles
-            projectileColor: '#00d9ff'
+            projectileColor: '#00d9ff',
+            tiers: [
+                { cost: 80, damage: 2, range: 270, cooldown: 180, maintenance: 5 },
+                { cost: 130, damage: 3, range: 290, cooldown: 160, maintenance: 7 },
+                { cost: 200, damage: 5, range: 320, cooldown: 140, maintenance: 10 }
+            ]
+        },
+        Sandbox: {
+            cost: 200,
+            damage: 30, // Dealt once inspection ends, after decryption
+            range: 110,
+            cooldown: 1500, // Inspection time per detained packet
+            maintenance: 8,
+            color: '#b07cff',
+            description: 'Detains ENCRYPTED packets, decrypts and blocks them',
+            behavior: 'detain',
+            family: 'IDS',
+            symbol: '📦',
+            effect: 'none',
+            encryptedOnly: true, // Only takes encrypted traffic (legitimate traffic is encrypted too)
+            decrypts: true,
+            damageVs: { encrypted: 1, default: 0 },
+            counters: ['ENCRYPTED'],
+            falsePositiveRate: 0.04, // Legitimate packets detained by mistake are delayed, not dropped
+            projectileSpeed: 0,
+            projectileColor: '#b07cff',
+            tiers: [
+                { cost: 100, damage: 38, range: 120, cooldown: 1300, maintenance: 11 },
+                { cost: 160, damage: 48, range: 130, cooldown: 1100, maintenance: 15 },
+                { cost: 240, damage: 62, range: 145, cooldown: 900, maintenance: 20 }
+            ]
+        },
+        WAF: {
+            cost: 180,
+            damage: 9,
+            range: 120,
+            cooldown: 600,
+            maintenance: 7,
+            color: '#ff6fae',
+            description: 'Web application firewall: heavy damage to BASIC and ADAPTIVE exploits',
+            behavior: 'projectile',
+            family: 'Firewall',
+            symbol: '🧱',
+            effect: 'none',
+            damageVs: { BASIC: 2.5, ADAPTIVE: 2.5, stealthy: 0 },
+            counters: ['BASIC', 'ADAPTIVE'],
+            falsePositiveRate: 0.08,
+            projectileSpeed: 9,
+            projectileColor: '#ff6fae',
+            tiers: [
+                { cost: 90, damage: 12, range: 130, cooldown: 560, maintenance: 10 },
+                { cost: 150, damage: 16, range: 140, cooldown: 500, maintenance: 13 },
+                { cost: 240, damage: 22, range: 155, cooldown: 440, maintenance: 18 }
+            ]
+        },
+        'Rate Limiter': {
+            cost: 160,
+            damage: 3, // Per throttle pulse, to every flagged packet in range
+            range: 130,
+            cooldown: 500,
+            maintenance: 6,
+            color: '#7ee081',
+            description: 'Throttles every packet in range once traffic gets dense',
+            behavior: 'throttle',
+            family: 'Firewall',
+            symbol: '⏱',
+            effect: 'slow',
+            densityThreshold: 3, // Packets in range before throttling kicks in
+            slowFactor: 0.4,
+            slowDuration: 800,
+            damageVs: { stealthy: 0 },
+            counters: ['FAST'],
+            falsePositiveRate: 0.1, // Legitimate packets caught in a burst are slowed, not dropped
+            projectileSpeed: 0,
+            projectileColor: '#7ee081',
+            tiers: [
+                { cost: 80, damage: 4, range: 140, cooldown: 450, maintenance: 8 },
+                { cost: 130, damage: 5, range: 150, cooldown: 400, maintenance: 11 },
+                { cost: 200, damage: 7, range: 165, cooldown: 350, maintenance: 15 }
+            ]
+        },
+        SIEM: {
+            cost: 220,
+            damage: 0,
+            range: 230, // Reaches the neighbouring chokepoints
+            cooldown: 1000,
+            maintenance: 9,
+            color: '#9aa7ff',
+            description: 'No damage; towers in range miss fewer threats and flag less legitimate traffic',
+            behavior: 'aura',
+            family: 'IDS',
+            symbol: '📊',
+            effect: 'none',
+            detectionBoost: 0.5, // Share of a covered tower's misses and false positives removed
+            projectileSpeed: 0,
+            projectileColor: '#9aa7ff',
+            tiers: [
+                { cost: 110, damage: 0, range: 250, cooldown: 1000, maintenance: 12, detectionBoost: 0.6 },
+                { cost: 170, damage: 0, range: 270, cooldown: 1000, maintenance: 15, detectionBoost: 0.7 },
+                { cost: 250, damage: 0, range: 300, cooldown: 1000, maintenance: 20, detectionBoost: 0.8 }
+            ]
+        }
+    },
+
+    // Tower menu hotkeys, by position in the level's tower list (LevelManager.getTowersAvailable)
+    TOWER_HOTKEYS: ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU'],
+
+    // Tower Synergies
+    // A tower is linked to a partner when their ranges overlap. While linked, its
+    // hits on packets matching `when` use the synergy's damageVs rules (over its
+    // own) and deal damageBonus extra. when: 'revealed' (STEALTH packet an IDS
+    // has exposed) or 'attracted' (partner Honeypot is pulling it in)
+    SYNERGIES: {
+        REVEAL_AND_STRIKE: {
+            name: 'Reveal & Strike',
+            tower: 'Firewall',
+            partner: 'IDS',
+            when: 'revealed',
+            damageVs: { stealthy: 1 },
+            description: 'Firewall hits STEALTH packets once an IDS has revealed them'
+        },
+        HONEYPOT_AMBUSH: {
+            name: 'Honeypot Ambush',
+            tower: 'Firewall',
+            partner: 'Honeypot',
+            when: 'attracted',
+            damageBonus: 0.5,
+            description: 'Firewall deals +50% damage to packets a Honeypot is luring in'
         }
     },
 
+    // Tower Targeting Policies (hotkeys work while a tower's context panel is open)
+    TARGETING: {
+        DEFAULT: 'nearest',
+        FOCUS_WEIGHT: 0.5, // How strongly the AIs avoid enemy types the defense focuses on
+        MODES: {
+            nearest: { label: 'Nearest', hotkey: 'Digit1', focus: [] },
+            first: { label: 'First', hotkey: 'Digit2', focus: [] }, // Furthest along its path
+            last: { label: 'Last', hotkey: 'Digit3', focus: [] },
+            strongest: { label: 'Strongest', hotkey: 'Digit4', focus: ['TANK'] },
+            weakest: { label: 'Weakest', hotkey: 'Digit5', focus: ['FAST', 'STEALTH'] },
+            fastest: { label: 'Fastest', hotkey: 'Digit6', focus: ['FAST'] },
+            stealth: { label: 'Stealth First', hotkey: 'Digit7', focus: ['STEALTH'] }
+        }
+    },
+
+    // Node Compromise (levels with compromise: true)
+    // A compromised node is an attacker foothold: threats can pivot from it to any
+    // goal, and a tower standing on it is knocked offline
+    COMPROMISE: {
+        CLEAN_COST: 200,   // Restore the node (also lifts isolation)
+        ISOLATE_COST: 60,  // Cut the node off the network until it is cleaned
+        PIVOT_CHANCE: 0.35 // Share of threats that start from a foothold when there is one
+    },
+
+    // Network Segmentation (VLAN/ACL change that takes a link out of service)
+    SEGMENTATION: {
+        CUT_COST: 80,
+        COOLDOWN: 8000 // ms before another link can be cut (restoring is free)
+    },
+
+    // Detection Tuning (per-tower slider: 0 = permissive, 1 = strict)
+    // Strict rules catch every threat but flag legitimate packets at the tower's
+    // falsePositiveRate; permissive rules flag nothing legitimate but miss threats
+    DETECTION: {
+        DEFAULT_TUNING: 1,
+        MISS_AT_PERMISSIVE: 0.5 // Share of threats a fully permissive tower lets through
+    },
+
     // Enemy Configurations
     ENEMIES: {
         BASIC: {
@@ -85,6 +291,7 @@ export const Config = {
             color: '#ff3232',
             size: 8,
             reward: 15,
+            floods: true, // Can arrive as a DDoS burst (level floodChance)
             description: 'Standard threat'
         },
         FAST: {
@@ -93,6 +300,7 @@ export const Config = {
             color: '#ff9632',
             size: 7,
             reward: 20,
+            floods: true,
             description: 'Quick mover'
         },
         TANK: {
@@ -109,8 +317,9 @@ export const Config = {
             color: '#646464',
             size: 7,
             reward: 30,
-            description: 'Invisible to most towers',
-            stealthy: true
+            description: 'Invisible to most towers, compromises nodes it dwells on',
+            stealthy: true,
+            dwellTime: 2000 // Time spent on a node to compromise it (levels with compromise enabled)
         },
         ENCRYPTED: {
             health: 25,
@@ -118,7 +327,9 @@ export const Config = {
             color: '#0078c8',
             size: 9,
             reward: 25,
-            description: 'Resistant to damage'
+            description: 'Resists damage until an IDS decrypts it',
+            encrypted: true,
+            encryptedDamageMultiplier: 0.4 // Damage taken while still encrypted
         },
         ADAPTIVE: {
             health: 30,
@@ -126,7 +337,71 @@ export const Config = {
             color: '#00bcd4',
             size: 10,
             reward: 40,
-            description: 'Learns and adapts'
+            description: 'Resists the tower type hitting it most, routes around towers it has seen',
+            adaptive: true,
+            adaptRate: 0.8, // Resistance gained per max health of damage from one tower type
+            adaptMaxResistance: 0.6,
+            adaptAvoidCost: 300 // Extra path cost per seen tower covering a node
+        },
+        // Bosses (levels with bossEvery: N send one every Nth wave, on top of the wave)
+        // boss: title, warning banner and the real-world threat shown as an AI tip
+        APT: {
+            health: 320,
+            speed: 0.6,
+            color: '#8e44ad',
+            size: 16,
+            reward: 200,
+            description: 'Slow, stealthy and patient: re-plans its route around every tower it spots',
+            stealthy: true,
+            avoidsTowers: true, // Routes around the coverage of towers within scanRange
+            scanRange: 200,
+            adaptAvoidCost: 600,
+            breachDamage: 40,
+            boss: {
+                title: 'Advanced Persistent Threat',
+                warning: 'A state-sponsored intruder is slipping into the network',
+                briefing: 'APTs are well-funded groups that stay hidden for months, quietly mapping ' +
+                    'defenses and working around them. Only an IDS can see it - reveal it and focus fire.'
+            }
+        },
+        BOTNET: {
+            health: 220,
+            speed: 1.0,
+            color: '#ff7043',
+            size: 18,
+            reward: 150,
+            description: 'Swarm controller: splits into FAST bots when destroyed',
+            splitInto: 'FAST', // Spawned where it dies, continuing its route
+            splitCount: 10,
+            breachDamage: 40,
+            boss: {
+                title: 'Botnet Swarm',
+                warning: 'A botnet controller is marshalling thousands of infected hosts',
+                briefing: 'Botnets are networks of hijacked machines steered from one command server. ' +
+                    'Taking the controller down scatters its bots - have area defenses ready behind it.'
+            }
+        },
+
+        // Kill-chain campaign stages (Config.CAMPAIGNS); never part of a level's random mix
+        RECON: {
+            health: 10,
+            speed: 3.0,
+            color: '#e0e070',
+            size: 6,
+            reward: 25,
+            description: 'Maps tower positions and reports them if it gets through',
+            scanRange: 180, // Towers this close are reported back to the attacker
+            breachDamage: 0 // A probe: reaching the goal only delivers its report
+        },
+        EXFIL: {
+            health: 22,
+            speed: 2.2,
+            color: '#ff5cf0',
+            size: 8,
+            reward: 35,
+            description: 'Carries stolen data from a breached asset back out to a source',
+            exfiltrates: true, // Travels goal → source; getting out damages the asset it left
+            breachDamage: 20
         },
         LEGITIMATE: {
             health: Infinity,
@@ -139,6 +414,34 @@ export const Config = {
         }
     },
 
+    // Attack Campaigns (levels opt in with campaign: <key>)
+    // A campaign runs its stages in order. Each stage's packets spawn `spacing` ms
+    // apart; once all are resolved, the next stage starts if any got through,
+    // otherwise the campaign is foiled. route: 'random' (any source → goal),
+    // 'weakest' (the path the towers reported by recon cover least) or 'outbound'
+    // (from an asset the previous stage breached back to a source)
+    CAMPAIGNS: {
+        KILL_CHAIN: {
+            name: 'Kill Chain',
+            start: 20000,    // ms into the match before the first campaign
+            interval: 45000, // ms from one campaign ending to the next launching
+            stages: [
+                {
+                    name: 'Recon', enemies: ['RECON'], count: 1, spacing: 0, route: 'random',
+                    warning: 'Recon probe mapping your towers. Stop it before it reports back!'
+                },
+                {
+                    name: 'Exploit', enemies: ['BASIC', 'ENCRYPTED', 'TANK'], count: 6, spacing: 600, route: 'weakest',
+                    warning: 'Recon got through: exploit wave incoming on your weakest path!'
+                },
+                {
+                    name: 'Exfiltrate', enemies: ['EXFIL'], count: 3, spacing: 800, route: 'outbound',
+                    warning: 'Asset breached: stolen data is heading back out. Block the exfiltration!'
+                }
+            ]
+        }
+    },
+
     // Level Definitions
     LEVELS: [
         {
@@ -168,6 +471,10 @@ export const Config = {
             coreHealth: 100,
             waves: 2,
             spawnInterval: 1200, // Faster waves
+            // Declared waves (see WaveSchedule): the AI's mix, then an ADAPTIVE squad down the weakest path
+            waveSchedule: [
+                [{ count: 12 }, { type: 'ADAPTIVE', count: 3, spacing: 1500, delay: 8000, path: 'weakest' }]
+            ],
             towersAvailable: ['Firewall', 'IDS', 'Honeypot'],
             towerLimit: 12,
             enemyTypes: ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED', 'ADAPTIVE'],
@@ -186,7 +493,9 @@ export const Config = {
             mode: 'PERFECT_AI',
             startingMoney: 1200,
             coreHealth: 100,
-            towersAvailable: ['Firewall', 'IDS', 'Honeypot'],
+            // Only what the security game models: base Firewalls and IDS
+            towersAvailable: ['Firewall', 'IDS'],
+            upgrades: false,
             towerLimit: 8,
             enemyTypes: ['FAST', 'STEALTH', 'LEGITIMATE'],
             legitimateRatio: 0.2,
@@ -197,6 +506,15 @@ export const Config = {
                 battle: 30,     // 30 seconds battle
                 scoring: null   // Results display
             },
+            // Security game behind the equilibrium (see StackelbergSolver.js): the budget
+            // buys the level's towers for the chokepoints, and a packet in range of one for
+            // `exposure` seconds takes its damage per second for that long
+            securityGame: {
+                exposure: 0.5,
+                defender: { caught: 5, breached: -10 },
+                attacker: { caught: -5, breached: 10 },
+                rounds: 3 // Mixed commitments: battle rounds, towers redrawn for each
+            },
             successThreshold: 75,
             aiType: 'PERFECT'
         },
@@ -210,6 +528,7 @@ export const Config = {
             coreHealth: 100,
             targetWaves: 50,
             spawnInterval: 2200,
+            waveSize: { base: 12, growth: 'linear', rate: 0.5, max: 30 }, // One more packet every other wave
             towersAvailable: ['Firewall', 'IDS', 'Honeypot'],
             towerLimit: 15,
             enemyTypes: ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED'],
@@ -229,7 +548,7 @@ export const Config = {
             mode: 'TUTORIAL',
             startingMoney: 1000,
             coreHealth: 100,
-            towersAvailable: ['Firewall', 'IDS', 'Honeypot'],
+            // No towersAvailable: the Specialist Towers step teaches the whole roster
             towerLimit: 12,
             enemyTypes: ['BASIC', 'STEALTH'],
             legitimateRatio: 0,
@@ -250,7 +569,12 @@ export const Config = {
             dynamicTopology: true,
             topologySwitchInterval: 3,
             enemyTypes: ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED', 'ADAPTIVE'],
-            legitimateRatio: 0.3
+            legitimateRatio: 0.3,
+            floodChance: 0.08, // DDoS bursts saturate links and delay legitimate traffic
+            floodSize: 6,
+            waveSize: { base: 15, growth: 'exponential', rate: 1.05, max: 40 }, // +5% per wave
+            bossEvery: 5, // Boss waves, taking turns
+            bosses: ['APT', 'BOTNET']
         },
         ECONOMIC: {
             id: 'endless_economic',
@@ -263,7 +587,10 @@ export const Config = {
             maintenance: true,
             maintenanceInterval: 5,
             enemyTypes: ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED'],
-            legitimateRatio: 0.3
+            legitimateRatio: 0.3,
+            waveSize: { base: 12, growth: 'linear', rate: 1, max: 35 },
+            bossEvery: 5,
+            bosses: ['BOTNET', 'APT']
         },
         TIME_ATTACK: {
             id: 'endless_time',
@@ -275,10 +602,55 @@ export const Config = {
             topology: 'adaptive3',
             waveTimeLimit: 60, // 60 seconds per wave
             enemyTypes: ['BASIC', 'FAST', 'STEALTH']
+        },
+        ENTERPRISE: {
+            id: 'endless_enterprise',
+            name: 'Enterprise Breach',
+            description: 'Protect the database and directory from WAN and VPN intrusions',
+            mode: 'ENDLESS',
+            startingMoney: 1300,
+            coreHealth: 100,
+            waves: 10,
+            // Scripted opening, then generated waves growing by one packet each
+            waveSchedule: [
+                [{ count: 10 }],
+                [{ count: 12 }, { type: 'TANK', count: 3, spacing: 2500, delay: 6000, path: 'weakest' }],
+                [{ count: 12 }, { type: 'FAST', count: 6, spacing: 400, delay: 12000 }]
+            ],
+            waveSize: { base: 15, growth: 'linear', rate: 1 },
+            topology: 'enterprise',
+            enemyTypes: ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED'],
+            legitimateRatio: 0.2,
+            floodChance: 0.1,
+            floodSize: 6,
+            failureRule: 'weighted', // Fail on weighted asset health, not the first asset lost
+            failureThreshold: 50, // Losing the database alone is enough
+            compromise: true, // STEALTH intruders take over nodes and move laterally
+            campaign: 'KILL_CHAIN' // Recon → exploit → exfiltrate
         }
     },
 
+    // Play-test level for maps built in the topology editor (registered as TOPOLOGIES.custom)
+    CUSTOM_LEVEL: {
+        id: 'custom',
+        name: 'Custom Network',
+        description: 'A network built in the topology editor',
+        mode: 'NORMAL',
+        startingMoney: 900,
+        coreHealth: 100,
+        totalPackets: 20,
+        spawnInterval: 3000,
+        successThreshold: 75,
+        towersAvailable: ['Firewall', 'IDS', 'Honeypot'],
+        towerLimit: 12,
+        enemyTypes: ['BASIC', 'FAST', 'TANK', 'STEALTH', 'ENCRYPTED', 'ADAPTIVE'],
+        legitimateRatio: 0,
+        topology: 'custom'
+    },
+
     // Network Topologies
+    // Optional per-map labels: ingress { [sourceNode]: name },
+    // assets { [goalNode]: { name, weight, health } } (weight = criticality)
     TOPOLOGIES: {
         level1: {
             // Keeping distinct generic definition but making it branch slightly
@@ -460,9 +832,68 @@ export const Config = {
             sources: [0],
             goals: [16],
             chokepoints: [5, 7, 8, 9, 11]
+        },
+
+        enterprise: {
+            name: 'Enterprise Network',
+            nodes: [
+                // Ingress
+                { id: 0, x: 150, y: 250, type: 'source' },
+                { id: 1, x: 150, y: 500, type: 'source' },
+                // Perimeter
+                { id: 2, x: 350, y: 250, type: 'chokepoint' },
+                { id: 3, x: 350, y: 500, type: 'chokepoint' },
+                // Internal
+                { id: 4, x: 550, y: 200, type: 'normal' },
+                { id: 5, x: 550, y: 375, type: 'chokepoint' },
+                { id: 6, x: 550, y: 550, type: 'normal' },
+                { id: 7, x: 775, y: 250, type: 'chokepoint' },
+                { id: 8, x: 775, y: 500, type: 'chokepoint' },
+                // Assets
+                { id: 9, x: 1000, y: 250, type: 'goal' },
+                { id: 10, x: 1000, y: 500, type: 'goal' }
+            ],
+            edges: [
+                [0, 2, { capacity: 8 }],                 // WAN uplink
+                [1, 3, { latency: 400, capacity: 2 }],   // VPN tunnel
+                [2, 4, { directed: true }], [2, 5], [3, 5], [3, 6],
+                [4, 7, { directed: true }], [5, 7], [5, 8], [6, 8],  // DMZ only flows inward
+                [7, 9], [8, 10]
+            ],
+            sources: [0, 1],
+            goals: [9, 10],
+            chokepoints: [2, 3, 5, 7, 8],
+            ingress: {
+                0: 'WAN',
+                1: 'VPN'
+            },
+            assets: {
+                9: { name: 'Database', weight: 3 },
+                10: { name: 'Active Directory', weight: 2 }
+            }
+        }
+    },
+
+    // Legitimate-traffic service level (availability score)
+    SLA: {
+        TARGET: 90,               // Availability % a level expects (level.slaTarget overrides)
+        STAR_STEP: 15,            // Each step below target costs a star (max two)
+        LATE_FACTOR: 1.5,         // Delivered later than this × its unhindered travel time = late
+        PENALTIES: {              // Service quality lost per packet (starts at 1)
+            late: 0.5,
+            slowed: 0.3,          // Slowed by an IDS
+            diverted: 0.5         // Pulled off its route by a honeypot
         }
     },
 
+    // Network Links (optional third edge element: { directed, latency, capacity })
+    LINKS: {
+        DEFAULT_CAPACITY: 4,      // Bandwidth of links that don't set one (packets before saturating)
+        MIN_CONGESTED_SPEED: 0.25, // Slowest a saturated link gets (capacity / load otherwise)
+        MIN_WIDTH: 2,             // Drawn thickness range for low/high bandwidth links
+        MAX_WIDTH: 10
+    },
+
     // Graphics Settings
     GRAPHICS: {
         NODE_RADIUS: 22,
@@ -484,6 +915,11 @@ export const Config = {
         NODE_CHOKEPOINT: '#e8a75e',    // Soft amber chokepoints
         NODE_WEAKEST: '#f5c675',
         EDGE: '#353a47',               // Medium dark edges
+        EDGE_CONGESTED: '#d8574f',     // Saturated links
+        NODE_COMPROMISED: '#b455e0',   // Attacker foothold
+        NODE_ISOLATED: '#2b2f3a',      // Quarantined node
+        EDGE_CUT: '#e0616b',           // Segmented (cut) links
+        SYNERGY: '#ffd166',            // Linked towers
         BACKGROUND: '#1a1d2e'          // Comfortable dark bg
     },
 
@@ -515,14 +951,24 @@ export const Config = {
         alpha: 0.1,       // Learning rate
         gamma: 0.95,      // Discount factor
         epsilonDecay: 0.995,
-        minEpsilon: 0.05
+        minEpsilon: 0.05,
+        rewardScale: 100  // Wave rewards are divided by this before learning
+    },
+
+    // Defender Agents (autopilot and batch runs, see js/ai/DefenderAgent.js)
+    DEFENDER_AGENTS: {
+        INTERVAL: 1000,  // ms of match time between autopilot turns
+        MAX_ACTIONS: 6   // Moves per turn
     },
 
     // Storage Keys
     STORAGE_KEYS: {
         SAVE_DATA: 'networkdefender_save',
         SETTINGS: 'networkdefender_settings',
-        AI_LEARNING: 'networkdefender_ai'
+        AI_LEARNING: 'networkdefender_ai',
+        LAYOUTS: 'networkdefender_layouts',
+        CUSTOM_TOPOLOGY: 'networkdefender_custom_topology',
+        RL_WEIGHTS: 'networkdefender_rl_weights'
     }
 };
 
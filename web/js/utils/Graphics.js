@@ -125,6 +125,33 @@ export class Graphics {
         ctx.fill();
     }
 
+    /**
+     * Draw a network link: one-way links get an arrow head at their midpoint
+     */
+    static drawLink(ctx, x1, y1, x2, y2, color, width = 1, directed = false) {
+        this.drawLine(ctx, x1, y1, x2, y2, color, width);
+        if (!directed) return;
+
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const headSize = 8 + width;
+        const tipX = (x1 + x2) / 2 + (headSize / 2) * Math.cos(angle);
+        const tipY = (y1 + y2) / 2 + (headSize / 2) * Math.sin(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(
+            tipX - headSize * Math.cos(angle - Math.PI / 6),
+            tipY - headSize * Math.sin(angle - Math.PI / 6)
+        );
+        ctx.lineTo(
+            tipX - headSize * Math.cos(angle + Math.PI / 6),
+            tipY - headSize * Math.sin(angle + Math.PI / 6)
+        );
+        ctx.closePath();
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+
     /**
      * Draw dashed line
      */
@@ -217,6 +244,17 @@ export class Graphics {
         return this.distance(px, py, cx, cy) < radius;
     }
 
+    /**
+     * Distance from a point to a line segment
+     */
+    static distanceToSegment(px, py, x1, y1, x2, y2) {
+        const lengthSq = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+        if (lengthSq === 0) return this.distance(px, py, x1, y1);
+
+        const t = this.clamp(((px - x1) * (x2 - x1) + (py - y1) * (y2 - y1)) / lengthSq, 0, 1);
+        return this.distance(px, py, x1 + t * (x2 - x1), y1 + t * (y2 - y1));
+    }
+
     /**
      * Hex to RGB
      */
@@ -0,0 +1,170 @@
+/**
+ * LINEAR_PROGRAM.JS - Small Linear Programs
+ * Two-phase simplex on a dense tableau, Bland's rule for pivoting (it never cycles).
+ * Meant for the handful of variables and constraints the game's solvers need.
+ *
+ *   maximize   c · x
+ *   subject to a · x (<=|>=|=) b   for each constraint,   x >= 0
+ */
+
+const EPSILON = 1e-9;
+
+export class LinearProgram {
+    /**
+     * @param {Array<number>} objective - c
+     * @param {Array<Object>} constraints - { coefficients: a, type: '<=' | '>=' | '=', value: b }
+     * @returns {Object} { status: 'optimal' | 'infeasible' | 'unbounded', value, solution }
+     */
+    static maximize(objective, constraints) {
+        const n = objective.length;
+
+        // Non-negative right-hand sides, and as many <= rows as possible (their slacks
+        // start the basis; >= and = rows need an artificial): flip a row's sign where needed
+        const rows = constraints.map(({ coefficients, type, value }) => {
+            const flip = value < 0 || (value === 0 && type === '>=');
+            if (!flip) return { coefficients, type, value };
+            const flipped = type === '<=' ? '>=' : type === '>=' ? '<=' : '=';
+            return { coefficients: coefficients.map(a => -a), type: flipped, value: -value };
+        });
+
+        // Columns: variables, then a slack or surplus per inequality, then an artificial per >= / =
+        const slacks = rows.filter(row => row.type !== '=').length;
+        const artificials = rows.filter(row => row.type !== '<=').length;
+        const width = n + slacks + artificials;
+        const firstArtificial = n + slacks;
+
+        const tableau = [];
+        const basis = [];
+        let slack = n;
+        let artificial = firstArtificial;
+
+        rows.forEach(({ coefficients, type, value }) => {
+            const row = new Array(width + 1).fill(0);
+            coefficients.forEach((a, j) => { row[j] = a; });
+            row[width] = value;
+
+            if (type === '<=') {
+                row[slack] = 1;
+                basis.push(slack++);
+            } else {
+                if (type === '>=') row[slack++] = -1;
+                row[artificial] = 1;
+                basis.push(artificial++);
+            }
+            tableau.push(row);
+        });
+
+        // Phase 1: drive the artificials to zero
+        if (artificials > 0) {
+            const cost = Array.from({ length: width }, (_, j) => (j >= firstArtificial ? -1 : 0));
+            this.run(tableau, basis, cost, width);
+
+            if (this.value(tableau, basis, cost, width) < -EPSILON) {
+                return { status: 'infeasible', value: null, solution: null };
+            }
+            this.evictArtificials(tableau, basis, firstArtificial);
+        }
+
+        // Phase 2: the real objective, artificials barred from the basis
+        const cost = Array.from({ length: width }, (_, j) => (j < n ? objective[j] : 0));
+        if (!this.run(tableau, basis, cost, firstArtificial)) {
+            return { status: 'unbounded', value: null, solution: null };
+        }
+
+        const solution = new Array(n).fill(0);
+        basis.forEach((column, i) => {
+            if (column < n) solution[column] = tableau[i][width];
+        });
+
+        return {
+            status: 'optimal',
+            value: solution.reduce((sum, x, j) => sum + x * objective[j], 0),
+            solution
+        };
+    }
+
+    /**
+     * Pivot until no column improves the objective
+     * @param {number} enterable - Columns at or past this index never enter
+     * @returns {boolean} False if the objective is unbounded
+     */
+    static run(tableau, basis, cost, enterable) {
+        const width = cost.length;
+
+        for (;;) {
+            // Bland: lowest-index column with a positive reduced cost enters
+            let entering = -1;
+            for (let j = 0; j < enterable; j++) {
+                if (this.reducedCost(tableau, basis, cost, j) > EPSILON) {
+                    entering = j;
+                    break;
+                }
+            }
+            if (entering === -1) return true;
+
+            // Ratio test, ties to the lowest basic column
+            let leaving = -1;
+            let bestRatio = Infinity;
+            tableau.forEach((row, i) => {
+                if (row[entering] <= EPSILON) return;
+                const ratio = row[width] / row[entering];
+                if (ratio < bestRatio - EPSILON ||
+                    (Math.abs(ratio - bestRatio) <= EPSILON && basis[i] < basis[leaving])) {
+                    leaving = i;
+                    bestRatio = ratio;
+                }
+            });
+            if (leaving === -1) return false;
+
+            this.pivot(tableau, basis, leaving, entering);
+        }
+    }
+
+    /**
+     * c_j minus what the current basis pays for column j
+     */
+    static reducedCost(tableau, basis, cost, column) {
+        return tableau.reduce((r, row, i) => r - cost[basis[i]] * row[column], cost[column]);
+    }
+
+    /**
+     * Objective at the current basic solution
+     */
+    static value(tableau, basis, cost, width) {
+        return tableau.reduce((sum, row, i) => sum + cost[basis[i]] * row[width], 0);
+    }
+
+    /**
+     * Make column `column` basic in row `rowIndex`
+     */
+    static pivot(tableau, basis, rowIndex, column) {
+        const row = tableau[rowIndex];
+        const scale = row[column];
+        for (let j = 0; j < row.length; j++) row[j] /= scale;
+
+        tableau.forEach((other, i) => {
+            if (i === rowIndex || other[column] === 0) return;
+            const factor = other[column];
+            for (let j = 0; j < other.length; j++) other[j] -= factor * row[j];
+        });
+        basis[rowIndex] = column;
+    }
+
+    /**
+     * Swap artificials still basic (at zero) after phase 1 for real columns;
+     * a row with no real column left is redundant and keeps its artificial at zero
+     */
+    static evictArtificials(tableau, basis, firstArtificial) {
+        basis.forEach((column, i) => {
+            if (column < firstArtificial) return;
+            for (let j = 0; j < firstArtificial; j++) {
+                if (Math.abs(tableau[i][j]) > EPSILON) {
+                    this.pivot(tableau, basis, i, j);
+                    return;
+                }
+            }
+        });
+    }
+}
+
+export default LinearProgram;
@@ -1,20 +1,40 @@
 /**
  * METRICS_COLLECTOR.JS
  * Automated simulation harness to verify claims in the IEEE paper.
+ * Every metric comes from real headless matches played through Simulation.
  */
-import { EconomicRL } from '../ai/EconomicRL.js';
-import { PerfectAI } from '../ai/PerfectAI.js';
+import { Simulation } from '../gameplay/Simulation.js';
 import { TopologyGenerator } from './TopologyGenerator.js';
+import { ScriptedDefender } from '../ai/DefenderBot.js';
+import Config from './Config.js';
+import Random from '../core/Random.js';
+
+// z-score for 95% confidence intervals
+const Z_95 = 1.96;
 
 export class MetricsCollector {
-    constructor() {
+    /**
+     * @param {Object} options - { rlEpisodes, rlWaves, stackelbergMatches, seed, verbose, onProgress }
+     */
+    constructor(options = {}) {
+        this.rlEpisodes = options.rlEpisodes || 20;
+        this.rlWaves = options.rlWaves || 8;
+        this.stackelbergMatches = options.stackelbergMatches || 50;
+        this.verbose = options.verbose || false;
+        this.onProgress = options.onProgress || (() => { });
+
+        // Derives one seed per match, so a whole evaluation replays from one seed
+        this.seed = options.seed ?? Random.generateSeed();
+        this.matchSeeds = new Random(this.seed);
+
         this.results = {
-            rlSuccessRate: 0,
-            randomSuccessRate: 0,
-            stackelbergDefenderWinRate: 0,
-            randomDefenderWinRate: 0,
-            chokepointEfficiency: 0,
-            diversificationRatio: 0
+            rlLeakRate: null,
+            randomLeakRate: null,
+            heuristicDefenderWinRate: null,
+            randomDefenderWinRate: null,
+            heuristicLeakRate: null,
+            randomCommitmentLeakRate: null,
+            chokepointEfficiency: 0
         };
     }
 
@@ -22,15 +42,21 @@ export class MetricsCollector {
      * Run Batch Simulations
      */
     async runEvaluation() {
-        console.log("🚀 Starting Comprehensive Metrics Evaluation...");
+        console.log(`🚀 Starting Comprehensive Metrics Evaluation (seed ${this.seed})...`);
 
-        // 1. RL vs Random Base (100 Waves)
-        this.results.rlSuccessRate = this.evaluateRL(true);
-        this.results.randomSuccessRate = this.evaluateRL(false);
+        // 1. EconomicRL vs random-action attacker, both against a scripted defender
+        const rl = await this.evaluateRL(true);
+        const random = await this.evaluateRL(false);
+        this.results.rlLeakRate = rl.leakRate;
+        this.results.randomLeakRate = random.leakRate;
 
-        // 2. Stackelberg vs Random Spawn
-        this.results.stackelbergDefenderWinRate = this.evaluateStackelberg(true);
-        this.results.randomDefenderWinRate = this.evaluateStackelberg(false);
+        // 2. PerfectAI vs heuristic and random tower commitments
+        const heuristic = await this.evaluateStackelberg('heuristic');
+        const randomCommit = await this.evaluateStackelberg('random');
+        this.results.heuristicDefenderWinRate = heuristic.winRate;
+        this.results.heuristicLeakRate = heuristic.leakRate;
+        this.results.randomDefenderWinRate = randomCommit.winRate;
+        this.results.randomCommitmentLeakRate = randomCommit.leakRate;
 
         // 3. Chokepoint Coverage Efficiency
         this.results.chokepointEfficiency = this.evaluateChokepoints();
@@ -39,36 +65,176 @@ export class MetricsCollector {
         return this.results;
     }
 
-    evaluateRL(isSmart) {
-        // Simulation of 100 waves
-        let leaked = 0;
-        let total = 1000;
+    /**
+     * Play Level 4 episodes: EconomicRL attacker vs scripted defender
+     * @param {boolean} isSmart - false replaces the learned policy with uniform random actions
+     */
+    async evaluateRL(isSmart) {
+        const level = Config.LEVELS.find(l => l.aiType === 'ECONOMIC_RL');
+        const leakRates = [];
+        let sharedWeights = null;
+
+        for (let i = 0; i < this.rlEpisodes; i++) {
+            const sim = new Simulation(level, { seed: this.nextMatchSeed(), quiet: !this.verbose });
+            const rl = sim.levelManager.economicRL;
 
-        for (let i = 0; i < total; i++) {
-            // RL logic (Simplified for simulation)
-            const success = isSmart ? (Math.random() < 0.67) : (Math.random() < 0.32);
-            if (success) leaked++;
+            // Learn across episodes without touching the player's saved weights
+            rl.persistent = false;
+            if (sharedWeights) rl.importWeights(sharedWeights);
+            rl.epsilon = isSmart ? Config.RL_PARAMS.epsilon : 1.0;
+
+            sim.events.on('waveStarted', () => this.placeScriptedDefense(sim));
+            sim.start();
+            this.placeScriptedDefense(sim);
+
+            const result = sim.run(Config.SIMULATION.MAX_TICKS, s => s.levelManager.wave > this.rlWaves);
+            sharedWeights = rl.exportWeights();
+
+            const resolved = result.packetsBlocked + result.packetsLeaked;
+            if (resolved > 0) {
+                leakRates.push(result.packetsLeaked / resolved);
+            }
+
+            this.onProgress(`${isSmart ? 'RL' : 'Random'} attacker episode ${i + 1}/${this.rlEpisodes}`);
+            await this.yield();
         }
-        return leaked / total;
+
+        return { leakRate: this.meanInterval(leakRates) };
     }
 
-    evaluateStackelberg(isNash) {
-        // Simulation of win rates
+    /**
+     * Play Level 3 matches: PerfectAI vs a committed defense
+     * @param {string} commitment - 'heuristic' or 'random' tower placement
+     */
+    async evaluateStackelberg(commitment) {
+        const level = Config.LEVELS.find(l => l.aiType === 'PERFECT');
+        const leakRates = [];
         let wins = 0;
-        let total = 50;
-        for (let i = 0; i < total; i++) {
-            // If Nash AI is used, defender win rate drops to ~18%
-            const win = isNash ? (Math.random() < 0.18) : (Math.random() < 0.78);
-            if (win) wins++;
+
+        for (let i = 0; i < this.stackelbergMatches; i++) {
+            // Every match plays the level's fixed Stackelberg Mesh; only the seed changes
+            const sim = new Simulation(level, { seed: this.nextMatchSeed(), quiet: !this.verbose });
+            sim.start();
+
+            if (commitment === 'heuristic') {
+                this.placeHeuristicCommitment(sim);
+            } else {
+                this.placeRandomCommitment(sim);
+            }
+
+            const result = sim.run();
+
+            if (result.outcome === 'complete') wins++;
+
+            const resolved = result.packetsBlocked + result.packetsLeaked;
+            if (resolved > 0) {
+                leakRates.push(result.packetsLeaked / resolved);
+            }
+
+            this.onProgress(`PerfectAI vs ${commitment} commitment ${i + 1}/${this.stackelbergMatches}`);
+            await this.yield();
         }
-        return wins / total;
+
+        return {
+            winRate: this.wilsonInterval(wins, this.stackelbergMatches),
+            leakRate: this.meanInterval(leakRates)
+        };
+    }
+
+    /**
+     * Seed for the next batch match
+     */
+    nextMatchSeed() {
+        return this.matchSeeds.int(4294967296);
     }
 
     evaluateChokepoints() {
-        const topo = TopologyGenerator.generateStackelbergMap();
+        const topo = TopologyGenerator.generateStackelbergMap(new Random(this.nextMatchSeed()));
         const chokes = topo.chokepoints.length;
         const totalNodes = topo.nodes.length;
         // Formal efficiency metric
         return (chokes / totalNodes).toFixed(2);
     }
+
+    /**
+     * Scripted defender: fill free chokepoints, alternating Firewall and IDS
+     */
+    placeScriptedDefense(sim) {
+        new ScriptedDefender().onWaveStart(sim);
+    }
+
+    /**
+     * Heuristic commitment: Firewalls on the chokepoints most paths cross, then IDS
+     */
+    placeHeuristicCommitment(sim) {
+        const lm = sim.levelManager;
+        const pathCount = node => lm.paths.filter(path => path.includes(node)).length;
+        const ranked = [...lm.chokepoints].sort((a, b) => pathCount(b) - pathCount(a));
+
+        ranked.forEach((nodeIndex, rank) => {
+            const type = rank < 2 ? 'Firewall' : 'IDS';
+            sim.placeTower(nodeIndex, type) || sim.placeTower(nodeIndex, 'IDS');
+        });
+    }
+
+    /**
+     * Random commitment: random towers on random chokepoints until money runs out
+     */
+    placeRandomCommitment(sim) {
+        const lm = sim.levelManager;
+        const types = lm.getTowersAvailable();
+        const free = [...lm.chokepoints];
+
+        while (free.length > 0) {
+            const nodeIndex = free.splice(sim.rng.int(free.length), 1)[0];
+            const type = sim.rng.pick(types);
+            sim.placeTower(nodeIndex, type);
+        }
+    }
+
+    /**
+     * Mean with a normal-approximation 95% confidence interval
+     */
+    meanInterval(values) {
+        const n = values.length;
+        if (n === 0) return { value: 0, low: 0, high: 0, n };
+
+        const mean = values.reduce((sum, v) => sum + v, 0) / n;
+        const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+        const margin = Z_95 * Math.sqrt(variance / n);
+
+        return {
+            value: mean,
+            low: Math.max(0, mean - margin),
+            high: Math.min(1, mean + margin),
+            n
+        };
+    }
+
+    /**
+     * Wilson score 95% interval for a win/loss proportion
+     */
+    wilsonInterval(successes, trials) {
+        if (trials === 0) return { value: 0, low: 0, high: 0, n: 0 };
+
+        const p = successes / trials;
+        const z2 = Z_95 * Z_95;
+        const denominator = 1 + z2 / trials;
+        const center = (p + z2 / (2 * trials)) / denominator;
+        const margin = (Z_95 * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials))) / denominator;
+
+        return {
+            value: p,
+            low: Math.max(0, center - margin),
+            high: Math.min(1, center + margin),
+            n: trials
+        };
+    }
+
+    /**
+     * Let the browser repaint between matches
+     */
+    yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
 }
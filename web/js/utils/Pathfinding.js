@@ -1,24 +1,32 @@
 /**
  * PATHFINDING.JS - A* Pathfinding Algorithm
  * Finds optimal paths through network topology
+ *
+ * Edges are [from, to] or [from, to, { directed, latency, capacity }]:
+ * directed links only run from → to, latency is the link's A* cost
+ * (defaults to its length) and capacity is its bandwidth.
  */
 
 import Graphics from './Graphics.js';
+import Config from './Config.js';
 
 export class Pathfinding {
     /**
      * Find path from source to goal using A* algorithm
      * @param {Array} nodes - Array of node positions [{x, y}, ...]
-     * @param {Array} edges - Array of edge connections [[0,1], [1,2], ...]
+     * @param {Array} edges - Array of edge connections [[0,1], [1,2, { directed: true }], ...]
      * @param {number} start - Start node index
      * @param {number} goal - Goal node index
+     * @param {Random|null} rng - When given, costs get random noise for path diversity
+     * @param {Function} nodeCost - Optional (nodeIndex) => extra cost for entering a node
      * @returns {Array} Path as array of node indices
      */
-    static findPath(nodes, edges, start, goal, randomize = false) {
+    static findPath(nodes, edges, start, goal, rng = null, nodeCost = null) {
         if (start === goal) return [start];
 
         // Build adjacency list
         const graph = this.buildGraph(edges, nodes.length);
+        const heuristicScale = this.getHeuristicScale(nodes, edges);
 
         // A* algorithm
         const openSet = new Set([start]);
@@ -32,7 +40,7 @@ export class Pathfinding {
             fScore.set(i, Infinity);
         }
         gScore.set(start, 0);
-        fScore.set(start, this.heuristic(nodes[start], nodes[goal]));
+        fScore.set(start, this.heuristic(nodes[start], nodes[goal]) * heuristicScale);
 
         while (openSet.size > 0) {
             // Get node with lowest fScore
@@ -55,13 +63,17 @@ export class Pathfinding {
 
             // Check neighbors
             const neighbors = graph.get(current) || [];
-            for (const neighbor of neighbors) {
-                let cost = Graphics.distance(nodes[current].x, nodes[current].y, nodes[neighbor].x, nodes[neighbor].y);
+            for (const { node: neighbor, edge } of neighbors) {
+                let cost = this.getLatency(nodes, edge);
 
-                // Add noise to cost if randomize is true
+                // Add noise to cost if an RNG is given
                 // This encourages path diversity among equal or near-equal paths
-                if (randomize) {
-                    cost *= (1 + (Math.random() * 0.4 - 0.2)); // +/- 20% variation
+                if (rng) {
+                    cost *= (1 + (rng.next() * 0.4 - 0.2)); // +/- 20% variation
+                }
+
+                if (nodeCost) {
+                    cost += nodeCost(neighbor);
                 }
 
                 const tentativeGScore = gScore.get(current) + cost;
@@ -70,7 +82,7 @@ export class Pathfinding {
                     cameFrom.set(neighbor, current);
                     gScore.set(neighbor, tentativeGScore);
                     fScore.set(neighbor, tentativeGScore +
-                        this.heuristic(nodes[neighbor], nodes[goal]));
+                        this.heuristic(nodes[neighbor], nodes[goal]) * heuristicScale);
                     openSet.add(neighbor);
                 }
             }
@@ -82,6 +94,7 @@ export class Pathfinding {
 
     /**
      * Build adjacency list from edges
+     * @returns {Map} nodeIndex → [{ node, edge }, ...]
      */
     static buildGraph(edges, nodeCount) {
         const graph = new Map();
@@ -89,15 +102,91 @@ export class Pathfinding {
             graph.set(i, []);
         }
 
-        for (const [from, to] of edges) {
-            graph.get(from).push(to);
-            // Bidirectional
-            graph.get(to).push(from);
+        for (const edge of edges) {
+            const [from, to] = edge;
+            graph.get(from).push({ node: to, edge });
+            // Bidirectional unless the link is one-way
+            if (!this.isDirected(edge)) {
+                graph.get(to).push({ node: from, edge });
+            }
         }
 
         return graph;
     }
 
+    /**
+     * Neighbor indices reachable from a node in one hop
+     */
+    static getNeighbors(edges, nodeIndex) {
+        const neighbors = [];
+        edges.forEach(edge => {
+            if (edge[0] === nodeIndex) neighbors.push(edge[1]);
+            else if (edge[1] === nodeIndex && !this.isDirected(edge)) neighbors.push(edge[0]);
+        });
+        return neighbors;
+    }
+
+    /**
+     * Find the edge a packet uses to go from one node to the next
+     * @returns {Array|null} Edge, or null when the hop is not a link
+     */
+    static findEdge(edges, from, to) {
+        return edges.find(edge =>
+            (edge[0] === from && edge[1] === to) ||
+            (edge[0] === to && edge[1] === from && !this.isDirected(edge))
+        ) || null;
+    }
+
+    /**
+     * Is the link one-way (from → to only)?
+     */
+    static isDirected(edge) {
+        return !!edge[2]?.directed;
+    }
+
+    /**
+     * A* cost of a link: its latency, or its length when none is set
+     */
+    static getLatency(nodes, edge) {
+        const latency = edge[2]?.latency;
+        if (latency !== undefined) return latency;
+
+        const [from, to] = edge;
+        return Graphics.distance(nodes[from].x, nodes[from].y, nodes[to].x, nodes[to].y);
+    }
+
+    /**
+     * Bandwidth of a link (Config.LINKS.DEFAULT_CAPACITY when none is set)
+     */
+    static getCapacity(edge) {
+        return edge[2]?.capacity ?? Config.LINKS.DEFAULT_CAPACITY;
+    }
+
+    /**
+     * Drawn thickness of a link, scaled by its bandwidth
+     */
+    static getLinkWidth(edge) {
+        const width = Config.GRAPHICS.EDGE_WIDTH * Math.sqrt(this.getCapacity(edge) / Config.LINKS.DEFAULT_CAPACITY);
+        return Graphics.clamp(width, Config.LINKS.MIN_WIDTH, Config.LINKS.MAX_WIDTH);
+    }
+
+    /**
+     * Keep the distance heuristic admissible when links are faster than their length
+     */
+    static getHeuristicScale(nodes, edges) {
+        let scale = 1;
+        for (const edge of edges) {
+            if (edge[2]?.latency === undefined) continue;
+
+            const [from, to] = edge;
+            const length = Graphics.distance(nodes[from].x, nodes[from].y, nodes[to].x, nodes[to].y);
+            if (length > 0) {
+                scale = Math.min(scale, edge[2].latency / length);
+            }
+        }
+        return scale;
+    }
+
     /**
      * Reconstruct path from cameFrom map
      */
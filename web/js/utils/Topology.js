@@ -0,0 +1,174 @@
+/**
+ * TOPOLOGY.JS - Network Topology Helpers
+ * Validation, chokepoint suggestions and JSON import/export for maps
+ * in the Config.TOPOLOGIES shape: { name, nodes, edges, sources, goals, chokepoints, ingress?, assets? }
+ */
+
+import Pathfinding from './Pathfinding.js';
+import { TopologyGenerator } from './TopologyGenerator.js';
+
+export class Topology {
+    /**
+     * Empty map to start editing from
+     */
+    static create(name = 'Custom Network') {
+        return { name, nodes: [], edges: [], sources: [], goals: [], chokepoints: [] };
+    }
+
+    /**
+     * Check that the map is playable
+     * @param {Object} topology
+     * @returns {Object} { valid, errors, warnings, paths }
+     */
+    static validate(topology) {
+        const { nodes, edges, sources, goals, chokepoints } = topology;
+        const errors = [];
+        const warnings = [];
+        const paths = [];
+
+        if (sources.length === 0) errors.push('Mark at least one source');
+        if (goals.length === 0) errors.push('Mark at least one goal');
+        if (chokepoints.length === 0) errors.push('Mark at least one chokepoint (towers can only go there)');
+
+        // Every source must reach a goal, and every goal must be reachable
+        const reachedGoals = new Set();
+        sources.forEach(source => {
+            let reachesGoal = false;
+
+            goals.forEach(goal => {
+                const path = Pathfinding.findPath(nodes, edges, source, goal);
+                if (path.length > 0) {
+                    paths.push(path);
+                    reachedGoals.add(goal);
+                    reachesGoal = true;
+                }
+            });
+
+            if (!reachesGoal && goals.length > 0) {
+                errors.push(`Source node ${source} cannot reach any goal`);
+            }
+        });
+
+        goals.forEach(goal => {
+            if (!reachedGoals.has(goal) && sources.length > 0) {
+                errors.push(`Goal node ${goal} cannot be reached from any source`);
+            }
+        });
+
+        // Softer problems: the map plays, but probably not as intended
+        const onPath = new Set(paths.flat());
+        chokepoints.forEach(node => {
+            if (sources.includes(node) || goals.includes(node)) {
+                errors.push(`Node ${node} cannot be both a chokepoint and a source or goal`);
+            } else if (!onPath.has(node) && paths.length > 0) {
+                warnings.push(`Chokepoint ${node} is not on any shortest path`);
+            }
+        });
+
+        const connected = new Set(edges.flatMap(([from, to]) => [from, to]));
+        nodes.forEach((node, index) => {
+            if (!connected.has(index)) {
+                warnings.push(`Node ${index} has no edges`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors, warnings, paths };
+    }
+
+    /**
+     * Suggest chokepoints by path betweenness (same rule as generated maps)
+     */
+    static suggestChokepoints(topology) {
+        const { nodes, edges, sources, goals } = topology;
+        return TopologyGenerator.identifyChokepoints(nodes, edges, sources, goals);
+    }
+
+    /**
+     * Renumber node ids and types from the role lists
+     */
+    static normalize(topology) {
+        const { sources, goals, chokepoints } = topology;
+
+        topology.nodes = topology.nodes.map((node, index) => {
+            let type = 'normal';
+            if (sources.includes(index)) type = 'source';
+            else if (goals.includes(index)) type = 'goal';
+            else if (chokepoints.includes(index)) type = 'chokepoint';
+
+            return { id: index, x: Math.round(node.x), y: Math.round(node.y), type };
+        });
+
+        return topology;
+    }
+
+    /**
+     * Export as JSON (same shape as a Config.TOPOLOGIES entry)
+     */
+    static serialize(topology) {
+        const { name, nodes, edges, sources, goals, chokepoints, ingress, assets } = Topology.normalize(topology);
+        return JSON.stringify({ name, nodes, edges, sources, goals, chokepoints, ingress, assets }, null, 2);
+    }
+
+    /**
+     * Import from JSON
+     * @param {string} text - Topology JSON
+     * @returns {Object} Topology
+     */
+    static parse(text) {
+        const data = JSON.parse(text);
+
+        if (!Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+            throw new Error('Topology needs nodes and edges arrays');
+        }
+
+        const count = data.nodes.length;
+        const isNode = index => Number.isInteger(index) && index >= 0 && index < count;
+
+        data.nodes.forEach((node, index) => {
+            if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+                throw new Error(`Node ${index} is missing x/y`);
+            }
+        });
+
+        data.edges.forEach(edge => {
+            if (!Array.isArray(edge) || !isNode(edge[0]) || !isNode(edge[1])) {
+                throw new Error(`Invalid edge: ${JSON.stringify(edge)}`);
+            }
+
+            // Optional link attributes: { directed, latency, capacity }
+            const link = edge[2];
+            if (link === undefined) return;
+            if (typeof link !== 'object' || link === null ||
+                (link.latency !== undefined && !(link.latency >= 0)) ||
+                (link.capacity !== undefined && !(link.capacity > 0))) {
+                throw new Error(`Invalid link attributes: ${JSON.stringify(edge)}`);
+            }
+        });
+
+        // Roles default to the node types when the lists are missing
+        const withType = type => data.nodes.map((node, i) => (node.type === type ? i : -1)).filter(i => i >= 0);
+        const topology = {
+            name: data.name || 'Custom Network',
+            nodes: data.nodes,
+            edges: data.edges.map(([from, to, link]) => (link ? [from, to, link] : [from, to])),
+            sources: data.sources || withType('source'),
+            goals: data.goals || withType('goal'),
+            chokepoints: data.chokepoints || withType('chokepoint')
+        };
+
+        // Optional ingress names and asset definitions, keyed by node
+        ['ingress', 'assets'].forEach(labels => {
+            if (data[labels] && typeof data[labels] === 'object') {
+                topology[labels] = data[labels];
+            }
+        });
+
+        [...topology.sources, ...topology.goals, ...topology.chokepoints].forEach(index => {
+            if (!isNode(index)) throw new Error(`Unknown node in roles: ${index}`);
+        });
+
+        return Topology.normalize(topology);
+    }
+}
+
+export default Topology;
@@ -2,6 +2,7 @@
  * TOPOLOGY_GENERATOR.JS
  * Procedural generation for network maps
  */
+import Pathfinding from './Pathfinding.js';
 
 export class TopologyGenerator {
     /**
@@ -18,20 +19,25 @@ export class TopologyGenerator {
     /**
      * Identify Chokepoints using Path Betweenness Centrality
      * More robust than simple degree counting: identifies nodes that bottleneck the most paths
+     * @param {Random} rng - Drives the path sampling
      */
-    static identifyChokepoints(nodes, edges, sources, goals) {
+    static identifyChokepoints(nodes, edges, sources, goals, rng) {
         const nodeScore = new Array(nodes.length).fill(0);
         const adj = new Array(nodes.length).fill(0).map(() => []);
-        edges.forEach(([u, v]) => {
+        const degree = new Array(nodes.length).fill(0);
+        edges.forEach(edge => {
+            const [u, v] = edge;
             adj[u].push(v);
-            adj[v].push(u);
+            if (!Pathfinding.isDirected(edge)) adj[v].push(u);
+            degree[u]++;
+            degree[v]++;
         });
 
         // Sample 50 random paths to calculate betweenness (empirical)
         for (let i = 0; i < 50; i++) {
             sources.forEach(source => {
                 goals.forEach(goal => {
-                    const path = this.simpleBFS(adj, source, goal, true);
+                    const path = this.simpleBFS(adj, source, goal, rng);
                     if (path) {
                         path.forEach(nodeId => {
                             if (nodeId !== source && nodeId !== goal) {
@@ -51,8 +57,7 @@ export class TopologyGenerator {
         nodeScore.forEach((score, i) => {
             // A node is a chokepoint if it's on more than 40% of all paths
             // AND it's a junction (degree >= 3)
-            const degree = adj[i].length;
-            if (score / maxScore > 0.4 && degree >= 3) {
+            if (score / maxScore > 0.4 && degree[i] >= 3) {
                 chokepoints.push(i);
             }
         });
@@ -61,9 +66,9 @@ export class TopologyGenerator {
     }
 
     /**
-     * Simple BFS with optional randomization for path diversity
+     * Simple BFS, with neighbors shuffled by the RNG (if given) for path diversity
      */
-    static simpleBFS(adj, start, goal, randomize = false) {
+    static simpleBFS(adj, start, goal, rng = null) {
         const queue = [start];
         const prev = new Map();
         const visited = new Set([start]);
@@ -73,7 +78,7 @@ export class TopologyGenerator {
             if (curr === goal) break;
 
             let neighbors = [...adj[curr]];
-            if (randomize) neighbors.sort(() => Math.random() - 0.5);
+            if (rng) neighbors.sort(() => rng.next() - 0.5);
 
             for (const neighbor of neighbors) {
                 if (!visited.has(neighbor)) {
@@ -98,10 +103,11 @@ export class TopologyGenerator {
     /**
      * Generate a Stackelberg Mesh map
      * Optimized for Level 3: Multiple paths with cross-connections to allow complex routing
+     * @param {Random} rng - Match RNG
      */
-    static generateStackelbergMap() {
-        // Use high-precision timestamp as seed
-        this.seed = Math.floor((Date.now() + performance.now()) * 10000) + Math.floor(Math.random() * 10000000);
+    static generateStackelbergMap(rng) {
+        // Seed from the match RNG so the same match seed rebuilds the same map
+        this.seed = rng.int(4294967296);
         const random = () => this.lcg();
         const width = 1200;
         const height = 700;
@@ -217,7 +223,7 @@ export class TopologyGenerator {
         });
 
         // Use the new Betweenness Centrality identification
-        const finalChokepoints = this.identifyChokepoints(finalNodes, finalEdges, [0], [finalNodes.length - 1]);
+        const finalChokepoints = this.identifyChokepoints(finalNodes, finalEdges, [0], [finalNodes.length - 1], rng);
 
         // Update node types
         finalNodes.forEach((node, i) => {
@@ -240,10 +246,9 @@ export class TopologyGenerator {
 
     /**
      * Generate Procedural Map for RL (ported from EconomicRL.js)
+     * @param {Random} rng - Match RNG
      */
-    static generateRLTopology(type, currentAction, strategy) {
-        console.log(`Building procedural topology: ${type}`);
-
+    static generateRLTopology(type, currentAction, strategy, rng) {
         const width = 1200;
         const height = 700;
         const marginX = 100;
@@ -303,13 +308,13 @@ export class TopologyGenerator {
                     if (j === count - 1) y = height - marginY - 50;
                 }
 
-                y += (Math.random() - 0.5) * 100 * randomness;
-                const x = layerX + (Math.random() - 0.5) * 60 * randomness;
+                y += (rng.next() - 0.5) * 100 * randomness;
+                const x = layerX + (rng.next() - 0.5) * 60 * randomness;
 
                 y = Math.max(50, Math.min(height - 50, y));
 
                 let nodeType = 'normal';
-                if (Math.random() < 0.3 || (type === 'BALANCED' && j === 0)) {
+                if (rng.next() < 0.3 || (type === 'BALANCED' && j === 0)) {
                     nodeType = 'chokepoint';
                 }
 
@@ -337,17 +342,17 @@ export class TopologyGenerator {
                 current.forEach(u => next.forEach(v => edges.push([u, v])));
             } else {
                 current.forEach(u => {
-                    const target = next[Math.floor(Math.random() * next.length)];
+                    const target = rng.pick(next);
                     edges.push([u, target]);
-                    if (Math.random() < 0.5) {
-                        const target2 = next[Math.floor(Math.random() * next.length)];
+                    if (rng.next() < 0.5) {
+                        const target2 = rng.pick(next);
                         if (target !== target2) edges.push([u, target2]);
                     }
                 });
                 next.forEach(v => {
                     const hasInput = edges.some(e => e[1] === v);
                     if (!hasInput) {
-                        const source = current[Math.floor(Math.random() * current.length)];
+                        const source = rng.pick(current);
                         edges.push([source, v]);
                     }
                 });
@@ -363,7 +368,7 @@ export class TopologyGenerator {
                 const layer = layerIndices[i];
                 if (layer.length > 1) {
                     for (let k = 0; k < layer.length - 1; k++) {
-                        if (Math.random() < 0.3) {
+                        if (rng.next() < 0.3) {
                             edges.push([layer[k], layer[k + 1]]);
                         }
                     }
@@ -372,7 +377,7 @@ export class TopologyGenerator {
         }
 
         // Use robust chokepoint identification
-        const identifiedChokepoints = this.identifyChokepoints(nodes, edges, [0], [goalIndex]);
+        const identifiedChokepoints = this.identifyChokepoints(nodes, edges, [0], [goalIndex], rng);
 
         nodes.forEach((node, i) => {
             if (identifiedChokepoints.includes(i)) {
@@ -0,0 +1,121 @@
+/**
+ * TRAIN.JS - Self-Play Training (Node)
+ * Trains the Level 4 attacker against a defender bot over headless episodes.
+ *
+ *   npm run train -- --episodes 2000 --defender learning --export
+ *
+ * Options:
+ *   --episodes <n>   Episodes to play (default 2000)
+ *   --waves <n>      Waves per episode (default 10)
+ *   --defender <d>   'scripted', 'learning', or an agent: 'greedy', 'minimax', 'learned' (default scripted)
+ *   --seed <n>       Seed for the episode seeds (default random)
+ *   --epsilon <x>    Attacker exploration at the first episode (default 1)
+ *   --every <n>      Episodes between checkpoints and progress lines (default 100)
+ *   --out <dir>      Checkpoints and reward curve (default training/)
+ *   --resume <file>  Continue from a checkpoint
+ *   --export         Write the final weights to js/ai/models/ (the browser's starting point)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SelfPlayTrainer } from '../js/ai/SelfPlayTrainer.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODELS = path.join(ROOT, 'js', 'ai', 'models');
+
+const CSV_HEADER = 'episode,attackerReward,defenderReward,leakRate,epsilon,outcome,waves';
+
+/**
+ * --key value pairs (a flag with no value is true)
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * A model as an ES module the browser can import
+ */
+function writeModel(file, model) {
+    const source = `// Generated by scripts/train.js - do not edit\nexport default ${JSON.stringify(model, null, 4)};\n`;
+    fs.writeFileSync(path.join(MODELS, file), source);
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const episodes = Number(args.episodes) || 2000;
+    const every = Number(args.every) || 100;
+    const outDir = path.resolve(args.out || path.join(ROOT, 'training'));
+
+    const resumed = args.resume ? JSON.parse(fs.readFileSync(args.resume, 'utf8')) : null;
+    const trainer = new SelfPlayTrainer({
+        defender: args.defender || resumed?.defender || 'scripted',
+        waves: Number(args.waves) || undefined,
+        seed: args.seed !== undefined ? Number(args.seed) : undefined,
+        epsilon: args.epsilon !== undefined ? Number(args.epsilon) : undefined,
+        attacker: resumed?.attacker,
+        defenderWeights: resumed?.defenderWeights
+    });
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const csvPath = path.join(outDir, 'rewards.csv');
+    if (!resumed || !fs.existsSync(csvPath)) {
+        fs.writeFileSync(csvPath, CSV_HEADER + '\n');
+    }
+
+    console.log(`Training ${episodes} episodes vs ${trainer.defenderType} defender (seed ${trainer.seed})`);
+    const started = Date.now();
+
+    trainer.train(episodes, entry => {
+        fs.appendFileSync(csvPath, [
+            entry.episode,
+            entry.attackerReward.toFixed(1),
+            entry.defenderReward.toFixed(3),
+            entry.leakRate.toFixed(4),
+            entry.epsilon.toFixed(4),
+            entry.outcome,
+            entry.waves
+        ].join(',') + '\n');
+
+        if (entry.episode % every === 0) {
+            const checkpoint = path.join(outDir, `checkpoint-${entry.episode}.json`);
+            fs.writeFileSync(checkpoint, JSON.stringify(trainer.exportCheckpoint(), null, 2));
+
+            console.log(
+                `episode ${entry.episode}` +
+                ` | attacker ${trainer.movingAverage('attackerReward', every).toFixed(1)}` +
+                ` | defender ${trainer.movingAverage('defenderReward', every).toFixed(2)}` +
+                ` | leak ${(trainer.movingAverage('leakRate', every) * 100).toFixed(1)}%` +
+                ` | ε ${entry.epsilon.toFixed(3)}` +
+                ` | ${((Date.now() - started) / 1000).toFixed(0)}s`
+            );
+        }
+    });
+
+    const final = trainer.exportCheckpoint();
+    fs.writeFileSync(path.join(outDir, 'final.json'), JSON.stringify(final, null, 2));
+    console.log(`Wrote ${path.join(outDir, 'final.json')}`);
+
+    if (args.export) {
+        writeModel('economicRL.js', final.attacker);
+        if (final.defenderWeights) {
+            writeModel('defender.js', final.defenderWeights);
+        }
+        console.log(`Exported models to ${MODELS}`);
+    }
+}
+
+main();
@@ -0,0 +1,53 @@
+/**
+ * Defender agents: legal moves and match subscriptions
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDefenderAgent, runAgent, DEFENDER_AGENTS } from '../js/ai/DefenderAgent.js';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+const listenerCount = sim => [...sim.events.listeners.values()].reduce((sum, list) => sum + list.length, 0);
+
+test('every agent builds only what the level offers', () => {
+    Object.keys(DEFENDER_AGENTS).forEach(name => {
+        const sim = new Simulation(Config.LEVELS[0], { seed: 21 });
+        const agent = createDefenderAgent(name);
+        agent.attach(sim);
+        sim.start();
+
+        const moves = runAgent(agent, sim);
+
+        assert.ok(moves > 0, name);
+        sim.towers.forEach(tower => {
+            assert.ok(sim.levelManager.getTowersAvailable().includes(tower.type), `${name}: ${tower.type}`);
+        });
+        agent.detach();
+    });
+});
+
+test('detach() drops every listener attach() added', () => {
+    const sim = new Simulation(Config.LEVELS[0], { seed: 22 });
+    const before = listenerCount(sim);
+    const agent = createDefenderAgent('learned');
+
+    agent.attach(sim);
+    assert.ok(listenerCount(sim) > before);
+
+    agent.detach();
+    assert.equal(listenerCount(sim), before);
+});
+
+test('attaching to a new match lets go of the old one', () => {
+    const first = new Simulation(Config.LEVELS[0], { seed: 23 });
+    const second = new Simulation(Config.LEVELS[0], { seed: 24 });
+    const before = listenerCount(first);
+    const agent = createDefenderAgent('learned');
+
+    agent.attach(first);
+    agent.attach(second);
+
+    assert.equal(listenerCount(first), before);
+    agent.detach();
+});
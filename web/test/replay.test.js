@@ -0,0 +1,124 @@
+/**
+ * Input-level replays: recording, serialization and playback
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Replay, { ReplayPlayer, REPLAY_VERSION } from '../js/gameplay/Replay.js';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+/**
+ * Play a match the way PlayingState does, recording every input
+ */
+function recordMatch(level, seed) {
+    const sim = new Simulation(level, { seed });
+    const replay = Replay.record(level, sim);
+    sim.start();
+
+    const [first, second] = sim.levelManager.chokepoints;
+    const inputs = { 0: [first, 'Firewall'], 300: [second, 'IDS'] };
+
+    while (!sim.finished && sim.tick < Config.SIMULATION.MAX_TICKS) {
+        const input = inputs[sim.tick];
+        if (input && sim.placeTower(...input)) {
+            replay.add(sim.tick, 'place', ...input);
+        }
+        sim.step();
+    }
+
+    replay.finish(sim.getResult());
+    return replay;
+}
+
+test('playback reproduces the recorded match', () => {
+    const replay = recordMatch(Config.LEVELS[0], 99);
+
+    const player = new ReplayPlayer(replay);
+    const result = player.run();
+
+    assert.equal(player.matchesRecording(), true);
+    assert.deepEqual(result, replay.result);
+});
+
+test('a serialized replay parses back and plays the same match', () => {
+    const replay = recordMatch(Config.LEVELS[1], 4242);
+
+    const parsed = Replay.parse(replay.serialize());
+
+    assert.deepEqual(parsed.inputs, replay.inputs);
+    assert.equal(new ReplayPlayer(parsed).run().score, replay.result.score);
+});
+
+test('seeking backwards rebuilds the match from the start', () => {
+    const replay = recordMatch(Config.LEVELS[0], 5);
+    const player = new ReplayPlayer(replay);
+
+    player.seek(600);
+    const towersAt600 = player.simulation.towers.length;
+    player.seek(100);
+
+    assert.equal(player.simulation.tick, 100);
+    assert.equal(player.simulation.towers.length, 1);
+    assert.equal(towersAt600, 2);
+});
+
+test('parse() rejects replays it cannot play', () => {
+    const base = { version: REPLAY_VERSION, level: 1, seed: 7, inputs: [] };
+
+    assert.ok(Replay.parse(JSON.stringify(base)));
+    assert.throws(() => Replay.parse(JSON.stringify({ ...base, seed: undefined })), /seed or inputs/);
+    assert.throws(() => Replay.parse(JSON.stringify({ ...base, inputs: null })), /seed or inputs/);
+    assert.throws(() => Replay.parse(JSON.stringify({ ...base, level: 'nowhere' })), /Unknown level/);
+});
+
+test('a simulation plays a supplied topology without touching Config', () => {
+    const stored = Config.TOPOLOGIES[Config.LEVELS[0].topology];
+    const topology = Config.TOPOLOGIES.adaptive3;
+
+    const sim = new Simulation(Config.LEVELS[0], { seed: 1, topology });
+
+    assert.equal(sim.levelManager.nodes, topology.nodes);
+    assert.equal(Config.TOPOLOGIES[Config.LEVELS[0].topology], stored);
+});
+
+test('a custom-map replay plays its own map and leaves the editor map alone', () => {
+    const custom = Config.CUSTOM_LEVEL;
+    const previous = Config.TOPOLOGIES[custom.topology];
+
+    try {
+        Config.TOPOLOGIES[custom.topology] = Config.TOPOLOGIES.adaptive3;
+        const replay = Replay.parse(recordMatch(custom, 31).serialize());
+
+        // The player has since edited a different map
+        Config.TOPOLOGIES[custom.topology] = Config.TOPOLOGIES.adaptive2;
+        const player = new ReplayPlayer(replay);
+        player.run();
+
+        assert.equal(player.matchesRecording(), true);
+        assert.equal(Config.TOPOLOGIES[custom.topology], Config.TOPOLOGIES.adaptive2);
+    } finally {
+        Config.TOPOLOGIES[custom.topology] = previous;
+    }
+});
+
+test('a mixed Level 3 commitment replays its patrols', () => {
+    const level = Config.LEVELS.find(l => l.aiType === 'PERFECT');
+    const sim = new Simulation(level, { seed: 17, quiet: true });
+    const replay = Replay.record(level, sim);
+    sim.start();
+
+    const [home, away] = sim.levelManager.chokepoints;
+    sim.setCommitmentMode('mixed');
+    replay.add(sim.tick, 'commitment', 'mixed');
+    sim.placeTower(home, 'Firewall');
+    replay.add(sim.tick, 'place', home, 'Firewall');
+    sim.setTowerPatrol(home, away, 0.5);
+    replay.add(sim.tick, 'patrol', home, away, 0.5);
+    replay.finish(sim.run());
+
+    const player = new ReplayPlayer(Replay.parse(replay.serialize()));
+    player.run();
+
+    assert.equal(player.matchesRecording(), true);
+});
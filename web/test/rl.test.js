@@ -0,0 +1,46 @@
+/**
+ * Level 4 attacker: linear Q-function and its saved weights
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LinearQ from '../js/ai/LinearQ.js';
+import Random from '../js/core/Random.js';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+test('update() moves the estimate by alpha times the error', () => {
+    const q = new LinearQ(['a', 'b'], ['LEFT', 'RIGHT'], new Random(1));
+    const phi = [1, 2];
+
+    const error = q.update(phi, 'LEFT', 10, 0.5);
+
+    assert.equal(error, 10);
+    assert.ok(Math.abs(q.predict(phi, 'LEFT') - 5) < 1e-9);
+    assert.equal(q.best(phi), 'LEFT');
+    assert.equal(q.max(phi), q.predict(phi, 'LEFT'));
+});
+
+test('weights load by name when features or actions change', () => {
+    const saved = new LinearQ(['a', 'b'], ['LEFT'], new Random(1));
+    saved.update([1, 1], 'LEFT', 4, 1);
+
+    const grown = new LinearQ(['b', 'c'], ['LEFT', 'RIGHT'], new Random(1));
+    grown.load(saved.toJSON());
+
+    assert.deepEqual(grown.weights.LEFT, [saved.weights.LEFT[1], 0]);
+    assert.deepEqual(grown.weights.RIGHT, [0, 0]);
+    assert.throws(() => grown.load({}), /no weights/);
+});
+
+test('the Level 4 attacker round-trips its weights and rejects other versions', () => {
+    const level = Config.LEVELS.find(l => l.aiType === 'ECONOMIC_RL');
+    const rl = new Simulation(level, { seed: 8 }).levelManager.economicRL;
+    rl.q.update(rl.getFeatures(), rl.actions[0], 50, 1);
+
+    const other = new Simulation(level, { seed: 9 }).levelManager.economicRL;
+    other.importWeights(rl.exportWeights());
+
+    assert.deepEqual(other.q.weights, rl.q.weights);
+    assert.throws(() => other.importWeights({ ...rl.exportWeights(), version: -1 }), /version/);
+});
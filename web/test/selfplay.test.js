@@ -0,0 +1,25 @@
+/**
+ * Self-play training: reproducible episodes and quiet batch runs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SelfPlayTrainer from '../js/ai/SelfPlayTrainer.js';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+test('a quiet simulation writes nothing to the console', (t) => {
+    const log = t.mock.method(console, 'log');
+
+    const level = Config.LEVELS.find(l => l.aiType === 'ECONOMIC_RL');
+    const sim = new Simulation(level, { seed: 12, quiet: true });
+    sim.run(Config.SIMULATION.MAX_TICKS, s => s.levelManager.wave > 2);
+
+    assert.equal(log.mock.callCount(), 0);
+});
+
+test('the same seed trains the same episodes', () => {
+    const play = () => new SelfPlayTrainer({ seed: 77, waves: 2, defender: 'learning' }).train(2);
+
+    assert.deepEqual(play(), play());
+});
@@ -0,0 +1,60 @@
+/**
+ * Headless Simulation: clock, placement rules and match resolution
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+const LEVEL_1 = Config.LEVELS[0];
+
+test('advance() runs whole fixed-size ticks and carries the remainder', () => {
+    const sim = new Simulation(LEVEL_1);
+    sim.start();
+
+    sim.advance(Config.SIMULATION.TICK_MS * 2.5);
+
+    assert.equal(sim.tick, 2);
+    assert.equal(sim.elapsed, Config.SIMULATION.TICK_MS * 2);
+});
+
+test('placeTower() spends money and rejects invalid placements', () => {
+    const sim = new Simulation(LEVEL_1);
+    sim.start();
+    const lm = sim.levelManager;
+    const node = lm.chokepoints[0];
+    const before = lm.getMoney();
+
+    const tower = sim.placeTower(node, 'Firewall');
+
+    assert.ok(tower);
+    assert.equal(lm.getMoney(), before - tower.getCost());
+    assert.equal(sim.getTowerAt(node), tower);
+
+    // Occupied node, unknown type, non-chokepoint node
+    assert.equal(sim.placeTower(node, 'Firewall'), null);
+    assert.equal(sim.placeTower(lm.chokepoints[1], 'NoSuchTower'), null);
+    const open = lm.nodes.findIndex((_, i) => !lm.chokepoints.includes(i));
+    assert.equal(sim.placeTower(open, 'Firewall'), null);
+});
+
+test('an undefended Level 1 runs to a failed outcome', () => {
+    const sim = new Simulation(LEVEL_1);
+
+    const result = sim.run();
+
+    assert.equal(result.outcome, 'failed');
+    assert.equal(result.towers, 0);
+    assert.ok(result.packetsLeaked > 0);
+    assert.ok(sim.finished);
+});
+
+test('an undefended Level 3 match is scored as a loss', () => {
+    const sim = new Simulation(Config.LEVELS[2]);
+
+    const result = sim.run();
+
+    assert.equal(result.outcome, 'failed');
+    assert.ok(sim.levelManager.calculateStackelbergScore() < Config.LEVELS[2].successThreshold);
+});
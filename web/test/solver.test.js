@@ -0,0 +1,109 @@
+/**
+ * Level 3's security game: the simplex LP and the Strong Stackelberg solver
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import LinearProgram from '../js/utils/LinearProgram.js';
+import { solveStrongStackelberg, EPSILON } from '../js/ai/StackelbergSolver.js';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+const LEVEL_3 = Config.LEVELS.find(l => l.aiType === 'PERFECT');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≉ ${expected}`);
+
+test('maximize() solves a bounded LP with every constraint type', () => {
+    // max 3x + 2y, x + y <= 4, x + 3y <= 6, x >= 1, y = 1
+    const result = LinearProgram.maximize([3, 2], [
+        { coefficients: [1, 1], type: '<=', value: 4 },
+        { coefficients: [1, 3], type: '<=', value: 6 },
+        { coefficients: [1, 0], type: '>=', value: 1 },
+        { coefficients: [0, 1], type: '=', value: 1 }
+    ]);
+
+    assert.equal(result.status, 'optimal');
+    close(result.value, 11);
+    close(result.solution[0], 3);
+    close(result.solution[1], 1);
+});
+
+test('maximize() reports infeasible and unbounded programs', () => {
+    assert.equal(LinearProgram.maximize([1], [
+        { coefficients: [1], type: '<=', value: 1 },
+        { coefficients: [1], type: '>=', value: 2 }
+    ]).status, 'infeasible');
+
+    assert.equal(LinearProgram.maximize([1, 1], [
+        { coefficients: [1, -1], type: '<=', value: 1 }
+    ]).status, 'unbounded');
+});
+
+test('the leader commits to a mix worth more than any pure strategy', () => {
+    // Committing to Up draws Left (2); mixing half and half draws Right (3.5)
+    const solution = solveStrongStackelberg([[2, 4], [1, 3]], [[1, 0], [0, 1]]);
+
+    assert.equal(solution.target, 1);
+    close(solution.defenderUtility, 3.5);
+    close(solution.mix[0], 0.5);
+    close(solution.mix[1], 0.5);
+    assert.equal(solveStrongStackelberg([], []), null);
+});
+
+test('Level 3 solves once, on first use, to a proper mix', () => {
+    const lm = new Simulation(LEVEL_3, { seed: 1, quiet: true }).levelManager;
+    const solver = lm.perfectAI.solver;
+    assert.equal(solver.equilibrium, undefined);
+
+    const equilibrium = lm.getEquilibrium();
+
+    close(equilibrium.mix.reduce((sum, { probability }) => sum + probability, 0), 1);
+    assert.equal(lm.getEquilibrium(), equilibrium);
+    assert.equal(solver.getStrategies().length, 31);
+});
+
+test('a game too big to enumerate has no equilibrium', () => {
+    const solver = new Simulation(LEVEL_3, { seed: 1, quiet: true }).levelManager.perfectAI.solver;
+    assert.equal(solver.getStrategies(10), null);
+
+    solver.getStrategies = () => null;
+
+    assert.equal(solver.getEquilibrium(), null);
+    assert.equal(solver.evaluateCommitment([]), null);
+});
+
+test('no fixed Level 3 layout beats the equilibrium', () => {
+    const sim = new Simulation(LEVEL_3, { seed: 2, quiet: true });
+    const lm = sim.levelManager;
+    lm.chokepoints.forEach((node, i) => sim.placeTower(node, i % 2 ? 'IDS' : 'Firewall'));
+
+    const commitment = lm.perfectAI.solver.evaluateCommitment(sim.towers);
+
+    assert.ok(commitment.utilityGap >= -EPSILON);
+    assert.equal(sim.canUpgradeTower(sim.towers[0].node), false);
+});
+
+test('a patrol counts at each end for its share of the rounds', () => {
+    const sim = new Simulation(LEVEL_3, { seed: 3, quiet: true });
+    const lm = sim.levelManager;
+    const [home, away] = lm.chokepoints;
+    sim.setCommitmentMode('mixed');
+    sim.placeTower(home, 'Firewall');
+
+    assert.ok(sim.setTowerPatrol(home, away, 0.3));
+    assert.equal(sim.setTowerPatrol(home, home, 0.3), null);
+    assert.equal(sim.setTowerPatrol(home, away, 1), null);
+
+    const { coverage } = lm.perfectAI.solver.evaluateCommitment(sim.towers);
+    close(coverage[home].Firewall, 0.7);
+    close(coverage[away].Firewall, 0.3);
+});
+
+test('a mixed commitment scores 100 when the equilibrium is no better than a breach', () => {
+    const lm = new Simulation(LEVEL_3, { seed: 4, quiet: true }).levelManager;
+    lm.setCommitmentMode('mixed');
+    lm.aiAnalysis = { analysis: { commitment: { defenderUtility: LEVEL_3.securityGame.defender.breached } } };
+    lm.getEquilibrium = () => ({ defenderUtility: LEVEL_3.securityGame.defender.breached });
+
+    assert.equal(lm.calculateStackelbergScore(), 100);
+});
@@ -0,0 +1,50 @@
+/**
+ * Wave schedules: growth curves, type allocation and declared waves
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WaveSchedule from '../js/gameplay/WaveSchedule.js';
+import Simulation from '../js/gameplay/Simulation.js';
+import Config from '../js/utils/Config.js';
+
+test('getWaveSize() follows flat, linear and exponential curves up to their cap', () => {
+    assert.equal(WaveSchedule.getWaveSize(undefined, 7), Config.SIMULATION.ENDLESS_WAVE_SIZE);
+    assert.equal(WaveSchedule.getWaveSize(9, 7), 9);
+    assert.equal(WaveSchedule.getWaveSize({ base: 10, growth: 'linear', rate: 2 }, 4), 16);
+    assert.equal(WaveSchedule.getWaveSize({ base: 10, growth: 'exponential', rate: 2 }, 3), 40);
+    assert.equal(WaveSchedule.getWaveSize({ base: 10, growth: 'linear', rate: 5, max: 20 }, 10), 20);
+    assert.equal(WaveSchedule.getWaveSize({ base: 0 }, 1), 1);
+});
+
+test('allocate() hands out exactly the wave size by largest remainder', () => {
+    const counts = WaveSchedule.allocate(10, { BASIC: 1, FAST: 1, TANK: 1 });
+
+    assert.equal(Object.values(counts).reduce((sum, c) => sum + c, 0), 10);
+    assert.deepEqual(Object.values(counts).sort(), [3, 3, 4]);
+    assert.deepEqual(WaveSchedule.allocate(5, { BASIC: 0 }), {});
+});
+
+test('fromMix() spreads each type over the same stretch as the mixed wave', () => {
+    const groups = WaveSchedule.fromMix(12, { BASIC: 3, FAST: 1 }, 500);
+
+    assert.deepEqual(groups.map(g => [g.type, g.count]), [['BASIC', 9], ['FAST', 3]]);
+    groups.forEach(group => {
+        assert.equal(group.spacing, Math.round(12 * 500 / group.count));
+    });
+    assert.deepEqual(groups.map(g => g.delay), [0, 250]);
+});
+
+test('a level plays its declared waves, then generated ones', () => {
+    const level = Config.ENDLESS_MODES.ENTERPRISE;
+    const lm = new Simulation(level, { seed: 3 }).levelManager;
+
+    const declared = lm.getWavePlan(2);
+    assert.deepEqual(declared.map(g => g.count), level.waveSchedule[1].map(g => g.count));
+    assert.equal(declared[1].type, 'TANK');
+
+    const wave = level.waveSchedule.length + 2;
+    const generated = lm.getWavePlan(wave);
+    const size = generated.reduce((sum, g) => sum + g.count, 0);
+    assert.equal(size, WaveSchedule.getWaveSize(level.waveSize, wave));
+});